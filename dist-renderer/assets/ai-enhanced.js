@@ -52,6 +52,31 @@ class AIEnhancedConversionEngine {
       
       this.feedbackLearning = new modules.FeedbackLearning();
       
+      // Fetch the shared casual→polite dictionary for rule-based fallbacks; conversions
+      // wait for it so load() never falls back to an empty dictionary
+      this.dictionaryReady = window.sharedDictionaryLoader
+        ? window.sharedDictionaryLoader.preload()
+        : Promise.resolve(null);
+      
+      // User/team dictionary persisted in localStorage
+      if (window.CustomDictionary && !window.customDictionary) {
+        window.customDictionary = new window.CustomDictionary();
+      }
+      
+      // Saved recipients for relationship, level and 宛名
+      if (window.RecipientProfiles && !window.recipientProfiles) {
+        window.recipientProfiles = new window.RecipientProfiles();
+      }
+      
+      // Keigo linter for the suggestions panel
+      this.keigoLinter = window.KeigoLinter ? new window.KeigoLinter() : null;
+      
+      // Masks code, URLs and mentions so the AI only rewrites prose
+      this.textMasker = window.TextMasker ? new window.TextMasker() : null;
+      
+      // Dialect → 標準語 tables for the offline path
+      this.dialectNormalizer = window.DialectNormalizer ? new window.DialectNormalizer() : null;
+      
       // Initialize legacy converter as fallback
       this.legacyConverter = new EnhancedConversionEngine(); // From existing code
       
@@ -69,6 +94,7 @@ class AIEnhancedConversionEngine {
         convertWithDebounce: (text, options, callbacks) => {
           setTimeout(async () => {
             try {
+              await this.dictionaryReady;
               const result = await this.legacyConverter.convertText(text, options);
               if (callbacks.onSuccess) callbacks.onSuccess(result);
             } catch (error) {
@@ -87,6 +113,12 @@ class AIEnhancedConversionEngine {
     // Add API key configuration UI
     this.addAPIKeyConfiguration();
     
+    // Add custom dictionary management UI
+    this.addCustomDictionaryUI();
+    
+    // Add recipient profile selector and management UI
+    this.addRecipientProfilesUI();
+    
     // Add feedback UI components
     this.addFeedbackUI();
     
@@ -157,6 +189,8 @@ class AIEnhancedConversionEngine {
     const startTime = Date.now();
     
     try {
+      await this.dictionaryReady;
+      
       // Debug logging for troubleshooting
       console.log('🔍 Conversion Debug Info:');
       console.log('- Original text:', originalText);
@@ -173,10 +207,16 @@ class AIEnhancedConversionEngine {
       if (this.isAIEnabled && (anthropicKey || openaiKey)) {
         try {
           console.log('🤖 Starting AI conversion process...');
-          const result = await this.performAIConversion(originalText, options);
+          const masked = this.textMasker ? this.textMasker.mask(originalText) : { text: originalText, segments: [] };
+          const result = this.restoreMaskedResult(
+            await this.performAIConversion(masked.text, options),
+            originalText,
+            masked.segments
+          );
           console.log('✅ AI conversion completed successfully');
-          this.handleConversionSuccess(result, 'ai');
-          return result;
+          const addressed = this.applyRecipient(result, options.recipient);
+          this.handleConversionSuccess(addressed, 'ai');
+          return addressed;
         } catch (aiError) {
           console.warn('❌ AI conversion failed, falling back to rule-based:', aiError);
           // Fall through to legacy conversion
@@ -188,7 +228,7 @@ class AIEnhancedConversionEngine {
       
       // Use legacy conversion
       console.log('🔄 Using rule-based conversion');
-      const result = await this.legacyConverter.convertText(originalText, options);
+      const result = this.applyRecipient(await this.legacyConverter.convertText(originalText, options), options.recipient);
       this.handleConversionSuccess(result, 'legacy');
       return result;
       
@@ -323,6 +363,22 @@ class AIEnhancedConversionEngine {
     }
   }
 
+  /**
+   * Put masked segments back into an AI result; segments the model dropped are appended
+   */
+  restoreMaskedResult(result, originalText, segments) {
+    if (segments.length === 0) return result;
+
+    const missing = this.textMasker.findMissing(result.converted, segments);
+    let converted = this.textMasker.restore(result.converted, segments);
+    if (missing.length > 0) {
+      console.warn(`⚠️ AI output lost ${missing.length} protected segment(s), appending them`);
+      converted = [converted, ...missing.map(segment => segment.original)].join(' ');
+    }
+
+    return { ...result, original: originalText, converted: converted };
+  }
+
   /**
    * Get API endpoint URL (development vs production)
    */
@@ -704,6 +760,14 @@ class AIEnhancedConversionEngine {
    * Advanced dialect conversion
    */
   advancedDialectConversion(text) {
+    // Shared per-dialect tables, then the 標準語 endings they produce
+    if (this.dialectNormalizer) {
+      text = this.dialectNormalizer.normalize(text).text;
+      text = text.replace(/なんだ$/g, 'なんです');
+      text = text.replace(/だよ$/g, 'ですよ');
+      text = text.replace(/だろう$/g, 'でしょう');
+    }
+    
     // Kansai dialect patterns
     text = text.replace(/やん$/g, 'ですね');
     text = text.replace(/やで$/g, 'ですよ');
@@ -1141,6 +1205,368 @@ APIキー状況: ${anthropicKey ? 'Anthropic ✓' : ''} ${openaiKey ? 'OpenAI 
     });
   }
 
+  addCustomDictionaryUI() {
+    const dictionaryHtml = `
+      <div id="custom-dictionary-panel" style="display: none; position: fixed; top: 50%; left: 50%; 
+        transform: translate(-50%, -50%); background: white; border-radius: 12px; 
+        padding: 25px; box-shadow: 0 8px 32px rgba(0,0,0,0.3); z-index: 2000; min-width: 520px; max-width: 90vw; max-height: 85vh; overflow-y: auto;">
+        <h3 style="margin: 0 0 20px 0; color: #333; font-size: 18px;">📖 カスタム辞書</h3>
+        <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+          <input type="text" id="custom-dict-casual" placeholder="変換前 (例: ロンチ)" 
+            style="flex: 1; padding: 10px; border: 2px solid #e1e5e9; border-radius: 6px; font-size: 14px;">
+          <input type="text" id="custom-dict-polite" placeholder="変換後 (例: サービス開始)" 
+            style="flex: 1; padding: 10px; border: 2px solid #e1e5e9; border-radius: 6px; font-size: 14px;">
+        </div>
+        <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+          <select id="custom-dict-section" style="flex: 1; padding: 8px; border: 2px solid #e1e5e9; border-radius: 6px;">
+            <option value="words">単語</option>
+            <option value="phrases">フレーズ</option>
+          </select>
+          <select id="custom-dict-context" style="flex: 1; padding: 8px; border: 2px solid #e1e5e9; border-radius: 6px;">
+            <option value="">全ての場面</option>
+            <option value="business">ビジネス</option>
+            <option value="urgent">緊急</option>
+            <option value="superior">目上の方</option>
+          </select>
+          <button id="custom-dict-save" style="background: #28a745; color: white; border: none; padding: 8px 16px; border-radius: 6px; font-weight: 600; cursor: pointer;">
+            💾 追加・更新
+          </button>
+        </div>
+        <div id="custom-dict-list" style="border: 1px solid #e1e5e9; border-radius: 6px; max-height: 200px; overflow-y: auto; margin-bottom: 15px; font-size: 13px;"></div>
+        <textarea id="custom-dict-io" placeholder="JSONまたはCSVを貼り付けてインポート" 
+          style="width: 100%; min-height: 90px; padding: 10px; border: 2px solid #e1e5e9; border-radius: 6px; font-size: 12px; box-sizing: border-box; font-family: monospace;"></textarea>
+        <div style="display: flex; gap: 8px; margin: 10px 0 20px 0;">
+          <select id="custom-dict-format" style="padding: 8px; border: 2px solid #e1e5e9; border-radius: 6px;">
+            <option value="json">JSON</option>
+            <option value="csv">CSV</option>
+          </select>
+          <button id="custom-dict-import" style="flex: 1; background: #007bff; color: white; border: none; padding: 8px; border-radius: 6px; cursor: pointer;">📥 インポート</button>
+          <button id="custom-dict-export" style="flex: 1; background: #6f42c1; color: white; border: none; padding: 8px; border-radius: 6px; cursor: pointer;">📤 エクスポート</button>
+        </div>
+        <button id="close-custom-dictionary" style="width: 100%; background: #6c757d; color: white; 
+          border: none; padding: 12px 20px; border-radius: 6px; font-weight: 600; font-size: 14px; cursor: pointer;">
+          閉じる
+        </button>
+      </div>
+      <div id="custom-dictionary-overlay" style="display: none; position: fixed; top: 0; left: 0; 
+        width: 100%; height: 100%; background: rgba(0,0,0,0.6); z-index: 1999;"></div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', dictionaryHtml);
+    
+    document.getElementById('custom-dict-save').addEventListener('click', () => {
+      const casual = document.getElementById('custom-dict-casual').value.trim();
+      const polite = document.getElementById('custom-dict-polite').value.trim();
+      const section = document.getElementById('custom-dict-section').value;
+      const context = document.getElementById('custom-dict-context').value || null;
+      
+      try {
+        window.customDictionary.setEntry(casual, polite, { section, context });
+        document.getElementById('custom-dict-casual').value = '';
+        document.getElementById('custom-dict-polite').value = '';
+        this.renderCustomDictionaryEntries();
+        this.showNotification(`✅ 「${casual}」を辞書に保存しました`, 'success');
+      } catch (error) {
+        this.showNotification('⚠️ 変換前と変換後の両方を入力してください', 'warning');
+      }
+    });
+    
+    document.getElementById('custom-dict-import').addEventListener('click', () => {
+      const text = document.getElementById('custom-dict-io').value.trim();
+      const format = document.getElementById('custom-dict-format').value;
+      
+      try {
+        const count = format === 'csv'
+          ? window.customDictionary.importCSV(text, { merge: true })
+          : window.customDictionary.importJSON(text, { merge: true });
+        this.renderCustomDictionaryEntries();
+        this.showNotification(`✅ インポートしました (${count}件)`, 'success');
+      } catch (error) {
+        console.warn('Custom dictionary import failed:', error);
+        this.showNotification('❌ インポートに失敗しました。形式を確認してください', 'error');
+      }
+    });
+    
+    document.getElementById('custom-dict-export').addEventListener('click', () => {
+      const format = document.getElementById('custom-dict-format').value;
+      document.getElementById('custom-dict-io').value = format === 'csv'
+        ? window.customDictionary.exportCSV()
+        : window.customDictionary.exportJSON();
+    });
+    
+    document.getElementById('custom-dict-list').addEventListener('click', (event) => {
+      const row = event.target.closest('[data-casual]');
+      if (!row) return;
+      
+      const options = { section: row.dataset.section, context: row.dataset.context || null };
+      if (event.target.dataset.action === 'delete') {
+        window.customDictionary.removeEntry(row.dataset.casual, options);
+        this.renderCustomDictionaryEntries();
+      } else {
+        // Load the entry into the form for editing
+        document.getElementById('custom-dict-casual').value = row.dataset.casual;
+        document.getElementById('custom-dict-polite').value = row.dataset.polite;
+        document.getElementById('custom-dict-section').value = options.section === 'contextual' ? 'phrases' : options.section;
+        document.getElementById('custom-dict-context').value = options.context || '';
+      }
+    });
+    
+    document.getElementById('close-custom-dictionary').addEventListener('click', () => {
+      this.closeCustomDictionary();
+    });
+    
+    document.getElementById('custom-dictionary-overlay').addEventListener('click', () => {
+      this.closeCustomDictionary();
+    });
+  }
+
+  showCustomDictionary() {
+    if (!window.customDictionary) {
+      this.showNotification('⚠️ カスタム辞書を読み込めませんでした', 'warning');
+      return;
+    }
+    
+    this.renderCustomDictionaryEntries();
+    document.getElementById('custom-dictionary-panel').style.display = 'block';
+    document.getElementById('custom-dictionary-overlay').style.display = 'block';
+  }
+
+  closeCustomDictionary() {
+    document.getElementById('custom-dictionary-panel').style.display = 'none';
+    document.getElementById('custom-dictionary-overlay').style.display = 'none';
+  }
+
+  renderCustomDictionaryEntries() {
+    const list = document.getElementById('custom-dict-list');
+    const entries = window.customDictionary.getEntries();
+    const contextLabels = { business: 'ビジネス', urgent: '緊急', superior: '目上の方' };
+    const escape = (value) => value.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    
+    if (entries.length === 0) {
+      list.innerHTML = '<div style="padding: 12px; color: #6c757d;">登録された表現はありません</div>';
+      return;
+    }
+    
+    list.innerHTML = entries.map(entry => `
+      <div data-casual="${escape(entry.casual)}" data-polite="${escape(entry.polite)}" 
+        data-section="${entry.section}" data-context="${entry.context || ''}" 
+        style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #f1f3f5; cursor: pointer;">
+        <span style="flex: 1;">${escape(entry.casual)} → ${escape(entry.polite)}</span>
+        <span style="color: #6c757d; font-size: 11px;">${entry.context ? contextLabels[entry.context] : (entry.section === 'words' ? '単語' : 'フレーズ')}</span>
+        <button data-action="delete" style="background: #dc3545; color: white; border: none; padding: 2px 8px; border-radius: 4px; cursor: pointer;">削除</button>
+      </div>
+    `).join('');
+  }
+
+  addRecipientProfilesUI() {
+    const inputStyle = 'flex: 1; padding: 8px; border: 2px solid #e1e5e9; border-radius: 6px; font-size: 14px; min-width: 0;';
+    const profilesHtml = `
+      <div id="recipient-profiles-panel" style="display: none; position: fixed; top: 50%; left: 50%; 
+        transform: translate(-50%, -50%); background: white; border-radius: 12px; 
+        padding: 25px; box-shadow: 0 8px 32px rgba(0,0,0,0.3); z-index: 2000; min-width: 520px; max-width: 90vw; max-height: 85vh; overflow-y: auto;">
+        <h3 style="margin: 0 0 20px 0; color: #333; font-size: 18px;">👤 宛先プロフィール</h3>
+        <input type="hidden" id="recipient-id">
+        <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+          <input type="text" id="recipient-name" placeholder="氏名 (例: 山田 太郎)" style="${inputStyle}">
+          <input type="text" id="recipient-title" placeholder="役職 (例: 部長)" style="${inputStyle}">
+        </div>
+        <div style="display: flex; gap: 8px; margin-bottom: 12px;">
+          <input type="text" id="recipient-company" placeholder="会社名 (社外の方)" style="${inputStyle}">
+          <input type="text" id="recipient-department" placeholder="部署" style="${inputStyle}">
+        </div>
+        <div style="display: flex; gap: 8px; margin-bottom: 12px; align-items: center;">
+          <select id="recipient-relationship" style="${inputStyle}">
+            <option value="">関係: 文面から判定</option>
+            <option value="superior">上司・目上の方</option>
+            <option value="colleague">同僚</option>
+            <option value="subordinate">部下・後輩</option>
+            <option value="customer">お客様・取引先</option>
+          </select>
+          <select id="recipient-level" style="${inputStyle}">
+            <option value="">レベル: 自動</option>
+            ${[1,2,3,4,5].map(i => `<option value="${i}">レベル ${i}</option>`).join('')}
+          </select>
+          <select id="recipient-honorific" style="${inputStyle}">
+            <option value="様">様</option>
+            <option value="さん">さん</option>
+            <option value="殿">殿</option>
+          </select>
+        </div>
+        <div style="display: flex; gap: 8px; margin-bottom: 12px; align-items: center;">
+          <input type="text" id="recipient-timezone" placeholder="タイムゾーン (例: America/New_York)" style="${inputStyle}">
+          <label style="flex: 1; font-size: 14px; color: #495057;">
+            <input type="checkbox" id="recipient-emoji"> 絵文字を使ってもよい
+          </label>
+          <button id="recipient-save" style="background: #28a745; color: white; border: none; padding: 8px 16px; border-radius: 6px; font-weight: 600; cursor: pointer;">
+            💾 保存
+          </button>
+        </div>
+        <div id="recipient-list" style="border: 1px solid #e1e5e9; border-radius: 6px; max-height: 200px; overflow-y: auto; margin-bottom: 20px; font-size: 13px;"></div>
+        <button id="close-recipient-profiles" style="width: 100%; background: #6c757d; color: white; 
+          border: none; padding: 12px 20px; border-radius: 6px; font-weight: 600; font-size: 14px; cursor: pointer;">
+          閉じる
+        </button>
+      </div>
+      <div id="recipient-profiles-overlay" style="display: none; position: fixed; top: 0; left: 0; 
+        width: 100%; height: 100%; background: rgba(0,0,0,0.6); z-index: 1999;"></div>
+    `;
+    
+    document.body.insertAdjacentHTML('beforeend', profilesHtml);
+    
+    document.getElementById('recipient-save').addEventListener('click', () => {
+      const id = document.getElementById('recipient-id').value;
+      const profile = {
+        name: document.getElementById('recipient-name').value,
+        title: document.getElementById('recipient-title').value,
+        company: document.getElementById('recipient-company').value,
+        department: document.getElementById('recipient-department').value,
+        relationship: document.getElementById('recipient-relationship').value || null,
+        level: document.getElementById('recipient-level').value || null,
+        honorific: document.getElementById('recipient-honorific').value,
+        timeZone: document.getElementById('recipient-timezone').value,
+        emoji: document.getElementById('recipient-emoji').checked
+      };
+      
+      try {
+        const saved = id
+          ? window.recipientProfiles.updateProfile(id, profile)
+          : window.recipientProfiles.addProfile(profile);
+        this.resetRecipientForm();
+        this.renderRecipientProfiles();
+        this.showNotification(`✅ 「${saved.name}」を保存しました`, 'success');
+      } catch (error) {
+        this.showNotification(error.message.startsWith('Unknown time zone')
+          ? '⚠️ タイムゾーンが正しくありません（例: Asia/Tokyo）'
+          : '⚠️ 氏名を入力してください', 'warning');
+      }
+    });
+    
+    document.getElementById('recipient-list').addEventListener('click', (event) => {
+      const row = event.target.closest('[data-recipient-id]');
+      if (!row) return;
+      
+      const profile = window.recipientProfiles.getProfile(row.dataset.recipientId);
+      if (event.target.dataset.action === 'delete') {
+        window.recipientProfiles.removeProfile(profile.id);
+        this.resetRecipientForm();
+        this.renderRecipientProfiles();
+      } else {
+        // Load the profile into the form for editing
+        document.getElementById('recipient-id').value = profile.id;
+        document.getElementById('recipient-name').value = profile.name;
+        document.getElementById('recipient-title').value = profile.title || '';
+        document.getElementById('recipient-company').value = profile.company || '';
+        document.getElementById('recipient-department').value = profile.department || '';
+        document.getElementById('recipient-relationship').value = profile.relationship || '';
+        document.getElementById('recipient-level').value = profile.level || '';
+        document.getElementById('recipient-honorific').value = profile.honorific;
+        document.getElementById('recipient-timezone').value = profile.timeZone || '';
+        document.getElementById('recipient-emoji').checked = window.RecipientProfiles.allowsEmoji(profile);
+      }
+    });
+    
+    // Selecting a recipient moves the level slider to their preferred level
+    const select = document.getElementById('recipientSelect');
+    if (select) {
+      select.addEventListener('change', () => {
+        const profile = this.getSelectedRecipient();
+        const slider = document.getElementById('levelSlider');
+        if (profile && profile.level && slider) {
+          slider.value = profile.level;
+          slider.dispatchEvent(new Event('input'));
+        }
+      });
+    }
+    
+    document.getElementById('close-recipient-profiles').addEventListener('click', () => {
+      this.closeRecipientProfiles();
+    });
+    
+    document.getElementById('recipient-profiles-overlay').addEventListener('click', () => {
+      this.closeRecipientProfiles();
+    });
+    
+    if (window.recipientProfiles) {
+      this.renderRecipientProfiles();
+    }
+  }
+
+  showRecipientProfiles() {
+    if (!window.recipientProfiles) {
+      this.showNotification('⚠️ 宛先プロフィールを読み込めませんでした', 'warning');
+      return;
+    }
+    
+    this.renderRecipientProfiles();
+    document.getElementById('recipient-profiles-panel').style.display = 'block';
+    document.getElementById('recipient-profiles-overlay').style.display = 'block';
+  }
+
+  closeRecipientProfiles() {
+    document.getElementById('recipient-profiles-panel').style.display = 'none';
+    document.getElementById('recipient-profiles-overlay').style.display = 'none';
+  }
+
+  resetRecipientForm() {
+    ['recipient-id', 'recipient-name', 'recipient-title', 'recipient-company', 'recipient-department',
+      'recipient-relationship', 'recipient-level', 'recipient-timezone'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('recipient-honorific').value = '様';
+    document.getElementById('recipient-emoji').checked = false;
+  }
+
+  /**
+   * Profile list in the panel and options of the recipient selector
+   */
+  renderRecipientProfiles() {
+    const profiles = window.recipientProfiles.getProfiles();
+    const relationshipLabels = { superior: '目上の方', colleague: '同僚', subordinate: '部下・後輩', customer: 'お客様' };
+    const escape = (value) => value.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    const describe = (profile) => escape(window.recipientProfiles.getAddressee(profile).replace(/\n/g, ' / '));
+    
+    const list = document.getElementById('recipient-list');
+    list.innerHTML = profiles.length === 0
+      ? '<div style="padding: 12px; color: #6c757d;">登録された宛先はありません</div>'
+      : profiles.map(profile => `
+        <div data-recipient-id="${escape(profile.id)}" 
+          style="display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #f1f3f5; cursor: pointer;">
+          <span style="flex: 1;">${describe(profile)}</span>
+          <span style="color: #6c757d; font-size: 11px;">${relationshipLabels[profile.relationship] || '自動'}${profile.level ? ` / Lv.${profile.level}` : ''}</span>
+          <button data-action="delete" style="background: #dc3545; color: white; border: none; padding: 2px 8px; border-radius: 4px; cursor: pointer;">削除</button>
+        </div>
+      `).join('');
+    
+    const select = document.getElementById('recipientSelect');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = '<option value="">指定なし（文面から判定）</option>' + profiles.map(profile =>
+      `<option value="${escape(profile.id)}">${describe(profile)}</option>`).join('');
+    select.value = profiles.some(profile => profile.id === selected) ? selected : '';
+  }
+
+  /**
+   * Profile chosen in the recipient selector, passed as options.recipient
+   */
+  getSelectedRecipient() {
+    const select = document.getElementById('recipientSelect');
+    if (!select || !select.value || !window.recipientProfiles) return null;
+    return window.recipientProfiles.getProfile(select.value);
+  }
+
+  /**
+   * Put the recipient's 宛名 above a converted result that does not address them yet
+   */
+  applyRecipient(result, recipient) {
+    if (!recipient || !window.recipientProfiles || !result || !result.converted) return result;
+    const profile = window.recipientProfiles.resolve(recipient);
+    if (result.converted.trimStart().startsWith(profile.name)) return result;
+    
+    // Edits are rebuilt from the new text so the 宛名 shows up in the review
+    const addressee = window.recipientProfiles.getAddressee(profile);
+    return { ...result, converted: addressee + '\n\n' + result.converted, edits: undefined };
+  }
+
   addFeedbackUI() {
     const feedbackHtml = `
       <div id="feedback-panel" style="display: none; margin-top: 15px; 
@@ -1515,6 +1941,62 @@ APIキー状況: ${anthropicKey ? 'Anthropic ✓' : ''} ${openaiKey ? 'OpenAI 
     }
   }
 
+  showSuggestions(result) {
+    // Conversion suggestions plus keigo linter diagnostics under the output
+    const outputSection = document.querySelector('.output-section');
+    if (!outputSection) return;
+    
+    let panel = document.getElementById('suggestions-panel');
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'suggestions-panel';
+      outputSection.appendChild(panel);
+      
+      panel.addEventListener('click', (event) => {
+        const index = event.target.dataset.fixIndex;
+        if (index !== undefined) this.applyKeigoFix(Number(index));
+      });
+    }
+    
+    const escape = (value) => value.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+    const messages = (result.suggestions || [])
+      .filter(suggestion => suggestion.type !== 'keigo')
+      .map(suggestion => typeof suggestion === 'string' ? suggestion : suggestion.message);
+    this.keigoDiagnostics = this.keigoLinter ? this.keigoLinter.lint(result.converted || '') : [];
+    
+    if (messages.length === 0 && this.keigoDiagnostics.length === 0) {
+      panel.innerHTML = '';
+      return;
+    }
+    
+    const severityColors = { error: '#dc3545', warning: '#fd7e14', info: '#17a2b8' };
+    panel.innerHTML = `
+      <div style="margin-top: 10px; padding: 10px 12px; background: #f8f9fa; border: 1px solid #e1e5e9; border-radius: 6px; font-size: 12px;">
+        <div style="font-weight: 600; margin-bottom: 6px;">💡 改善提案</div>
+        ${messages.map(message => `<div style="padding: 2px 0;">・${escape(message)}</div>`).join('')}
+        ${this.keigoDiagnostics.map((diagnostic, index) => `
+          <div style="display: flex; align-items: center; gap: 8px; padding: 4px 0; border-left: 3px solid ${severityColors[diagnostic.severity]}; padding-left: 8px; margin-top: 4px;">
+            <span style="flex: 1;">「${escape(diagnostic.text)}」${escape(diagnostic.message)}${diagnostic.suggestion !== null ? ` → 「${escape(diagnostic.suggestion)}」` : ''}</span>
+            ${diagnostic.suggestion !== null ? `<button data-fix-index="${index}" style="background: #28a745; color: white; border: none; padding: 2px 8px; border-radius: 4px; cursor: pointer;">修正</button>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  applyKeigoFix(index) {
+    const diagnostic = this.keigoDiagnostics && this.keigoDiagnostics[index];
+    const outputText = document.getElementById('outputText');
+    if (!diagnostic || !outputText) return;
+    
+    const fixed = this.keigoLinter.applyFixes(outputText.value, [diagnostic]);
+    outputText.value = fixed;
+    // Listeners see the fix as they would a manual edit of the output
+    outputText.dispatchEvent(new Event('input', { bubbles: true }));
+    this.showSuggestions({ converted: fixed });
+    this.showNotification(`✅ 「${diagnostic.text}」を「${diagnostic.suggestion}」に修正しました`, 'success');
+  }
+
   getGradeColor(grade) {
     const colors = {
       'A+': '#28a745', 'A': '#28a745', 'B+': '#20c997', 'B': '#20c997',
@@ -8,6 +8,8 @@ class EnhancedConversionEngine {
     this.contextAnalyzer = new ContextAnalyzer();
     this.wordConverter = new WordConverter();
     this.sentenceGenerator = new SentenceGenerator();
+    this.editTracker = window.EditTracker ? new window.EditTracker() : null;
+    this.textMasker = window.TextMasker ? new window.TextMasker() : null;
     this.conversionHistory = [];
   }
 
@@ -15,14 +17,20 @@ class EnhancedConversionEngine {
     const startTime = Date.now();
     
     try {
+      // Code, URLs, mentions and placeholders are masked so only prose is converted
+      const masked = this.textMasker ? this.textMasker.mask(originalText) : { text: originalText, segments: [] };
+      
       // Step 1: Analyze context
-      const context = this.contextAnalyzer.analyzeContext(originalText);
+      const context = this.contextAnalyzer.analyzeContext(masked.text);
       
       // Step 2: Determine target politeness level
       const targetLevel = this.determineTargetLevel(context, options);
       
       // Step 3: Generate conversion
-      const conversion = this.generateConversion(originalText, context, targetLevel);
+      const conversion = this.generateConversion(masked.text, context, targetLevel);
+      if (this.textMasker) {
+        conversion.text = this.textMasker.restore(conversion.text, masked.segments);
+      }
       
       // Step 4: Generate suggestions
       const suggestions = this.generateSuggestions(originalText, conversion, context);
@@ -34,6 +42,7 @@ class EnhancedConversionEngine {
         converted: conversion.text,
         context: context,
         level: conversion.level,
+        edits: this.createEdits(originalText, conversion.text, 'sentence-generator'),
         suggestions: suggestions,
         analysis: {
           processingTime: processingTime,
@@ -54,6 +63,21 @@ class EnhancedConversionEngine {
     }
   }
 
+  createEdits(originalText, convertedText, source) {
+    if (!this.editTracker) return [];
+    return this.editTracker.createEdits(originalText, convertedText, { source });
+  }
+
+  // Rebuild the output from accepted edits without converting again
+  recompose(result, acceptedEditIds) {
+    const accepted = new Set(acceptedEditIds);
+    return {
+      ...result,
+      converted: this.editTracker.applyEdits(result.original, result.edits, accepted),
+      edits: result.edits.map(edit => ({ ...edit, accepted: accepted.has(edit.id) }))
+    };
+  }
+
   determineTargetLevel(context, options) {
     if (options.level && options.level >= 1 && options.level <= 5) {
       return options.level;
@@ -355,7 +379,7 @@ class SentenceGenerator {
   }
 
   transformMainContent(content, context, level) {
-    let result = content;
+    let result = this.applyCustomDictionary(content, context);
 
     // Transform common patterns
     result = result.replace(/確認して/g, level >= 4 ? 'ご確認いただけますでしょうか' : 'ご確認ください');
@@ -388,6 +412,26 @@ class SentenceGenerator {
     return result;
   }
 
+  applyCustomDictionary(text, context) {
+    if (!window.customDictionary) return text;
+
+    // User/team entries are applied before the built-in patterns
+    const data = window.customDictionary.applyTo({ words: {}, phrases: {}, contextual: {} });
+    let mapping = { ...data.words, ...data.phrases };
+    if (context.situation === 'business') mapping = { ...mapping, ...data.contextual.business };
+    if (context.urgency === 'urgent') mapping = { ...mapping, ...data.contextual.urgent };
+    if (context.relationship === 'superior') mapping = { ...mapping, ...data.contextual.superior };
+
+    let result = text;
+    Object.entries(mapping)
+      .sort((a, b) => b[0].length - a[0].length)
+      .forEach(([casual, polite]) => {
+        result = result.split(casual).join(polite);
+      });
+
+    return result;
+  }
+
   addEmoji(text, emotionalTone) {
     const emojiSets = {
       urgent: ['⚡', '🔥', '💦'],
@@ -423,6 +467,106 @@ document.addEventListener('DOMContentLoaded', function() {
   const setDefaultBtn = document.getElementById('setDefaultBtn');
   const resetDefaultBtn = document.getElementById('resetDefaultBtn');
   const defaultLevelInfo = document.getElementById('defaultLevelInfo');
+  const editReview = document.getElementById('editReview');
+  const editReviewBody = document.getElementById('editReviewBody');
+  
+  // Edit review state: the last result and the ids of edits the user kept
+  let reviewResult = null;
+  let acceptedEditIds = new Set();
+  const editSourceLabels = {
+    'dictionary': '辞書',
+    'phrase': 'フレーズ',
+    'verb': '動詞活用',
+    'honorific': '敬語動詞',
+    'pattern': 'パターン',
+    'dialect': '方言',
+    'style-guide': 'スタイルガイド',
+    'orthography': '表記',
+    'sentence-generator': '文章生成',
+    'llm': 'AI',
+    'fallback': '基本変換',
+    'manual': '手動修正'
+  };
+  
+  function escapeHtml(value) {
+    return value.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+  }
+  
+  // Show each edit of a result as a toggleable chip
+  function showEditReview(result) {
+    if (!result.edits) {
+      result.edits = engine.createEdits(result.original, result.converted, result.provider ? 'llm' : 'sentence-generator');
+    }
+    
+    reviewResult = result;
+    acceptedEditIds = new Set(result.edits.map(edit => edit.id));
+    editReview.style.display = result.edits.length > 0 ? 'block' : 'none';
+    renderEditReview();
+  }
+  
+  function renderEditReview() {
+    const { original, edits } = reviewResult;
+    let html = '';
+    let index = 0;
+    
+    edits.forEach(edit => {
+      html += escapeHtml(original.slice(index, edit.start));
+      const accepted = acceptedEditIds.has(edit.id);
+      const title = `${editSourceLabels[edit.source] || edit.source}${edit.reason ? ': ' + edit.reason : ''}`;
+      html += `<span class="edit-chip${accepted ? '' : ' rejected'}" data-edit-id="${edit.id}" title="${escapeHtml(title)}">` +
+        (edit.original ? `<del>${escapeHtml(edit.original)}</del>` : '') +
+        (edit.replacement ? `<ins>${escapeHtml(edit.replacement)}</ins>` : '') +
+        '</span>';
+      index = edit.end;
+    });
+    
+    editReviewBody.innerHTML = html + escapeHtml(original.slice(index));
+  }
+  
+  function applyEditSelection() {
+    reviewResult = engine.recompose(reviewResult, [...acceptedEditIds]);
+    outputText.value = reviewResult.converted;
+    renderEditReview();
+  }
+  
+  editReviewBody.addEventListener('click', function(event) {
+    const chip = event.target.closest('.edit-chip');
+    if (!chip || !reviewResult) return;
+    
+    const editId = chip.dataset.editId;
+    if (acceptedEditIds.has(editId)) {
+      acceptedEditIds.delete(editId);
+    } else {
+      acceptedEditIds.add(editId);
+    }
+    applyEditSelection();
+  });
+  
+  // The output changed outside the review (a manual edit, a keigo lint fix): rebuild
+  // the edits from it so recomposing never brings back the old text; unchanged
+  // edits keep their attribution
+  outputText.addEventListener('input', function() {
+    if (!reviewResult) return;
+    
+    const previous = reviewResult.edits;
+    const edits = engine.createEdits(reviewResult.original, outputText.value, 'manual').map(edit => {
+      const same = previous.find(old => old.start === edit.start && old.end === edit.end && old.replacement === edit.replacement);
+      return same ? { ...edit, source: same.source, rule: same.rule, reason: same.reason } : edit;
+    });
+    showEditReview({ ...reviewResult, converted: outputText.value, edits: edits });
+  });
+  
+  document.getElementById('acceptAllEditsBtn').addEventListener('click', function() {
+    if (!reviewResult) return;
+    acceptedEditIds = new Set(reviewResult.edits.map(edit => edit.id));
+    applyEditSelection();
+  });
+  
+  document.getElementById('rejectAllEditsBtn').addEventListener('click', function() {
+    if (!reviewResult) return;
+    acceptedEditIds = new Set();
+    applyEditSelection();
+  });
   
   // Initialize default level
   function initializeDefaultLevel() {
@@ -469,6 +613,7 @@ document.addEventListener('DOMContentLoaded', function() {
   window.convertText = async function() {
     const text = inputText.value.trim();
     const level = parseInt(levelSlider.value);
+    const recipient = window.aiEngine && window.aiEngine.getSelectedRecipient ? window.aiEngine.getSelectedRecipient() : null;
     
     if (!text) {
       alert('変換したい文章を入力してください。');
@@ -481,7 +626,7 @@ document.addEventListener('DOMContentLoaded', function() {
       // Use AI conversion if available
       if (window.aiEngine && window.aiEngine.isAIEnabled) {
         console.log('🤖 Using AI conversion...');
-        result = await window.aiEngine.convertText(text, { level: level });
+        result = await window.aiEngine.convertText(text, { level: level, recipient: recipient });
       } else if (window.electronAPI) {
         console.log('🖥️ Using Electron conversion...');
         result = await window.electronAPI.convertText(text, level);
@@ -489,14 +634,20 @@ document.addEventListener('DOMContentLoaded', function() {
         console.log('🔄 Using fallback conversion...');
         result = await engine.convertText(text, { level: level });
       }
+      if (recipient && !window.aiEngine.isAIEnabled) {
+        result = window.aiEngine.applyRecipient(result, recipient);
+      }
       
       outputText.value = result.converted;
       copyBtn.style.display = 'inline-block';
+      showEditReview(result);
       
-      // Show suggestions if available
+      // Show suggestions and keigo diagnostics
       if (result.suggestions && result.suggestions.length > 0) {
         console.log('改善提案:', result.suggestions);
-        // Could add UI to display suggestions in the future
+      }
+      if (window.aiEngine && window.aiEngine.showSuggestions) {
+        window.aiEngine.showSuggestions(result);
       }
       
       // Log analysis for debugging
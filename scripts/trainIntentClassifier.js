@@ -0,0 +1,73 @@
+/**
+ * Train the intent / urgency / relationship classifier
+ * Usage: node scripts/trainIntentClassifier.js [--corpus file.json] [--output file.json]
+ * Reads labeled examples [{text, intent, urgency, relationship}], reports leave-one-out
+ * accuracy per task and writes the weights loaded by IntentClassifier, with each task's
+ * held-out accuracy and the temperature that calibrates its confidences
+ */
+
+const fs = require('fs');
+const path = require('path');
+const IntentClassifier = require('../src/converters/intentClassifier');
+
+const DEFAULT_CORPUS = path.join(__dirname, '../src/data/intentCorpus.json');
+const DEFAULT_OUTPUT = path.join(__dirname, '../src/data/intentModel.json');
+
+function parseArguments(argv) {
+  const args = { corpus: DEFAULT_CORPUS, output: DEFAULT_OUTPUT };
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === '--corpus') args.corpus = path.resolve(argv[++index]);
+    else if (argv[index] === '--output') args.output = path.resolve(argv[++index]);
+    else throw new Error(`Unknown argument: ${argv[index]}`);
+  }
+  return args;
+}
+
+/**
+ * Accuracy per task when each example is classified by a model trained on all the others,
+ * with the held-out log scores used for calibration: {task: {correct, total, predictions}}
+ */
+function leaveOneOut(examples) {
+  const results = {};
+  examples.forEach((example, index) => {
+    const model = IntentClassifier.train(examples.filter((other, otherIndex) => otherIndex !== index));
+    const classifier = new IntentClassifier({ model });
+
+    Object.keys(model.tasks).forEach(task => {
+      if (!example[task]) return;
+      const result = classifier.classify(example.text, task);
+      results[task] = results[task] || { correct: 0, total: 0, predictions: [] };
+      results[task].total++;
+      if (result && result.label === example[task]) results[task].correct++;
+
+      const logScores = classifier.scoreLabels(example.text, task);
+      const labelIndex = model.tasks[task].labels.indexOf(example[task]);
+      if (logScores && labelIndex !== -1) results[task].predictions.push({ logScores, labelIndex });
+    });
+  });
+  return results;
+}
+
+function main() {
+  const args = parseArguments(process.argv.slice(2));
+  const examples = JSON.parse(fs.readFileSync(args.corpus, 'utf8'));
+  if (!Array.isArray(examples) || examples.some(example => !example || typeof example.text !== 'string')) {
+    throw new Error('Corpus must be a JSON array of {text, intent, urgency, relationship}');
+  }
+
+  console.log(`📚 ${examples.length} examples from ${path.relative(process.cwd(), args.corpus)}`);
+  const model = IntentClassifier.train(examples);
+
+  for (const [task, { correct, total, predictions }] of Object.entries(leaveOneOut(examples))) {
+    const accuracy = correct / total;
+    const temperature = IntentClassifier.calibrate(predictions);
+    model.tasks[task].accuracy = IntentClassifier.round(accuracy);
+    model.tasks[task].temperature = IntentClassifier.round(temperature);
+    console.log(`   ${task}: ${(accuracy * 100).toFixed(1)}% leave-one-out accuracy (${correct}/${total}), temperature ${temperature.toFixed(2)}`);
+  }
+
+  fs.writeFileSync(args.output, JSON.stringify(model) + '\n');
+  console.log(`✅ Wrote ${Object.keys(model.tasks).length} tasks to ${path.relative(process.cwd(), args.output)}`);
+}
+
+main();
@@ -9,6 +9,10 @@ class AITextConverter {
     this.promptEngineer = new PromptEngineer();
     this.qualityAssessment = new QualityAssessment();
     this.feedbackLearning = new FeedbackLearning();
+    this.editTracker = this.createEditTracker();
+    this.textMasker = this.createTextMasker();
+    this.recipientProfiles = this.createRecipientProfiles();
+    this.orthographyNormalizer = this.createOrthographyNormalizer();
     
     // Performance optimization
     this.cache = new Map();
@@ -42,13 +46,18 @@ class AITextConverter {
         };
       }
 
+      // Mask code, URLs, mentions and placeholders so the model only sees prose
+      const masked = options.preserveMarkup === false
+        ? { text: originalText, segments: [] }
+        : this.textMasker.mask(originalText);
+
       // Prepare conversion options with defaults
-      const conversionOptions = this.prepareConversionOptions(originalText, options);
+      const conversionOptions = this.prepareConversionOptions(masked.text, options);
       
       // Generate optimized prompt
       const { prompt, metadata } = this.promptEngineer.buildConversionPrompt(
-        originalText, 
-        conversionOptions
+        masked.text, 
+        { ...conversionOptions, protectedSegments: masked.segments.length }
       );
 
       // Generate text using LLM with rate limiting
@@ -63,7 +72,8 @@ class AITextConverter {
         originalText,
         llmResponse,
         conversionOptions,
-        metadata
+        metadata,
+        masked.segments
       );
 
       // Cache the result
@@ -92,13 +102,20 @@ class AITextConverter {
     // Auto-detect context if not provided
     const autoDetectedContext = this.autoDetectContext(text);
     
+    // A recipient profile (saved id or object) overrides the detected relationship and level
+    const recipient = this.recipientProfiles.resolve(options.recipient);
+    const level = options.level || (recipient && recipient.level) || this.recommendPoliteLevel(text, autoDetectedContext);
+    
     return {
-      level: options.level || this.recommendPoliteLevel(text, autoDetectedContext),
+      level: level,
       context: options.context || autoDetectedContext.situation,
-      relationship: options.relationship || autoDetectedContext.relationship,
+      relationship: options.relationship || (recipient && recipient.relationship) || autoDetectedContext.relationship,
       urgency: options.urgency || autoDetectedContext.urgency,
       formality: options.formality || autoDetectedContext.formality,
-      includeEmoji: options.includeEmoji !== false && (options.level >= 4),
+      recipient: recipient,
+      styleGuide: options.styleGuide || null,
+      orthography: options.orthography || null,
+      includeEmoji: options.includeEmoji !== false && !(recipient && recipient.emoji === false) && level >= 4,
       preserveIntent: options.preserveIntent !== false,
       enhanceNaturalness: options.enhanceNaturalness !== false
     };
@@ -210,12 +227,36 @@ class AITextConverter {
   /**
    * Post-process LLM result for quality and consistency
    */
-  async postProcessResult(originalText, llmResponse, options, metadata) {
+  async postProcessResult(originalText, llmResponse, options, metadata, segments = []) {
     let convertedText = llmResponse.text;
 
     // Clean up common LLM artifacts
     convertedText = this.cleanupLLMOutput(convertedText);
 
+    // 表記 unification (公用文, 新聞 or a custom preset), then the company/team
+    // style guide, both before the protected segments come back;
+    // what the style guide cannot fix is reported by the quality assessment
+    if (options.orthography) {
+      convertedText = this.orthographyNormalizer.normalize(convertedText, options.orthography).text;
+    }
+    if (options.styleGuide) {
+      const styleGuide = this.qualityAssessment.createStyleGuide(options.styleGuide);
+      convertedText = styleGuide.apply(convertedText, { relationship: options.relationship }).text;
+    }
+
+    // Restore masked segments byte-for-byte; any the model dropped are appended
+    const missingSegments = this.textMasker.findMissing(convertedText, segments);
+    convertedText = this.textMasker.restore(convertedText, segments);
+    if (missingSegments.length > 0) {
+      console.warn(`⚠️ LLM output lost ${missingSegments.length} protected segment(s), appending them`);
+      convertedText = [convertedText, ...missingSegments.map(segment => segment.original)].join(' ');
+    }
+
+    // 宛名 of the recipient profile, unless the text already starts with the name
+    if (options.recipient && !convertedText.trimStart().startsWith(options.recipient.name)) {
+      convertedText = this.recipientProfiles.getAddressee(options.recipient) + '\n\n' + convertedText;
+    }
+
     // Validate and enhance the result
     const validation = await this.validateConversion(originalText, convertedText, options);
     
@@ -233,6 +274,13 @@ class AITextConverter {
 
     // Generate suggestions
     const suggestions = this.generateSuggestions(originalText, convertedText, options, qualityScore);
+    if (missingSegments.length > 0) {
+      suggestions.push({
+        type: 'masking',
+        message: 'コードやURLなどの保護部分が文末に移動しています。位置を確認してください',
+        priority: 'high'
+      });
+    }
 
     return {
       original: originalText,
@@ -242,6 +290,7 @@ class AITextConverter {
       model: llmResponse.model,
       confidence: this.calculateConfidence(llmResponse, qualityScore, validation),
       quality: qualityScore,
+      edits: this.editTracker.createEdits(originalText, convertedText, { source: 'llm' }),
       suggestions: suggestions,
       analysis: {
         tokenUsage: llmResponse.tokensUsed,
@@ -257,6 +306,50 @@ class AITextConverter {
     };
   }
 
+  /**
+   * Edit tracker from the shared module (browser global or require)
+   */
+  createEditTracker() {
+    const trackerModule = typeof window !== 'undefined' && window.EditTracker
+      ? window
+      : require('../shared/editTracker');
+
+    return new trackerModule.EditTracker();
+  }
+
+  /**
+   * Text masker from the shared module (browser global or require)
+   */
+  createTextMasker() {
+    const maskerModule = typeof window !== 'undefined' && window.TextMasker
+      ? window
+      : require('../shared/textMasker');
+
+    return new maskerModule.TextMasker();
+  }
+
+  /**
+   * Recipient profiles from the shared module (browser global or require)
+   */
+  createRecipientProfiles() {
+    const profilesModule = typeof window !== 'undefined' && window.RecipientProfiles
+      ? window
+      : require('../shared/recipientProfiles');
+
+    return new profilesModule.RecipientProfiles();
+  }
+
+  /**
+   * Orthography normalizer from the shared module (browser global or require)
+   */
+  createOrthographyNormalizer() {
+    const orthographyModule = typeof window !== 'undefined' && window.OrthographyNormalizer
+      ? window
+      : require('../shared/orthographyNormalizer');
+
+    return new orthographyModule.OrthographyNormalizer();
+  }
+
   /**
    * Clean up common LLM output artifacts
    */
@@ -411,6 +504,18 @@ class AITextConverter {
       });
     }
 
+    // Keigo linter diagnostics, with the fix when one is known
+    for (const issue of qualityScore.keigoIssues || []) {
+      suggestions.push({
+        type: 'keigo',
+        message: issue.suggestion !== null
+          ? `${issue.message}：「${issue.text}」→「${issue.suggestion}」`
+          : issue.message,
+        priority: issue.severity === 'error' ? 'high' : 'medium',
+        diagnostic: issue
+      });
+    }
+
     // Context-based suggestions
     if (options.level < 3 && options.relationship === 'superior') {
       suggestions.push({
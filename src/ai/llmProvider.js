@@ -133,15 +133,20 @@ class LLMProvider {
    * Simple rule-based conversion for fallback
    */
   simpleRuleBasedConversion(text, level) {
-    // Clean up casual expressions
-    let converted = text
-      .replace(/やん$|やで$|やねん$/g, 'です')
-      .replace(/だべ$|だっぺ$/g, 'です')
+    // Dialect → 標準語 first, then clean up casual expressions
+    let converted = this.createDialectNormalizer().normalize(text).text
+      .replace(/なんだよ?$/, 'なんです')
+      // Copula だ only: 読んだ and 泳いだ are past-tense verbs
+      .replace(/(?<=[^んい\s])だよ?$/, 'です')
+      .replace(/だろう$/g, 'でしょう')
       .replace(/じゃん$/g, 'ですね')
-      .replace(/アプデ/g, 'アップデート')
-      .replace(/バグ/g, '不具合')
       .replace(/やって/g, 'お願いします');
 
+    // Replace casual words from the shared dictionary
+    for (const [casual, polite] of this.getOrderedDictionaryWords()) {
+      converted = converted.split(casual).join(polite);
+    }
+
     // Add appropriate politeness based on level
     switch (level) {
       case 1:
@@ -155,6 +160,28 @@ class LLMProvider {
     }
   }
 
+  /**
+   * Dictionary words from the shared loader, longest key first
+   */
+  getOrderedDictionaryWords() {
+    const loader = typeof window !== 'undefined' && window.DictionaryLoader
+      ? window
+      : require('../shared/dictionaryLoader');
+
+    return loader.DictionaryLoader.getOrderedEntries(loader.loadDictionary().words);
+  }
+
+  /**
+   * Dialect normalizer from the shared module (browser global or require)
+   */
+  createDialectNormalizer() {
+    const normalizerModule = typeof window !== 'undefined' && window.DialectNormalizer
+      ? window
+      : require('../shared/dialectNormalizer');
+
+    return new normalizerModule.DialectNormalizer();
+  }
+
   /**
    * Get provider status and statistics
    */
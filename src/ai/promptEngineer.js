@@ -8,6 +8,7 @@ class PromptEngineer {
     this.fewShotExamples = this.loadFewShotExamples();
     this.contextTemplates = this.loadContextTemplates();
     this.dialectPatterns = this.loadDialectPatterns();
+    this.dialectNormalizer = this.createDialectNormalizer();
     this.qualityMetrics = new Map();
   }
 
@@ -22,7 +23,9 @@ class PromptEngineer {
       urgency = 'normal',
       formality = 'standard',
       includeEmoji = false,
-      preserveIntent = true
+      preserveIntent = true,
+      protectedSegments = 0,
+      recipient = null
     } = options;
 
     // Analyze input text for better context understanding
@@ -42,7 +45,9 @@ class PromptEngineer {
       includeEmoji,
       preserveIntent,
       examples,
-      textAnalysis
+      textAnalysis,
+      protectedSegments,
+      recipient
     });
 
     return {
@@ -75,20 +80,18 @@ class PromptEngineer {
    * Detect dialect patterns (Kansai, Tohoku, etc.)
    */
   detectDialect(text) {
-    const dialects = {
-      kansai: /やん|やで|やねん|せやな|ほんま|なんでやねん|あかん|おおきに/,
-      tohoku: /だべ|だっぺ|んだ|ずら|べ$/,
-      kyushu: /ばい|たい|っちゃ|やけん/,
-      hiroshima: /じゃけー|じゃけん|ほうじゃ/,
-      nagoya: /だがや|みゃー|でら/
-    };
+    return this.dialectNormalizer.detect(text)[0] || null;
+  }
 
-    for (const [dialect, pattern] of Object.entries(dialects)) {
-      if (pattern.test(text)) {
-        return dialect;
-      }
-    }
-    return null;
+  /**
+   * Dialect normalizer from the shared module (browser global or require)
+   */
+  createDialectNormalizer() {
+    const normalizerModule = typeof window !== 'undefined' && window.DialectNormalizer
+      ? window
+      : require('../shared/dialectNormalizer');
+
+    return new normalizerModule.DialectNormalizer();
   }
 
   /**
@@ -252,7 +255,7 @@ class PromptEngineer {
   assemblePrompt(params) {
     const {
       text, level, context, relationship, urgency, formality,
-      includeEmoji, preserveIntent, examples, textAnalysis
+      includeEmoji, preserveIntent, examples, textAnalysis, protectedSegments, recipient
     } = params;
 
     let prompt = `あなたは日本語コミュニケーションの専門家です。以下の条件で自然な日本語に変換してください。
@@ -271,6 +274,11 @@ class PromptEngineer {
       prompt += `\n- 絵文字使用: 適度に使用して温かみを演出`;
     }
 
+    if (recipient) {
+      const position = [recipient.company, recipient.title].filter(Boolean).join(' ');
+      prompt += `\n- 宛先: ${recipient.name}${position ? ` (${position})` : ''}（宛名は自動で挿入するため出力に含めない）`;
+    }
+
     prompt += `\n\n【変換ルール】
 1. 原文の意図と感情を正確に保持する
 2. 不自然な敬語の重複を避ける
@@ -288,6 +296,10 @@ class PromptEngineer {
       prompt += `\n6. スラングや俗語は一般的な表現に置き換える`;
     }
 
+    if (protectedSegments > 0) {
+      prompt += `\n7. ⟦0⟧ のような記号はコードやURLなどの保護部分なので、変更・削除せずそのまま残す`;
+    }
+
     // Add few-shot examples if available
     if (examples.length > 0) {
       prompt += `\n\n【変換例】`;
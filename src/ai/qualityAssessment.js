@@ -5,8 +5,10 @@
 
 class QualityAssessment {
   constructor() {
+    this.keigoLinter = this.createKeigoLinter();
+
     this.metrics = {
-      naturalness: new NaturalnessEvaluator(),
+      naturalness: new NaturalnessEvaluator(this.keigoLinter),
       intentPreservation: new IntentPreservationEvaluator(),
       appropriateness: new AppropriatenessEvaluator(),
       completeness: new CompletenessEvaluator()
@@ -47,13 +49,37 @@ class QualityAssessment {
     
     // Generate quality report
     const report = this.generateQualityReport(scores, details, overall);
+    const keigoIssues = details.naturalness?.keigoIssues || [];
+    if (keigoIssues.some(issue => issue.severity === 'error')) {
+      report.weaknesses.push('二重敬語など敬語の誤用が含まれています');
+    }
+    
+    // Company/team style guide (options.styleGuide: a definition or StyleGuide)
+    const styleGuideViolations = options.styleGuide
+      ? this.createStyleGuide(options.styleGuide).check(converted, { relationship: options.relationship })
+      : [];
+    if (styleGuideViolations.some(violation => violation.severity === 'error')) {
+      report.weaknesses.push('スタイルガイドで禁止された表現が含まれています');
+    }
+    
+    const recommendations = this.generateRecommendations(scores, details);
+    if (styleGuideViolations.length > 0) {
+      recommendations.push({
+        metric: 'styleGuide',
+        priority: styleGuideViolations.some(violation => violation.severity === 'error') ? 'high' : 'medium',
+        message: 'スタイルガイドに沿って表現を修正してください',
+        suggestions: [...new Set(styleGuideViolations.map(violation => violation.message))]
+      });
+    }
     
     return {
       overall,
       scores,
       details,
       report,
-      recommendations: this.generateRecommendations(scores, details),
+      keigoIssues,
+      styleGuideViolations,
+      recommendations,
       timestamp: Date.now()
     };
   }
@@ -206,9 +232,44 @@ class QualityAssessment {
       });
     }
     
+    // Keigo misuse recommendations, one suggestion per diagnostic
+    const keigoIssues = details.naturalness?.keigoIssues || [];
+    if (keigoIssues.length > 0) {
+      recommendations.push({
+        metric: 'keigo',
+        priority: keigoIssues.some(issue => issue.severity === 'error') ? 'high' : 'medium',
+        message: '敬語の誤用・過剰な敬語が見つかりました',
+        suggestions: keigoIssues.map(issue => issue.suggestion !== null
+          ? `「${issue.text}」→「${issue.suggestion}」（${issue.message}）`
+          : issue.message)
+      });
+    }
+    
     return recommendations;
   }
 
+  /**
+   * Keigo linter from the shared module (browser global or require)
+   */
+  createKeigoLinter() {
+    const linterModule = typeof window !== 'undefined' && window.KeigoLinter
+      ? window
+      : require('../shared/keigoLinter');
+
+    return new linterModule.KeigoLinter();
+  }
+
+  /**
+   * StyleGuide from the shared module (browser global or require); instances are used as is
+   */
+  createStyleGuide(styleGuide) {
+    const guideModule = typeof window !== 'undefined' && window.StyleGuide
+      ? window
+      : require('../shared/styleGuide');
+
+    return styleGuide instanceof guideModule.StyleGuide ? styleGuide : new guideModule.StyleGuide(styleGuide);
+  }
+
   /**
    * Load benchmark data for quality comparison
    */
@@ -241,7 +302,9 @@ class QualityAssessment {
  * Naturalness Evaluator - Assesses how natural the Japanese text sounds
  */
 class NaturalnessEvaluator {
-  constructor() {
+  constructor(keigoLinter = null) {
+    this.keigoLinter = keigoLinter;
+
     this.unnaturalPatterns = [
       /です。。+/, // Multiple periods
       /ます。です/, // Awkward politeness mixing
@@ -278,6 +341,13 @@ class NaturalnessEvaluator {
     }
     score += naturalCount * 0.05;
     
+    // Penalize keigo misuse found by the linter
+    const keigoIssues = this.keigoLinter ? this.keigoLinter.lint(converted) : [];
+    const keigoPenalties = { error: 0.15, warning: 0.1, info: 0.05 };
+    for (const issue of keigoIssues) {
+      score -= keigoPenalties[issue.severity] || 0;
+    }
+    
     // Check sentence flow
     const flowScore = this.assessSentenceFlow(converted);
     score = score * 0.7 + flowScore * 0.3;
@@ -292,7 +362,8 @@ class NaturalnessEvaluator {
         issues,
         flowScore,
         particleScore,
-        naturalPatterns: naturalCount
+        naturalPatterns: naturalCount,
+        keigoIssues
       }
     };
   }
@@ -0,0 +1,96 @@
+/**
+ * Conversion Pipeline - Ordered, pluggable conversion stages
+ * Stages run in order on a shared state, can be switched on or off and configured per
+ * request, and every run leaves a trace of each stage's input and output
+ */
+
+// Order given to stages registered without one: after the built-in stages
+const DEFAULT_STAGE_ORDER = 1000;
+
+class ConversionPipeline {
+  constructor() {
+    this.stages = [];
+  }
+
+  /**
+   * Add a stage: {name, order, run(state, options), options, enabled, required, description}
+   * run may be async; a stage with the same name is replaced. Required stages
+   * cannot be disabled per request
+   */
+  register(stage) {
+    if (!stage || !stage.name || typeof stage.run !== 'function') {
+      throw new Error('Pipeline stage needs a name and a run function');
+    }
+
+    this.unregister(stage.name);
+    this.stages.push({
+      order: DEFAULT_STAGE_ORDER,
+      enabled: true,
+      required: false,
+      options: {},
+      description: '',
+      ...stage
+    });
+    this.stages.sort((a, b) => a.order - b.order);
+
+    return this;
+  }
+
+  unregister(name) {
+    this.stages = this.stages.filter(stage => stage.name !== name);
+    return this;
+  }
+
+  getStage(name) {
+    return this.stages.find(stage => stage.name === name) || null;
+  }
+
+  /**
+   * Registered stages in run order, without their run functions
+   */
+  getStages() {
+    return this.stages.map(({ name, order, enabled, required, options, description }) =>
+      ({ name, order, enabled, required, options, description }));
+  }
+
+  /**
+   * Run every enabled stage on state and return the trace:
+   * [{stage, order, enabled, duration, input, output, approaches}]
+   * overrides maps a stage name to false (skip), true (run) or an options object (run with options)
+   */
+  async run(state, overrides = {}) {
+    const trace = [];
+
+    for (const stage of this.stages) {
+      const override = overrides[stage.name];
+      const enabled = stage.required || (override === undefined ? stage.enabled : override !== false);
+
+      if (!enabled) {
+        trace.push({ stage: stage.name, order: stage.order, enabled: false });
+        continue;
+      }
+
+      const stageOptions = typeof override === 'object' && override !== null
+        ? { ...stage.options, ...override }
+        : stage.options;
+      const input = state.text;
+      const startTime = Date.now();
+
+      await stage.run(state, stageOptions);
+
+      trace.push({
+        stage: stage.name,
+        order: stage.order,
+        enabled: true,
+        duration: Date.now() - startTime,
+        input: input,
+        output: state.text,
+        approaches: state.conversions.map(conversion => ({ approach: conversion.approach, text: conversion.text }))
+      });
+    }
+
+    return trace;
+  }
+}
+
+module.exports = ConversionPipeline;
@@ -6,12 +6,52 @@
 const ContextAnalyzer = require('../converters/contextAnalyzer');
 const WordConverter = require('../converters/wordConverter');
 const SentenceGenerator = require('../converters/sentenceGenerator');
+const DocumentSegmenter = require('../converters/documentSegmenter');
+const EmailComposer = require('../converters/emailComposer');
+const ReverseConverter = require('../converters/reverseConverter');
+const StyleNormalizer = require('../converters/styleNormalizer');
+const ReadabilityAnalyzer = require('../converters/readabilityAnalyzer');
+const ScenarioTemplates = require('../converters/scenarioTemplates');
+const ScheduleContext = require('../converters/scheduleContext');
+const { EditTracker } = require('../shared/editTracker');
+const { TextMasker } = require('../shared/textMasker');
+const { DialectNormalizer } = require('../shared/dialectNormalizer');
+const { KeigoLinter } = require('../shared/keigoLinter');
+const { RandomSource } = require('../shared/randomSource');
+const { RecipientProfiles } = require('../shared/recipientProfiles');
+const { StyleGuide } = require('../shared/styleGuide');
+const { OrthographyNormalizer } = require('../shared/orthographyNormalizer');
+const ConversionPipeline = require('./conversionPipeline');
+
+// Generated approaches that get emoji at level 4+
+const EMOJI_APPROACHES = ['sentence-generation', 'level-variation', 'context-optimized', 'document'];
 
 class EnhancedConversionEngine {
-  constructor() {
-    this.contextAnalyzer = new ContextAnalyzer();
-    this.wordConverter = new WordConverter();
-    this.sentenceGenerator = new SentenceGenerator();
+  constructor(options = {}) {
+    this.contextAnalyzer = new ContextAnalyzer({ classifier: options.intentClassifier, timeZone: options.timeZone });
+    this.wordConverter = new WordConverter({
+      customDictionary: options.customDictionary,
+      matchingMode: options.matchingMode
+    });
+    this.sentenceGenerator = new SentenceGenerator({ wordConverter: this.wordConverter });
+    this.editTracker = new EditTracker();
+    this.documentSegmenter = new DocumentSegmenter();
+    this.textMasker = new TextMasker();
+    this.dialectNormalizer = new DialectNormalizer();
+    this.emailComposer = new EmailComposer({ signature: options.signature });
+    this.reverseConverter = new ReverseConverter();
+    this.styleNormalizer = new StyleNormalizer({ contextAnalyzer: this.contextAnalyzer });
+    this.keigoLinter = new KeigoLinter();
+    this.recipientProfiles = options.recipientProfiles || new RecipientProfiles();
+    this.styleGuide = options.styleGuide ? this.createStyleGuide(options.styleGuide) : null;
+    this.orthographyNormalizer = new OrthographyNormalizer({ presets: options.orthographyPresets });
+    this.orthography = options.orthography || null;
+    this.readabilityAnalyzer = new ReadabilityAnalyzer();
+    this.budget = options.budget || null;
+    this.scenarioTemplates = new ScenarioTemplates({ templates: options.scenarioTemplates });
+
+    this.pipeline = new ConversionPipeline();
+    this.registerDefaultStages();
     
     this.conversionHistory = [];
     this.userPreferences = this.loadUserPreferences();
@@ -19,25 +59,63 @@ class EnhancedConversionEngine {
 
   /**
    * Main conversion method - transforms text with intelligent context analysis
+   * options.stages switches pipeline stages per request: {emoji: false, lint: {...}}
+   * options.seed makes greetings, cushions, closings and emoji reproducible;
+   * options.stable always picks the top-ranked expression
+   * options.recipient (a saved profile id or a profile object) overrides the guessed
+   * relationship, level and emoji use, and adds the 宛名
+   * options.styleGuide (a definition or StyleGuide) replaces the engine's style guide
+   * options.orthography ('kouyoubun', 'newspaper', a registered name or a custom preset)
+   * unifies 表記 of the output
+   * options.budget {maxChars, maxRatio, maxSentences} replaces the engine's length budget
+   * options.formality 'letter' (拝啓/敬具), 'formal-letter' (謹啓/謹白) or 'reply-letter'
+   * (拝復/敬具) frames generated text as a letter with 時候の挨拶 for the send date
+   * options.scenario ('schedule', '日程調整', …) fills that scenario template from the input
+   * and selects it; a detected scenario is only suggested (variations and suggestions);
+   * options.slots sets slot values ({dates, deadline, …}) directly
+   * options.sendTime and options.timeZone (or the recipient profile's timeZone) place the
+   * message in the recipient's day: time of day, business hours, weekends and holidays;
+   * an invalid sendTime or timeZone rejects instead of returning the fallback conversion
    */
   async convertText(originalText, options = {}) {
     const startTime = Date.now();
+    this.validateOptions(options);
     
     try {
-      // Step 1: Analyze context
-      const context = this.contextAnalyzer.analyzeContext(originalText);
-      
-      // Step 2: Determine target politeness level
-      const targetLevel = this.determineTargetLevel(context, options);
+      // Step 0: Make sure morpheme matching is available (falls back to regex)
+      await this.wordConverter.prepare();
       
-      // Step 3: Generate multiple conversion approaches
-      const conversions = await this.generateConversions(originalText, context, targetLevel);
+      // Steps 1-3: Run the stage pipeline (normalization → dialect → analysis →
+      // dictionary → keigo → sentence assembly → scenario → emoji → orthography → 宛名 →
+      // style guide → budget → restore → lint → readability)
+      const state = {
+        originalText: originalText,
+        text: originalText,
+        options: options,
+        segments: [],
+        dialects: [],
+        records: [],
+        context: null,
+        targetLevel: null,
+        mode: null,
+        addressee: null,
+        random: new RandomSource({ seed: options.seed, stable: options.stable }),
+        styleGuide: options.styleGuide ? this.createStyleGuide(options.styleGuide) : this.styleGuide,
+        conversions: []
+      };
+      const trace = await this.pipeline.run(state, this.getStageOverrides(options));
+      const { context, mode, conversions } = state;
+      if (conversions.length === 0) {
+        // Every approach-producing stage was switched off
+        conversions.push(this.createUnchangedConversion(originalText, state.targetLevel));
+      }
+      const reverse = options.direction === 'reverse';
       
       // Step 4: Select best conversion or provide options
       const selectedConversion = this.selectBestConversion(conversions, context, options);
       
-      // Step 5: Generate additional suggestions and variations
-      const suggestions = this.generateSuggestions(originalText, selectedConversion, context);
+      // Step 5: Generate additional suggestions and variations (politeness advice only applies forward)
+      const suggestions = reverse || options.style ? [] : this.generateSuggestions(originalText, selectedConversion, context, conversions);
       
       // Step 6: Store conversion for learning
       this.storeConversion(originalText, selectedConversion, context, options);
@@ -49,16 +127,38 @@ class EnhancedConversionEngine {
         converted: selectedConversion.text,
         context: context,
         level: selectedConversion.level,
+        edits: selectedConversion.edits,
+        lint: selectedConversion.lint,
+        readability: selectedConversion.readability,
+        budget: selectedConversion.budget,
+        scenario: selectedConversion.scenario,
+        styleGuide: state.styleGuide
+          ? { name: state.styleGuide.name, violations: selectedConversion.styleGuideViolations || [] }
+          : undefined,
+        email: selectedConversion.email,
+        style: selectedConversion.style,
+        eml: selectedConversion.email && options.email && options.email.format === 'eml'
+          ? this.emailComposer.toEml(selectedConversion.email, options.email)
+          : undefined,
         variations: conversions,
         suggestions: suggestions,
+        trace: trace,
         analysis: {
           processingTime: processingTime,
           confidence: selectedConversion.confidence || 0.85,
-          improvements: this.analyzeImprovements(originalText, selectedConversion.text),
+          improvements: this.analyzeImprovements(originalText, selectedConversion),
           detectedIssues: context.needsImprovement
         },
         metadata: {
           conversions: conversions.length,
+          mode: mode,
+          direction: reverse ? 'reverse' : 'forward',
+          register: selectedConversion.register,
+          protectedSegments: state.segments.length,
+          dialects: state.dialects,
+          seed: state.random.seed,
+          stable: state.random.stable,
+          stages: trace.filter(entry => entry.enabled).map(entry => entry.stage),
           timestamp: new Date().toISOString(),
           engine: 'enhanced-v2.0'
         }
@@ -71,23 +171,427 @@ class EnhancedConversionEngine {
   }
 
   /**
-   * Generate multiple conversion approaches
+   * Throw for options that are the caller's mistake rather than a conversion failure
    */
-  async generateConversions(originalText, context, targetLevel) {
-    const conversions = [];
-    
-    // Approach 1: Word-level intelligent conversion
-    const wordConversion = this.wordConverter.convertText(originalText, context);
-    conversions.push({
+  validateOptions(options) {
+    if (options.timeZone) ScheduleContext.validateTimeZone(options.timeZone);
+    this.contextAnalyzer.scheduleContext.parseSendTime(options.sendTime);
+  }
+
+  /**
+   * Add or replace a pipeline stage: {name, order, run(state, options), options, enabled}
+   */
+  registerStage(stage) {
+    this.pipeline.register(stage);
+    return this;
+  }
+
+  /**
+   * Per-request stage switches; preserveMarkup and dialect false are shorthands
+   * for turning off the normalization and dialect stages
+   */
+  getStageOverrides(options) {
+    const overrides = { ...(options.stages || {}) };
+    if (options.preserveMarkup === false && overrides.normalization === undefined) {
+      overrides.normalization = false;
+    }
+    if (options.dialect === false && overrides.dialect === undefined) {
+      overrides.dialect = false;
+    }
+    return overrides;
+  }
+
+  /**
+   * Built-in stages, in run order
+   */
+  registerDefaultStages() {
+    // Code, URLs, mentions and placeholders are masked so only prose is converted
+    this.registerStage({
+      name: 'normalization',
+      order: 100,
+      description: 'コード・URLなどの保護部分をマスク',
+      run: (state) => {
+        const masked = this.textMasker.mask(state.text);
+        state.text = masked.text;
+        state.segments = masked.segments;
+      }
+    });
+
+    // Dialect → 標準語 before the politeness step; opt-in through options.dialect
+    // ('auto' or a dialect key), since the rules would rewrite some 標準語 too
+    this.registerStage({
+      name: 'dialect',
+      order: 200,
+      description: '方言を標準語に変換',
+      run: (state) => {
+        if (!state.options.dialect) {
+          return;
+        }
+        const dialect = this.dialectNormalizer.normalize(state.text, state.options.dialect, state.records);
+        state.text = dialect.text;
+        state.dialects = dialect.dialects;
+      }
+    });
+
+    // Context, target politeness level and mode
+    // (document mode for several sentences or lines unless options.mode is 'sentence',
+    // email mode only when options.mode is 'email')
+    this.registerStage({
+      name: 'analysis',
+      order: 300,
+      required: true,
+      description: '文脈・目標レベル・モードの判定',
+      run: (state) => {
+        const recipient = this.recipientProfiles.resolve(state.options.recipient);
+        const analysisOptions = {
+          sendTime: state.options.sendTime,
+          timeZone: state.options.timeZone || (recipient && recipient.timeZone),
+          originalText: state.originalText
+        };
+        state.context = this.applyRecipient(this.contextAnalyzer.analyzeContext(state.text, analysisOptions), recipient);
+        if (state.options.formality) {
+          state.context.formality = state.options.formality;
+        }
+        state.targetLevel = this.determineTargetLevel(state.context, state.options);
+        state.mode = this.resolveMode(state.text, state.options);
+      }
+    });
+
+    // Word-level approach: dictionary words and phrases...
+    this.registerStage({
+      name: 'dictionary',
+      order: 400,
+      description: '辞書による単語・フレーズ変換',
+      run: (state) => {
+        if (!this.isWordLevelMode(state)) return;
+        const details = [];
+        const text = this.wordConverter.convertDictionary(state.text, state.context, details);
+        state.conversions.push(this.createWordLevelConversion(text, state.targetLevel, details));
+      }
+    });
+
+    // ...then verbs and sentence patterns for the target level
+    this.registerStage({
+      name: 'keigo',
+      order: 500,
+      description: '動詞の敬語活用と文末パターン変換',
+      run: (state) => {
+        if (!this.isWordLevelMode(state)) return;
+        let conversion = state.conversions.find(candidate => candidate.approach === 'word-level');
+        if (!conversion) {
+          conversion = this.createWordLevelConversion(state.text, state.targetLevel, []);
+          state.conversions.push(conversion);
+        }
+        conversion.text = this.wordConverter.convertKeigo(conversion.text, state.context, state.targetLevel, conversion.details);
+      }
+    });
+
+    // Generated approaches per mode; options.bonuses are added to their scores
+    // (options.direction 'reverse' goes polite → options.register instead, and
+    // options.style only normalizes である調/です・ます調)
+    this.registerStage({
+      name: 'sentence-assembly',
+      order: 600,
+      description: '文の組み立て（文・文書・メール・逆変換・文体統一）',
+      options: {
+        bonuses: { 'sentence-generation': 10, document: 10, 'context-optimized': 15 }
+      },
+      run: async (state, stageOptions) => {
+        const { options, targetLevel } = state;
+        // Emoji are added by their own stage
+        const context = { ...state.context, emoji: false, random: state.random };
+        let conversions;
+
+        if (options.direction === 'reverse') {
+          conversions = this.generateReverseConversions(state.text, options.register || 'plain');
+        } else if (options.style) {
+          conversions = this.generateStyleConversions(state.text, options.style);
+        } else if (state.mode === 'email') {
+          conversions = this.generateEmailConversions(state.text, context, targetLevel,
+            { recipient: state.context.recipient || undefined, ...options.email });
+        } else if (state.mode === 'document') {
+          conversions = this.generateDocumentConversions(state.text, context, targetLevel);
+        } else {
+          conversions = await this.generateConversions(state.text, context, targetLevel);
+        }
+
+        conversions.forEach(conversion => {
+          conversion.bonus = stageOptions.bonuses[conversion.approach] || 0;
+        });
+        state.conversions.push(...conversions);
+      }
+    });
+
+    // Scenario template (日程調整, 催促, お詫び, …) as one more approach: options.scenario
+    // (an id or label) picks it and wins selection; a template detected from keywords and
+    // intent is only offered as a variation and a suggestion, never selected on its own;
+    // options.slots fills slots explicitly
+    this.registerStage({
+      name: 'scenario',
+      order: 650,
+      description: 'シナリオテンプレート（日程調整・催促・お詫び など）',
+      options: {
+        bonuses: { explicit: 100 }
+      },
+      run: (state, stageOptions) => {
+        if (!this.isWordLevelMode(state)) return;
+
+        const explicit = Boolean(state.options.scenario);
+        const scenario = explicit
+          ? state.options.scenario
+          : this.scenarioTemplates.detect(state.text, state.context);
+        if (!scenario) return;
+
+        const context = { ...state.context, random: state.random };
+        const conversion = this.generateScenarioConversion(state.text, context, state.targetLevel,
+          explicit ? scenario : scenario.id, state.options.slots);
+        if (explicit) {
+          conversion.bonus = stageOptions.bonuses.explicit;
+        } else {
+          conversion.suggested = true;
+        }
+        state.conversions.push(conversion);
+      }
+    });
+
+    // Emoji for level 4+ on generated approaches, unless the recipient profile disallows them
+    this.registerStage({
+      name: 'emoji',
+      order: 700,
+      description: 'レベル4以上の生成文に絵文字を追加',
+      run: (state) => {
+        if (state.context.emoji === false) return;
+        // Formal letters never get emoji
+        if (state.context.formality) return;
+        state.conversions
+          .filter(conversion => conversion.level >= 4 && EMOJI_APPROACHES.includes(conversion.approach))
+          .forEach(conversion => {
+            conversion.text = this.sentenceGenerator.addEmoji(conversion.text, { ...state.context, random: state.random });
+          });
+      }
+    });
+
+    // 宛名 of the recipient profile above forward sentence and document conversions
+    // (the same modes as the word-level approach; emails carry it in email.salutation)
+    this.registerStage({
+      name: 'addressee',
+      order: 750,
+      description: '宛先プロフィールの宛名を挿入',
+      run: (state) => {
+        const recipient = state.context.recipient;
+        if (!recipient || !this.isWordLevelMode(state)) return;
+        // Already addressed in the original message
+        if (recipient.name && state.text.trimStart().startsWith(recipient.name)) return;
+
+        const external = this.emailComposer.isExternal(state.context, recipient, this.emailComposer.signature);
+        const addressee = this.emailComposer.formatSalutation(recipient, external);
+        if (!addressee) return;
+        state.addressee = addressee;
+
+        state.conversions
+          .filter(conversion => conversion.approach !== 'unchanged')
+          .forEach(conversion => {
+            conversion.text = addressee + '\n\n' + conversion.text;
+          });
+      }
+    });
+
+    // 表記 unification with an orthography preset, before the style guide so its spellings win
+    this.registerStage({
+      name: 'orthography',
+      order: 720,
+      description: '表記（漢字・かな・全角半角・句読点）の統一',
+      run: (state) => {
+        const preset = state.options.orthography || this.orthography;
+        if (!preset) return;
+        state.conversions
+          .filter(conversion => conversion.approach !== 'unchanged')
+          .forEach(conversion => {
+            const records = conversion.records || (conversion.records = []);
+            this.rewriteConversion(conversion, text => this.orthographyNormalizer.normalize(text, preset, records).text);
+          });
+      }
+    });
+
+    // Company/team style guide: banned phrases, spellings, emoji policy and the required closing
+    this.registerStage({
+      name: 'style-guide',
+      order: 760,
+      description: 'スタイルガイドの適用',
+      run: (state) => {
+        if (!state.styleGuide) return;
+        state.conversions
+          .filter(conversion => conversion.approach !== 'unchanged')
+          .forEach(conversion => {
+            this.applyStyleGuide(conversion, state.styleGuide, state.context, this.requiresClosing(state));
+          });
+      }
+    });
+
+    // Length budget, last before restore so it measures the final text: added greetings,
+    // closings and cushions are dropped until the text fits; the 宛名 and the style guide's
+    // required closing count but stay (emails are left alone; 件名 and 署名 are expected to be long)
+    this.registerStage({
+      name: 'length-budget',
+      order: 780,
+      description: '文字数・倍率・文数の上限に収める',
+      run: (state) => {
+        const budget = state.options.budget || this.budget;
+        if (!budget) return;
+        const keep = [state.addressee, ...(state.styleGuide ? state.styleGuide.requiredClosings : [])];
+        state.conversions
+          .filter(conversion => conversion.approach !== 'unchanged' && !conversion.email)
+          .forEach(conversion => {
+            const fitted = this.readabilityAnalyzer.fitToBudget(conversion.text, state.originalText, budget,
+              text => this.textMasker.restore(text, state.segments), keep);
+            conversion.text = fitted.text;
+            conversion.budget = {
+              maxChars: budget.maxChars || null,
+              maxRatio: budget.maxRatio || null,
+              maxSentences: budget.maxSentences || null,
+              characters: fitted.characters,
+              ratio: fitted.ratio,
+              sentences: fitted.sentences,
+              removed: fitted.removed,
+              exceeded: fitted.exceeded
+            };
+          });
+      }
+    });
+
+    this.registerStage({
+      name: 'restore',
+      order: 800,
+      required: true,
+      description: '保護部分を戻し、編集差分を作成',
+      run: (state) => {
+        this.restoreConversions(state.originalText, state.conversions, state.segments, state.records);
+      }
+    });
+
+    // 二重敬語 and misused keigo in every approach, and what the style guide could not fix
+    this.registerStage({
+      name: 'lint',
+      order: 900,
+      description: '敬語の誤用・スタイルガイド違反チェック',
+      run: (state) => {
+        state.conversions.forEach(conversion => {
+          conversion.lint = this.keigoLinter.lint(conversion.text);
+          if (state.styleGuide && conversion.approach !== 'unchanged') {
+            conversion.styleGuideViolations = state.styleGuide.check(conversion.text, state.context,
+              { closing: this.requiresClosing(state) });
+          }
+        });
+      }
+    });
+
+    // Readability score (kanji ratio, sentence length, clause depth) used when selecting
+    this.registerStage({
+      name: 'readability',
+      order: 950,
+      description: '読みやすさの評価',
+      run: (state) => {
+        state.conversions.forEach(conversion => {
+          conversion.readability = this.readabilityAnalyzer.analyze(conversion.text);
+        });
+      }
+    });
+  }
+
+  /**
+   * Recipient profile on the context; its relationship replaces the keyword guess
+   * and it decides whether emoji are allowed
+   */
+  applyRecipient(context, recipient) {
+    if (!recipient) return context;
+
+    const relationship = recipient.relationship || context.relationship;
+    return {
+      ...context,
+      relationship: relationship,
+      emoji: RecipientProfiles.allowsEmoji({ ...recipient, relationship }),
+      recipient: recipient
+    };
+  }
+
+  /**
+   * StyleGuide from a definition object, or the instance itself
+   */
+  createStyleGuide(styleGuide) {
+    return styleGuide instanceof StyleGuide ? styleGuide : new StyleGuide(styleGuide);
+  }
+
+  /**
+   * Apply the style guide to one approach; the required closing goes into an email's
+   * 結び, not after the signature
+   */
+  applyStyleGuide(conversion, styleGuide, context, closing) {
+    const records = conversion.records || (conversion.records = []);
+    this.rewriteConversion(conversion, (text, field) =>
+      styleGuide.apply(text, context, records, { closing: closing && (field === 'closing' || field === 'text') }).text);
+  }
+
+  /**
+   * Rewrite an approach's text after assembly; emails are rewritten field by field
+   * (greeting, body, closing) and re-rendered, so 件名, 宛名 and 署名 stay untouched
+   */
+  rewriteConversion(conversion, rewrite) {
+    if (conversion.email) {
+      const email = conversion.email;
+      ['greeting', 'body', 'closing'].forEach(field => {
+        if (email[field]) email[field] = rewrite(email[field], field);
+      });
+      conversion.text = this.emailComposer.toPlainText(email);
+    } else {
+      conversion.text = rewrite(conversion.text, 'text');
+    }
+  }
+
+  /**
+   * Required closings only apply to forward conversions, not to reverse or style-only runs
+   */
+  requiresClosing(state) {
+    return state.options.direction !== 'reverse' && !state.options.style;
+  }
+
+  /**
+   * The word-level approach only exists for forward sentence and document conversion
+   */
+  isWordLevelMode(state) {
+    return state.options.direction !== 'reverse' && !state.options.style &&
+      (state.mode === 'sentence' || state.mode === 'document');
+  }
+
+  createUnchangedConversion(originalText, targetLevel) {
+    return {
+      approach: 'unchanged',
+      text: originalText,
+      level: targetLevel,
+      confidence: 0.5,
+      edits: [],
+      description: '変換なし'
+    };
+  }
+
+  createWordLevelConversion(text, targetLevel, details) {
+    return {
       approach: 'word-level',
-      text: wordConversion.text,
+      text: text,
       level: targetLevel,
       confidence: 0.75,
-      details: wordConversion.conversions,
+      details: details,
       description: '単語・フレーズレベルの丁寧語変換'
-    });
+    };
+  }
+
+  /**
+   * Generated approaches for a single sentence: full sentence generation, level and
+   * style variations, and a context-optimized version
+   */
+  async generateConversions(originalText, context, targetLevel) {
+    const conversions = [];
 
-    // Approach 2: Full sentence generation
+    // Approach 1: Full sentence generation
     const sentenceConversion = this.sentenceGenerator.generatePoliteVersion(originalText, context, targetLevel);
     conversions.push({
       approach: 'sentence-generation',
@@ -97,7 +601,7 @@ class EnhancedConversionEngine {
       description: 'フル文章再構築による自然な丁寧語'
     });
 
-    // Approach 3: Multiple level variations
+    // Approach 2: Multiple level variations
     const variations = this.sentenceGenerator.generateVariations(originalText, context, targetLevel);
     variations.forEach(variation => {
       conversions.push({
@@ -110,7 +614,7 @@ class EnhancedConversionEngine {
       });
     });
 
-    // Approach 4: Context-specific optimized version
+    // Approach 3: Context-specific optimized version
     if (context.situation !== 'general') {
       const contextOptimized = this.generateContextOptimizedVersion(originalText, context, targetLevel);
       conversions.push({
@@ -125,6 +629,179 @@ class EnhancedConversionEngine {
     return conversions;
   }
 
+  /**
+   * 'email' and 'sentence' only when requested; otherwise 'document' for several
+   * sentences or lines
+   */
+  resolveMode(text, options) {
+    if (options.mode === 'email' || options.mode === 'document' || options.mode === 'sentence') {
+      return options.mode;
+    }
+    return this.documentSegmenter.isDocument(text) ? 'document' : 'sentence';
+  }
+
+  /**
+   * Relationship and situation are judged over the whole document, intent per sentence
+   */
+  createSentenceContextGetter(context) {
+    return (sentence) => {
+      const sentenceContext = this.contextAnalyzer.analyzeContext(sentence);
+      return { ...context, intent: sentenceContext.intent, urgency: sentenceContext.urgency };
+    };
+  }
+
+  /**
+   * Scenario template filled from the input, framed with a greeting (or a letter's
+   * 頭語 and 結語); {details} is the input converted sentence by sentence
+   */
+  generateScenarioConversion(originalText, context, targetLevel, scenario, slots) {
+    const details = this.sentenceGenerator.composeDocumentBody(
+      this.documentSegmenter.segment(originalText.trim()),
+      targetLevel,
+      this.createSentenceContextGetter(context)
+    ).trim().replace(/[^。！？!?]$/, '$&。');
+    const rendered = this.scenarioTemplates.render(scenario, originalText, { slots, details });
+
+    return {
+      approach: 'scenario',
+      text: this.sentenceGenerator.frameLines(rendered.lines, context, targetLevel),
+      level: targetLevel,
+      confidence: 0.85,
+      scenario: rendered.scenario,
+      description: `シナリオ「${rendered.scenario.label}」のテンプレート`
+    };
+  }
+
+  /**
+   * Business email around the document-converted body
+   * emailOptions: {subject, recipient, signature, format: 'text' | 'eml', from, to, date}
+   */
+  generateEmailConversions(originalText, context, targetLevel, emailOptions = {}) {
+    const getSentenceContext = this.createSentenceContextGetter(context);
+    const body = this.sentenceGenerator.composeDocumentBody(
+      this.documentSegmenter.segment(originalText.trim()),
+      targetLevel,
+      getSentenceContext,
+      this.sentenceGenerator.findIntentCombination(context)
+    );
+    const email = this.emailComposer.compose(body, context, { ...emailOptions, level: targetLevel });
+
+    return [{
+      approach: 'email',
+      text: this.emailComposer.toPlainText(email),
+      level: targetLevel,
+      confidence: 0.90,
+      email: email,
+      description: '件名・宛名・署名付きのビジネスメール'
+    }];
+  }
+
+  /**
+   * Polite → casual conversion into one register: 'plain', 'desu-masu' or 'friendly'
+   */
+  generateReverseConversions(originalText, register) {
+    const reverseConversion = this.reverseConverter.convert(originalText, register);
+
+    return [{
+      approach: 'reverse',
+      text: reverseConversion.text,
+      // 0 is 常体, below the politeness scale
+      level: register === 'desu-masu' ? 1 : 0,
+      register: register,
+      confidence: 0.80,
+      details: reverseConversion.conversions,
+      description: { plain: '普通体（常体）', 'desu-masu': '敬語を使わないです・ます調', friendly: '親しみやすいくだけた表現' }[register]
+    }];
+  }
+
+  /**
+   * である調/です・ます調 normalization; sentences that could not be converted are
+   * listed in style.unconverted
+   */
+  generateStyleConversions(originalText, style) {
+    const normalized = this.styleNormalizer.normalize(originalText, style);
+
+    return [{
+      approach: 'style-normalization',
+      text: normalized.text,
+      level: style === 'desu-masu' ? 2 : 0,
+      confidence: normalized.unconverted.length > 0 ? 0.70 : 0.85,
+      details: normalized.conversions,
+      style: {
+        target: style,
+        detected: normalized.analysis.style,
+        mixed: normalized.analysis.mixed,
+        converted: normalized.converted,
+        unconverted: normalized.unconverted
+      },
+      description: style === 'dearu' ? 'である調に統一' : 'です・ます調に統一'
+    }];
+  }
+
+  /**
+   * Generated approach for multi-sentence documents; whole-text sentence
+   * generation would merge the paragraphs into one sentence
+   */
+  generateDocumentConversions(originalText, context, targetLevel) {
+    const getSentenceContext = this.createSentenceContextGetter(context);
+    const documentText = this.sentenceGenerator.generateDocumentVersion(originalText, context, targetLevel, getSentenceContext);
+
+    return [{
+      approach: 'document',
+      text: documentText,
+      level: targetLevel,
+      confidence: 0.90,
+      description: '段落・文ごとの丁寧語変換'
+    }];
+  }
+
+  /**
+   * Restore masked segments in every approach and attach its edits against the
+   * original text; generated approaches run the same dictionary and verb passes, so
+   * the word-level records whose result made it into the text attribute those edits,
+   * the greeting, cushion and closing the generator added are edits of their own and
+   * the rest is attributed to the sentence generator
+   */
+  restoreConversions(originalText, conversions, segments, dialectRecords = []) {
+    const wordLevel = conversions.find(conversion => conversion.approach === 'word-level');
+    const ruleRecords = wordLevel ? wordLevel.details : [];
+    const framing = this.sentenceGenerator.getFramingPhrases();
+
+    conversions.forEach(conversion => {
+      conversion.text = this.textMasker.restore(conversion.text, segments);
+      if (conversion.email) {
+        conversion.email.body = this.textMasker.restore(conversion.email.body, segments);
+      }
+      if (conversion.style) {
+        conversion.style.unconverted.forEach(sentence => {
+          sentence.text = this.textMasker.restore(sentence.text, segments);
+        });
+      }
+      const generated = !conversion.details;
+      const appliedRules = generated ? ruleRecords.filter(record => conversion.text.includes(record.converted)) : [];
+      conversion.edits = this.editTracker.createEdits(originalText, conversion.text, {
+        source: generated ? 'sentence-generator' : 'pattern',
+        records: [...dialectRecords, ...(conversion.details || []), ...(conversion.records || []), ...appliedRules],
+        spanRecords: generated ? ruleRecords : [],
+        framing: generated ? framing : []
+      });
+    });
+  }
+
+  /**
+   * Rebuild the converted text from the accepted edits of a result,
+   * without running the conversion again
+   */
+  recompose(result, acceptedEditIds) {
+    const accepted = new Set(acceptedEditIds);
+
+    return {
+      ...result,
+      converted: this.editTracker.applyEdits(result.original, result.edits, accepted),
+      edits: result.edits.map(edit => ({ ...edit, accepted: accepted.has(edit.id) }))
+    };
+  }
+
   /**
    * Determine target politeness level based on context and options
    */
@@ -134,6 +811,11 @@ class EnhancedConversionEngine {
       return options.level;
     }
 
+    // Then the recipient profile's preferred level
+    if (context.recipient && context.recipient.level) {
+      return context.recipient.level;
+    }
+
     // Auto-determine based on context
     let targetLevel = 3; // Default level
 
@@ -159,6 +841,11 @@ class EnhancedConversionEngine {
       targetLevel = Math.max(targetLevel, 4);
     }
 
+    // Letters (拝啓…敬具) are written at letter register
+    if (context.formality) {
+      targetLevel = Math.max(targetLevel, 4);
+    }
+
     // Apply user preferences
     if (this.userPreferences.defaultLevel) {
       targetLevel = Math.max(targetLevel, this.userPreferences.defaultLevel);
@@ -169,6 +856,7 @@ class EnhancedConversionEngine {
 
   /**
    * Select the best conversion from available options
+   * Suggested conversions (detected scenarios) only win when asked for by preferredApproach
    */
   selectBestConversion(conversions, context, options) {
     // If user specified preference for approach
@@ -177,8 +865,10 @@ class EnhancedConversionEngine {
       if (preferred) return preferred;
     }
 
+    const candidates = conversions.filter(conversion => !conversion.suggested);
+
     // Score each conversion
-    const scoredConversions = conversions.map(conversion => ({
+    const scoredConversions = (candidates.length > 0 ? candidates : conversions).map(conversion => ({
       ...conversion,
       score: this.scoreConversion(conversion, context, options)
     }));
@@ -194,14 +884,20 @@ class EnhancedConversionEngine {
   scoreConversion(conversion, context, options) {
     let score = conversion.confidence * 100;
 
-    // Bonus for sentence generation approach (more natural)
-    if (conversion.approach === 'sentence-generation') {
-      score += 10;
-    }
+    // Approach bonus from the stage that produced it (sentence-assembly options.bonuses)
+    score += conversion.bonus || 0;
+
+    // Style guide violations left after fixing
+    (conversion.styleGuideViolations || []).forEach(violation => {
+      score -= violation.severity === 'error' ? 10 : 2;
+    });
 
-    // Bonus for context optimization
-    if (conversion.approach === 'context-optimized') {
-      score += 15;
+    // Hard-to-read text loses up to 10 points; text still over its length budget loses 30
+    if (conversion.readability) {
+      score -= (100 - conversion.readability.score) / 10;
+    }
+    if (conversion.budget && conversion.budget.exceeded.length > 0) {
+      score -= 30;
     }
 
     // Adjust for level appropriateness
@@ -238,9 +934,19 @@ class EnhancedConversionEngine {
   /**
    * Generate suggestions for improvement
    */
-  generateSuggestions(originalText, selectedConversion, context) {
+  generateSuggestions(originalText, selectedConversion, context, conversions = []) {
     const suggestions = [];
 
+    // Detected scenario templates are offered, not applied
+    conversions.filter(conversion => conversion.suggested && conversion.scenario).forEach(conversion => {
+      suggestions.push({
+        type: 'scenario',
+        message: `「${conversion.scenario.label}」のテンプレートで作成することもできます`,
+        action: 'use_scenario',
+        scenario: conversion.scenario.id
+      });
+    });
+
     // Context-based suggestions
     const contextSuggestions = this.contextAnalyzer.generateSuggestions(context);
     suggestions.push(...contextSuggestions.map(s => ({ type: 'context', message: s })));
@@ -270,8 +976,10 @@ class EnhancedConversionEngine {
   /**
    * Analyze improvements made during conversion
    */
-  analyzeImprovements(originalText, convertedText) {
+  analyzeImprovements(originalText, selectedConversion) {
     const improvements = [];
+    const convertedText = selectedConversion.text;
+    const edits = selectedConversion.edits || [];
 
     // Length improvement
     if (convertedText.length > originalText.length * 1.3) {
@@ -287,13 +995,11 @@ class EnhancedConversionEngine {
       improvements.push(`丁寧な表現を追加: ${addedMarkers.join(', ')}`);
     }
 
-    // Casual word replacement
-    const casualWords = ['アプデ', 'バグ', 'やって', 'して', 'マジで'];
-    const replacedWords = casualWords.filter(word => 
-      originalText.includes(word) && !convertedText.includes(word)
-    );
-    if (replacedWords.length > 0) {
-      improvements.push(`カジュアルな表現を改善: ${replacedWords.length}個の単語`);
+    // Rewritten spans of the original, grouped by the pass that produced them
+    const rewrites = edits.filter(edit => edit.original !== '');
+    if (rewrites.length > 0) {
+      const sources = [...new Set(rewrites.map(edit => edit.source))];
+      improvements.push(`カジュアルな表現を改善: ${rewrites.length}箇所 (${sources.join(', ')})`);
     }
 
     return improvements;
@@ -373,6 +1079,16 @@ class EnhancedConversionEngine {
       converted: originalText + 'をお願いします。', // Simple fallback
       context: { intent: 'unknown', urgency: 'normal', relationship: 'unknown' },
       level: 2,
+      edits: [{
+        id: 'edit-0',
+        start: originalText.length,
+        end: originalText.length,
+        original: '',
+        replacement: 'をお願いします。',
+        source: 'fallback',
+        rule: 'fallback',
+        reason: null
+      }],
       variations: [],
       suggestions: [{ type: 'error', message: 'システムエラーが発生しました。シンプルな変換を適用しました。' }],
       analysis: {
@@ -1,9 +1,25 @@
 /**
  * Context Analyzer - Intelligent Japanese text context recognition
- * Analyzes intent, situation, urgency, and relationship from text
+ * Analyzes intent, situation, urgency, and relationship from text; intent, urgency and
+ * relationship come from IntentClassifier, with the keyword patterns as fallback
  */
+
+const { loadDictionary } = require('../shared/dictionaryLoader');
+const IntentClassifier = require('./intentClassifier');
+const ScheduleContext = require('./scheduleContext');
+
+// One sentence per match, for intent spans
+const INTENT_SPAN_PATTERN = /[^。！？!?\n]+[。！？!?]*/g;
+
 class ContextAnalyzer {
-  constructor() {
+  /**
+   * options.classifier: an IntentClassifier, or false for keyword patterns only
+   * options.timeZone: default time zone of recipients (Asia/Tokyo)
+   */
+  constructor(options = {}) {
+    this.classifier = options.classifier === false ? null : (options.classifier || new IntentClassifier());
+    this.scheduleContext = new ScheduleContext({ timeZone: options.timeZone });
+
     this.intentPatterns = {
       request: [
         /して/, /してください/, /お願い/, /頼む/, /やって/, /確認/, /チェック/, 
@@ -61,32 +77,71 @@ class ContextAnalyzer {
       ]
     };
 
-    this.casualWords = [
-      'アプデ', 'バグ', 'レス', 'リスケ', 'ググる', 'ヤバい', 'マジで',
-      'やって', 'して', 'ダメ', 'オッケー', 'NG', 'OK', 'チェック'
-    ];
+    // Dictionary keys plus casual markers that have no direct replacement
+    const dictionary = loadDictionary();
+    this.casualWords = [...new Set([
+      ...Object.keys(dictionary.words),
+      ...Object.keys(dictionary.phrases),
+      'ダメ', 'OK'
+    ])];
   }
 
   /**
    * Analyze the overall context of the text
+   * options: {sendTime, timeZone} - when the message is sent and the recipient's time zone
+   * (now and Asia/Tokyo by default); options.originalText is the caller's input when text
+   * was masked, so intent span offsets point into what the caller passed in
    */
-  analyzeContext(text) {
-    const intent = this.analyzeIntent(text);
-    const urgency = this.detectUrgency(text);
-    const relationship = this.estimateRelationship(text);
+  analyzeContext(text, options = {}) {
+    const classification = {
+      intent: this.classify(text, 'intent'),
+      urgency: this.classify(text, 'urgency'),
+      relationship: this.classify(text, 'relationship')
+    };
+    const intent = classification.intent.label;
+    const urgency = classification.urgency.label;
+    const relationship = classification.relationship.label;
     const situation = this.detectSituation(text);
     const formalityLevel = this.assessFormality(text);
-    const timeContext = this.detectTimeContext(text);
+    const schedule = this.scheduleContext.resolve(options.sendTime, options.timeZone);
+    const timeContext = this.detectTimeContext(text, schedule);
 
     return {
       intent,
+      intents: this.analyzeIntentSpans(options.originalText || text),
       urgency, 
       relationship,
       situation,
       formalityLevel,
       timeContext,
+      schedule,
       needsImprovement: this.needsImprovement(text),
-      casualWords: this.findCasualWords(text)
+      casualWords: this.findCasualWords(text),
+      classification
+    };
+  }
+
+  /**
+   * Label for intent, urgency or relationship: {label, confidence, scores, source}
+   * source is 'classifier', or 'keywords' when there is no model or it is not confident
+   * (scores then still show what the classifier thought)
+   */
+  classify(text, task) {
+    const result = this.classifier ? this.classifier.classify(text, task) : null;
+    if (this.classifier && this.classifier.isConfident(result)) {
+      return { ...result, source: 'classifier' };
+    }
+
+    const fallbacks = {
+      intent: () => this.matchIntentPatterns(text),
+      urgency: () => this.matchUrgencyPatterns(text),
+      relationship: () => this.matchRelationshipPatterns(text)
+    };
+    return {
+      label: fallbacks[task](),
+      confidence: null,
+      scores: result ? result.scores : null,
+      source: 'keywords'
     };
   }
 
@@ -94,6 +149,38 @@ class ContextAnalyzer {
    * Analyze the intent/purpose of the text
    */
   analyzeIntent(text) {
+    return this.classify(text, 'intent').label;
+  }
+
+  /**
+   * Intent of every sentence: [{start, end, text, intent, confidence, scores, source}]
+   * "資料アプデしました。確認お願い。あと明日の会議何時？" → report, request, question
+   */
+  analyzeIntentSpans(text) {
+    const spans = [];
+    for (const match of text.matchAll(INTENT_SPAN_PATTERN)) {
+      const sentence = match[0].trim();
+      if (!sentence) continue;
+
+      const start = match.index + match[0].indexOf(sentence);
+      const { label, confidence, scores, source } = this.classify(sentence, 'intent');
+      spans.push({
+        start: start,
+        end: start + sentence.length,
+        text: sentence,
+        intent: label,
+        confidence: confidence,
+        scores: scores,
+        source: source
+      });
+    }
+    return spans;
+  }
+
+  /**
+   * Intent with the most keyword hits
+   */
+  matchIntentPatterns(text) {
     const scores = {};
     
     for (const [intent, patterns] of Object.entries(this.intentPatterns)) {
@@ -116,6 +203,13 @@ class ContextAnalyzer {
    * Detect urgency level
    */
   detectUrgency(text) {
+    return this.classify(text, 'urgency').label;
+  }
+
+  /**
+   * First urgency level with a keyword hit
+   */
+  matchUrgencyPatterns(text) {
     for (const [level, patterns] of Object.entries(this.urgencyIndicators)) {
       for (const pattern of patterns) {
         if (pattern.test(text)) {
@@ -130,6 +224,13 @@ class ContextAnalyzer {
    * Estimate relationship with recipient
    */
   estimateRelationship(text) {
+    return this.classify(text, 'relationship').label;
+  }
+
+  /**
+   * Relationship with the most keyword hits
+   */
+  matchRelationshipPatterns(text) {
     const scores = {};
     
     for (const [relationship, patterns] of Object.entries(this.relationshipIndicators)) {
@@ -217,8 +318,9 @@ class ContextAnalyzer {
 
   /**
    * Detect time context (morning, afternoon, etc.)
+   * Without time words in the text, the send time in the recipient's time zone decides
    */
-  detectTimeContext(text) {
+  detectTimeContext(text, schedule = this.scheduleContext.resolve()) {
     const timePatterns = {
       morning: [/おはよう/, /朝/, /午前/, /今朝/],
       afternoon: [/こんにちは/, /午後/, /昼/, /ランチ/],
@@ -234,11 +336,7 @@ class ContextAnalyzer {
       }
     }
 
-    // Guess based on current time if no indicators
-    const hour = new Date().getHours();
-    if (hour < 12) return 'morning';
-    if (hour < 18) return 'afternoon';
-    return 'evening';
+    return schedule.timeContext;
   }
 
   /**
@@ -0,0 +1,85 @@
+/**
+ * Document Segmenter - Paragraph, line and sentence structure of multi-sentence input
+ * Splits text into lines (keeping indentation, bullet markers and blank lines) and
+ * sentences, and recomposes converted sentences into the same layout
+ */
+
+// Bullet and numbered-list markers at the start of a line, with their trailing space
+const LIST_MARKER_PATTERN = /^([・\-*•●◦‣]|\d+[.)．]|[①-⑳])[ \t　]*/;
+
+// Sentence terminators, plus any closing spaces that belong to them
+const SENTENCE_PATTERN = /[^。！？!?]+(?:[。！？!?]+[ \t　]*|$)|[。！？!?]+[ \t　]*/g;
+
+class DocumentSegmenter {
+  /**
+   * Split text into {newline, lines: [{blank, indent, marker, sentences: [{text, terminator}]}]}
+   */
+  segment(text) {
+    const newline = text.includes('\r\n') ? '\r\n' : '\n';
+
+    const lines = text.split(/\r?\n/).map(line => {
+      if (line.trim() === '') {
+        return { blank: true, raw: line, indent: '', marker: '', sentences: [] };
+      }
+
+      const indent = line.match(/^[ \t　]*/)[0];
+      const rest = line.slice(indent.length);
+      const markerMatch = rest.match(LIST_MARKER_PATTERN);
+      const marker = markerMatch ? markerMatch[0] : '';
+
+      return {
+        blank: false,
+        raw: line,
+        indent: indent,
+        marker: marker,
+        sentences: this.splitSentences(rest.slice(marker.length))
+      };
+    });
+
+    return { newline, lines };
+  }
+
+  /**
+   * Sentences of a single line, each with its terminator ("。", "？ ", or "")
+   */
+  splitSentences(text) {
+    return (text.match(SENTENCE_PATTERN) || []).map(part => {
+      const terminator = part.match(/[。！？!?]*[ \t　]*$/)[0];
+      return { text: part.slice(0, part.length - terminator.length), terminator };
+    });
+  }
+
+  /**
+   * Whether the text needs document mode: several lines or several sentences
+   */
+  isDocument(text) {
+    const trimmed = text.trim();
+    if (/\r?\n/.test(trimmed)) return true;
+    return this.splitSentences(trimmed).filter(sentence => sentence.text.trim() !== '').length > 1;
+  }
+
+  /**
+   * All non-empty sentences in document order
+   */
+  getSentences(document) {
+    return document.lines.flatMap(line => line.sentences.filter(sentence => sentence.text.trim() !== ''));
+  }
+
+  /**
+   * Rebuild the layout with each sentence replaced by convertSentence(sentence, line)
+   */
+  compose(document, convertSentence) {
+    return document.lines.map(line => {
+      if (line.blank) return line.raw;
+
+      const body = line.sentences.map(sentence => {
+        if (sentence.text.trim() === '') return sentence.text + sentence.terminator;
+        return convertSentence(sentence, line);
+      }).join('');
+
+      return line.indent + line.marker + body;
+    }).join(document.newline);
+  }
+}
+
+module.exports = DocumentSegmenter;
@@ -0,0 +1,249 @@
+/**
+ * Email Composer - Japanese business email layout
+ * Wraps a converted body with 件名, 宛名, 挨拶, 名乗り, 結び and 署名, and renders the
+ * result as plain text or as an .eml message
+ */
+
+const expressionDatabase = require('../data/expressionDatabase.json');
+const { RandomSource } = require('../shared/randomSource');
+const { RecipientProfiles } = require('../shared/recipientProfiles');
+const ScheduleContext = require('./scheduleContext');
+
+// Subject suffix by detected intent
+const SUBJECT_SUFFIXES = {
+  request: 'のお願い',
+  question: 'についてのご質問',
+  report: 'のご報告',
+  apology: 'のお詫び',
+  greeting: 'のご挨拶',
+  complaint: 'についてのご相談'
+};
+
+// Nouns that make a good 件名 topic; the first one in the body wins
+const SUBJECT_TOPIC_PATTERN = /(お?打ち合わせ|会議|ミーティング|お?見積(?:書|り)?|請求書|契約書?|日程|スケジュール|納期|資料|報告書|企画書?|提案書?|プロジェクト|システム|予算|売上)/;
+
+// Opening greetings: お世話になっております outside the company, お疲れ様 inside
+const GREETING_PATTERNS = {
+  external: /お世話になっております/,
+  internal: /お疲れ様/
+};
+
+// expressionDatabase closing category per intent; report and greeting only get the sign-off
+const CLOSING_CATEGORIES = {
+  request: 'request',
+  question: 'question',
+  apology: 'apology',
+  complaint: 'request'
+};
+
+// A casual sign-off ending the body; the 結び brings the proper one
+const CASUAL_SIGN_OFF_PATTERN = /(?:^|(?<=[。！？!?\n]))[ \t　]*よろしく(?:ね|です|〜|ー)*[。！!]*\s*$/;
+
+const SIGNATURE_SEPARATOR = '--------------------------------';
+
+// Non-ASCII header text is split into encoded words of at most this many bytes
+const ENCODED_WORD_BYTES = 45;
+
+class EmailComposer {
+  constructor(options = {}) {
+    this.expressions = expressionDatabase;
+    this.signature = options.signature || null;
+    this.random = new RandomSource();
+  }
+
+  /**
+   * Build an email around an already converted body:
+   * {subject, salutation, greeting, introduction, body, closing, signature, external}
+   * options: {subject, recipient: {company, department, title, name, honorific}, signature, level}
+   */
+  compose(body, context = {}, options = {}) {
+    const recipient = options.recipient || {};
+    const signature = options.signature !== undefined ? options.signature : this.signature;
+    const level = options.level || 3;
+    const external = this.isExternal(context, recipient, signature);
+
+    return {
+      subject: options.subject || this.createSubject(body, context),
+      salutation: this.formatSalutation(recipient, external),
+      greeting: this.selectGreeting(context, external),
+      introduction: this.formatIntroduction(signature, external),
+      body: this.removeCasualSignOff(body).trim(),
+      closing: this.formatClosing(context, level),
+      signature: this.formatSignature(signature),
+      external: external
+    };
+  }
+
+  /**
+   * Customers, and recipients from another company than the sender, get the external style
+   */
+  isExternal(context, recipient, signature) {
+    if (context.relationship === 'customer') return true;
+    if (!recipient.company) return false;
+    return !(signature && typeof signature === 'object' && signature.company === recipient.company);
+  }
+
+  /**
+   * 件名 from the first business topic in the body and the intent
+   */
+  createSubject(body, context) {
+    const match = body.match(SUBJECT_TOPIC_PATTERN);
+    if (!match) return context.intent === 'apology' ? 'お詫び' : 'ご連絡';
+
+    return match[1] + (SUBJECT_SUFFIXES[context.intent] || 'の件');
+  }
+
+  /**
+   * 宛名 with the recipient's 敬称 (様 unless recipient.honorific is さん or 殿)
+   */
+  formatSalutation(recipient, external) {
+    return RecipientProfiles.formatAddressee(recipient, external);
+  }
+
+  /**
+   * Body without a trailing casual よろしく, unless that is all there is
+   */
+  removeCasualSignOff(body) {
+    const stripped = body.replace(CASUAL_SIGN_OFF_PATTERN, '');
+    return stripped.trim() ? stripped : body;
+  }
+
+  /**
+   * Opening greeting from expressionDatabase, matching the time of day when possible
+   * (past-tense お疲れ様でした closes a day rather than opening an email; with no
+   * match the general greetings are used); late at night, early in the morning or on
+   * a holiday for the recipient an apology for the timing follows
+   * (お世話になっております。夜分遅くに失礼いたします。)
+   */
+  selectGreeting(context, external) {
+    const greetings = this.expressions.greetings;
+    const pattern = external ? GREETING_PATTERNS.external : GREETING_PATTERNS.internal;
+    const candidates = [...(greetings[context.timeContext] || []), ...greetings.general]
+      .filter(greeting => pattern.test(greeting) && !/でした$/.test(greeting));
+    const pool = candidates.length > 0 ? [...new Set(candidates)] : greetings.general;
+    const greeting = this.getRandomElement(pool, context) + '。';
+
+    const category = ScheduleContext.getGreetingCategory(context.schedule);
+    if (!category) return greeting;
+    return greeting + this.getRandomElement(greetings[category], context) + '。';
+  }
+
+  /**
+   * 名乗り from the signature: 会社名の氏名です outside, 部署の氏名です inside
+   */
+  formatIntroduction(signature, external) {
+    if (!signature || typeof signature !== 'object' || !signature.name) return null;
+
+    const affiliation = external ? signature.company : signature.department;
+    return (affiliation ? affiliation + 'の' : '') + signature.name + 'です。';
+  }
+
+  /**
+   * 結び: an intent-specific closing from expressionDatabase plus the sign-off
+   */
+  formatClosing(context, level) {
+    const closings = this.expressions.closings;
+    const category = context.urgency === 'urgent' ? 'urgent' : CLOSING_CATEGORIES[context.intent];
+    const signOff = level >= 4 ? '何卒よろしくお願い申し上げます。' : 'よろしくお願いいたします。';
+
+    const closing = category && closings[category] ? this.getRandomElement(closings[category], context) : null;
+    if (!closing) return signOff;
+    if (/よろしくお願い/.test(closing)) return closing + '。';
+    return closing + '。\n' + signOff;
+  }
+
+  /**
+   * 署名 block from a string (used as is) or {company, department, title, name, phone, email, address, url}
+   */
+  formatSignature(signature) {
+    if (!signature) return null;
+    if (typeof signature === 'string') return signature.trim();
+
+    const lines = [];
+    if (signature.company) lines.push(signature.company);
+    const position = [signature.department, signature.title].filter(Boolean).join(' ');
+    if (position) lines.push(position);
+    if (signature.name) lines.push(signature.name);
+    if (signature.address) lines.push(signature.address);
+    if (signature.phone) lines.push('TEL: ' + signature.phone);
+    if (signature.email) lines.push('Email: ' + signature.email);
+    if (signature.url) lines.push(signature.url);
+
+    return lines.length > 0 ? [SIGNATURE_SEPARATOR, ...lines, SIGNATURE_SEPARATOR].join('\n') : null;
+  }
+
+  /**
+   * Message text without the subject: 宛名, 挨拶, 本文, 結び and 署名 separated by blank lines
+   */
+  formatMessage(email) {
+    const opening = [email.greeting, email.introduction].filter(Boolean).join('\n');
+    return [email.salutation, opening, email.body, email.closing, email.signature]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Plain text email with a 件名 line
+   */
+  toPlainText(email) {
+    return '件名：' + email.subject + '\n\n' + this.formatMessage(email);
+  }
+
+  /**
+   * RFC 5322 message (.eml) with MIME-encoded headers and a base64 UTF-8 body
+   * options: {from, to, date}; addresses are strings or {name, address}
+   */
+  toEml(email, options = {}) {
+    const headers = [
+      ['Date', (options.date || new Date()).toUTCString()],
+      ['From', this.formatAddress(options.from)],
+      ['To', this.formatAddress(options.to)],
+      ['Subject', this.encodeHeader(email.subject)],
+      ['MIME-Version', '1.0'],
+      ['Content-Type', 'text/plain; charset=UTF-8'],
+      ['Content-Transfer-Encoding', 'base64']
+    ].filter(([, value]) => value);
+
+    const body = Buffer.from(this.formatMessage(email).replace(/\r?\n/g, '\r\n'), 'utf8')
+      .toString('base64')
+      .match(/.{1,76}/g) || [];
+
+    return headers.map(([name, value]) => `${name}: ${value}`).join('\r\n') + '\r\n\r\n' + body.join('\r\n') + '\r\n';
+  }
+
+  formatAddress(address) {
+    if (!address) return null;
+    if (typeof address === 'string') return address;
+    if (!address.name) return address.address;
+    return `${this.encodeHeader(address.name)} <${address.address}>`;
+  }
+
+  /**
+   * RFC 2047 encoded words for non-ASCII header values
+   */
+  encodeHeader(value) {
+    if (!/[^\x20-\x7e]/.test(value)) return value;
+
+    const words = [];
+    let current = '';
+    for (const character of value) {
+      if (Buffer.byteLength(current + character, 'utf8') > ENCODED_WORD_BYTES) {
+        words.push(current);
+        current = '';
+      }
+      current += character;
+    }
+    if (current) words.push(current);
+
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`).join('\r\n ');
+  }
+
+  /**
+   * Random element, from the request's seeded or stable source (context.random) when there is one
+   */
+  getRandomElement(array, context) {
+    return ((context && context.random) || this.random).pick(array);
+  }
+}
+
+module.exports = EmailComposer;
@@ -0,0 +1,246 @@
+/**
+ * Honorific Transformer - Subject-aware 尊敬語/謙譲語 for special verbs
+ * Rewrites irregular verbs (行く, 見る, 言う, 食べる, 知る...) from src/data/honorificVerbs.json,
+ * picking 尊敬語 when the reader acts and 謙譲語 when the writer acts
+ */
+
+const VerbConjugator = require('./verbConjugator');
+const honorificVerbs = require('../data/honorificVerbs.json');
+
+// Subject markers closest to the verb decide who performs the action
+const WRITER_MARKERS = /(?:私|わたし|僕|俺|自分|こちら|弊社|当方)(?:が|は|で|も)/g;
+const READER_MARKERS = /(?:部長|課長|社長|さん|様|先生|先輩|あなた|そちら|御社|貴社)(?:が|は|も)/g;
+
+// A person as the object (田中さんを知っている) calls for 存じ上げる rather than 存じる
+const PERSON_OBJECT_PATTERN = /(?:部長|課長|社長|さん|様|先生|先輩|氏|方)(?:の(?:こと|事))?を/;
+
+// 知ってる / 知っている / 知ってます are 非自立 ている forms the conjugator skips
+const KNOW_STATIVE_PATTERN = /知って(?:い)?(?:る|ます)(?:[よね]+)?(?=$|[。、！？!?\s])/g;
+
+const MASU_ENDINGS = {
+  past: 'ました',
+  negative: 'ません',
+  volitional: 'ましょう',
+  plain: 'ます'
+};
+
+class HonorificTransformer {
+  constructor(options = {}) {
+    this.verbConjugator = options.verbConjugator || new VerbConjugator({ tokenizer: options.tokenizer });
+    this.table = honorificVerbs;
+    this.surfacePatterns = this.buildSurfacePatterns();
+  }
+
+  /**
+   * Rewrite special verbs in the text; returns the text unchanged when
+   * the relationship and level call for plain です・ます
+   */
+  transform(text, context, level = 3, conversions = []) {
+    if (!this.shouldUseKeigo(context, level)) return text;
+
+    const stativeText = this.transformStative(text, conversions);
+    const phrases = this.recognize(stativeText);
+    let result = '';
+    let index = 0;
+
+    for (const phrase of phrases) {
+      const original = stativeText.slice(phrase.start, phrase.end);
+      const actor = this.detectActor(stativeText, phrase);
+      const register = actor === 'reader' ? 'sonkeigo' : 'kenjougo';
+      const question = this.isQuestion(stativeText, phrase);
+      const honorific = this.render(phrase, register, level, question, stativeText);
+      if (!honorific) continue;
+
+      result += stativeText.slice(index, phrase.start) + honorific;
+      index = phrase.end;
+
+      conversions.push({
+        type: 'honorific',
+        original: original,
+        converted: honorific,
+        register: register,
+        actor: actor,
+        reason: actor === 'reader' ? '相手の動作を尊敬語に変換' : '自分の動作を謙譲語に変換'
+      });
+    }
+
+    return result + stativeText.slice(index);
+  }
+
+  /**
+   * 尊敬語/謙譲語 toward superiors and customers, never toward subordinates,
+   * otherwise only from level 3 up
+   */
+  shouldUseKeigo(context, level) {
+    const relationship = context && context.relationship;
+    if (relationship === 'superior' || relationship === 'customer') return true;
+    if (relationship === 'subordinate') return false;
+    return level >= 3;
+  }
+
+  /**
+   * Special verb phrases: [{start, end, dictionaryForm, verbClass, inflection, preparatory}]
+   */
+  recognize(text) {
+    const tokenizer = this.verbConjugator.tokenizer;
+    if (tokenizer.isReady()) {
+      return this.verbConjugator.recognizeWithTokens(tokenizer.tokenize(text))
+        .filter(phrase => this.table[phrase.dictionaryForm]);
+    }
+    return this.recognizeWithPatterns(text);
+  }
+
+  /**
+   * Fallback without a tokenizer: match the table's plain surface forms at clause ends
+   */
+  recognizeWithPatterns(text) {
+    const phrases = [];
+    const alternatives = this.surfacePatterns.map(entry => entry.surface).join('|');
+    const pattern = new RegExp(`(?<![てで])(${alternatives})(?:[よね]+)?(?=$|[。、！？!?\\s])`, 'g');
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const entry = this.surfacePatterns.find(candidate => candidate.surface === match[1]);
+      phrases.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        dictionaryForm: entry.dictionaryForm,
+        verbClass: entry.verbClass,
+        inflection: entry.inflection,
+        preparatory: entry.preparatory
+      });
+    }
+
+    return phrases;
+  }
+
+  /**
+   * Plain and ておく/とく surfaces for every table verb, longest first
+   */
+  buildSurfacePatterns() {
+    const patterns = [];
+
+    for (const [dictionaryForm, entry] of Object.entries(this.table)) {
+      const forms = this.verbConjugator.getPlainForms(dictionaryForm, entry.class);
+      if (!forms) continue;
+
+      for (const [inflection, surface] of Object.entries(forms)) {
+        patterns.push({ surface, dictionaryForm, verbClass: entry.class, inflection, preparatory: false });
+      }
+
+      const teForm = forms.request;
+      const contracted = teForm.slice(0, -1) + (teForm.endsWith('で') ? 'ど' : 'と');
+      const preparatoryForms = {
+        request: [teForm + 'おいて', contracted + 'いて'],
+        past: [teForm + 'おいた', contracted + 'いた'],
+        plain: [teForm + 'おく', contracted + 'く']
+      };
+      for (const [inflection, surfaces] of Object.entries(preparatoryForms)) {
+        surfaces.forEach(surface => {
+          patterns.push({ surface, dictionaryForm, verbClass: entry.class, inflection, preparatory: true });
+        });
+      }
+    }
+
+    return patterns.sort((a, b) => b.surface.length - a.surface.length);
+  }
+
+  /**
+   * Who performs the action: the nearest subject marker in the clause wins,
+   * otherwise requests and questions are the reader's and statements the writer's
+   */
+  detectActor(text, phrase) {
+    const clause = text.slice(0, phrase.start).split(/[。！？!?\n]/).pop();
+    const writerIndex = this.lastMatchIndex(clause, WRITER_MARKERS);
+    const readerIndex = this.lastMatchIndex(clause, READER_MARKERS);
+
+    if (writerIndex !== readerIndex) {
+      return writerIndex > readerIndex ? 'writer' : 'reader';
+    }
+    if (phrase.inflection === 'request' || this.isQuestion(text, phrase)) {
+      return 'reader';
+    }
+    return 'writer';
+  }
+
+  lastMatchIndex(text, pattern) {
+    let lastIndex = -1;
+    for (const match of text.matchAll(pattern)) {
+      lastIndex = match.index;
+    }
+    return lastIndex;
+  }
+
+  isQuestion(text, phrase) {
+    return /^[？?]/.test(text.slice(phrase.end));
+  }
+
+  /**
+   * Table entry for a register; an entry's person variant applies when the
+   * clause's object is a person
+   */
+  getEntry(dictionaryForm, register, text, phrase) {
+    const entry = this.table[dictionaryForm][register];
+    if (!entry || !entry.person) return entry;
+
+    const clause = text.slice(0, phrase.start).split(/[。！？!?\n]/).pop();
+    return PERSON_OBJECT_PATTERN.test(clause) ? entry.person : entry;
+  }
+
+  /**
+   * Render a phrase with the table's honorific verb
+   */
+  render(phrase, register, level, question, text = '') {
+    const entry = this.getEntry(phrase.dictionaryForm, register, text, phrase);
+    if (!entry || !entry.class) return null;
+
+    const { inflection, preparatory } = phrase;
+    const requestEnding = level >= 4 ? 'いただけますでしょうか' : 'いただけますか';
+    const teForm = this.verbConjugator.getTeForm(entry.verb, entry.class);
+
+    if (inflection === 'request') {
+      if (register !== 'sonkeigo') return null;
+      if (preparatory) return teForm + 'おいて' + requestEnding;
+      return (entry.request || teForm) + requestEnding;
+    }
+
+    // Volitional only makes sense for the writer's own actions
+    if (inflection === 'volitional' && register === 'sonkeigo') return null;
+
+    const ending = MASU_ENDINGS[inflection] + (question ? 'か' : '');
+    if (preparatory) {
+      return teForm + 'おき' + ending;
+    }
+    if (entry.class === 'suru' && register === 'kenjougo' && level >= 4) {
+      return entry.verb.slice(0, -2) + 'いたし' + ending;
+    }
+
+    const stem = this.verbConjugator.getMasuStem(entry.verb, entry.class);
+    return stem ? stem + ending : null;
+  }
+
+  /**
+   * 知ってる → ご存じです (reader) / 存じております (writer; 存じ上げております for a person)
+   */
+  transformStative(text, conversions) {
+    return text.replace(KNOW_STATIVE_PATTERN, (match, offset) => {
+      const phrase = { start: offset, end: offset + match.length, inflection: 'plain' };
+      const actor = this.detectActor(text, phrase);
+      const register = actor === 'reader' ? 'sonkeigo' : 'kenjougo';
+      const converted = this.getEntry('知る', register, text, phrase).stative + (this.isQuestion(text, phrase) ? 'か' : '');
+
+      conversions.push({
+        type: 'honorific',
+        original: match,
+        converted: converted,
+        register: register,
+        actor: actor,
+        reason: actor === 'reader' ? '相手の状態を尊敬語に変換' : '自分の状態を謙譲語に変換'
+      });
+
+      return converted;
+    });
+  }
+}
+
+module.exports = HonorificTransformer;
@@ -0,0 +1,209 @@
+/**
+ * Intent Classifier - Character n-gram naive Bayes for intent, urgency and relationship
+ * Weights are trained from src/data/intentCorpus.json by scripts/trainIntentClassifier.js
+ * and shipped as src/data/intentModel.json; ContextAnalyzer falls back to its keyword
+ * patterns when there is no model, the prediction is not confident enough or the task
+ * did too poorly on held-out examples
+ */
+
+const CLASSIFIER_TASKS = ['intent', 'urgency', 'relationship'];
+const DEFAULT_MIN_CONFIDENCE = 0.5;
+
+// Leave-one-out accuracy a task needs before its predictions replace the keyword patterns
+const DEFAULT_MIN_ACCURACY = 0.7;
+
+// Temperatures tried when calibrating: overlapping n-grams count the same evidence
+// several times, so raw naive Bayes posteriors sit close to 1.0
+const CALIBRATION_TEMPERATURES = Array.from({ length: 61 }, (value, index) => Math.pow(10, index / 20));
+
+class IntentClassifier {
+  /**
+   * options: {model (object, or null for none), minConfidence, minAccuracy}
+   */
+  constructor(options = {}) {
+    this.model = options.model !== undefined ? options.model : IntentClassifier.loadModel();
+    this.minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_MIN_CONFIDENCE;
+    this.minAccuracy = options.minAccuracy !== undefined ? options.minAccuracy : DEFAULT_MIN_ACCURACY;
+  }
+
+  /**
+   * Bundled weights, or null when they are missing or unreadable
+   */
+  static loadModel() {
+    try {
+      const fs = require('fs');
+      const path = require('path');
+      return JSON.parse(fs.readFileSync(path.join(__dirname, '../data/intentModel.json'), 'utf8'));
+    } catch (error) {
+      console.warn('⚠️ Intent model not available, using keyword patterns:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Character n-grams of the text with ^ and $ marking its start and end
+   */
+  static extractFeatures(text, ngram = [1, 3]) {
+    const normalized = '^' + text.normalize('NFKC').toLowerCase().replace(/\s+/g, '') + '$';
+    const features = [];
+    for (let size = ngram[0]; size <= ngram[1]; size++) {
+      for (let index = 0; index + size <= normalized.length; index++) {
+        features.push(normalized.slice(index, index + size));
+      }
+    }
+    return features;
+  }
+
+  /**
+   * Train a model from labeled examples [{text, intent, urgency, relationship}]
+   * Examples without a label for a task are left out of that task; n-grams seen in
+   * fewer than minCount examples are dropped to keep the weights small
+   * options: {ngram: [min, max], alpha (Laplace smoothing), minCount}
+   */
+  static train(examples, options = {}) {
+    const ngram = options.ngram || [1, 3];
+    const alpha = options.alpha !== undefined ? options.alpha : 0.5;
+    const minCount = options.minCount || 2;
+
+    const documents = examples.map(example => ({
+      example: example,
+      features: IntentClassifier.extractFeatures(example.text, ngram)
+    }));
+
+    const documentFrequency = {};
+    documents.forEach(document => {
+      new Set(document.features).forEach(feature => {
+        documentFrequency[feature] = (documentFrequency[feature] || 0) + 1;
+      });
+    });
+    const vocabulary = Object.keys(documentFrequency).filter(feature => documentFrequency[feature] >= minCount).sort();
+    const inVocabulary = new Set(vocabulary);
+
+    const tasks = {};
+    CLASSIFIER_TASKS.forEach(task => {
+      const labeled = documents.filter(document => document.example[task]);
+      if (labeled.length === 0) return;
+
+      const labels = [...new Set(labeled.map(document => document.example[task]))].sort();
+      const counts = labels.map(() => ({}));
+      const totals = labels.map(() => 0);
+      const documentCounts = labels.map(() => 0);
+
+      labeled.forEach(document => {
+        const labelIndex = labels.indexOf(document.example[task]);
+        documentCounts[labelIndex]++;
+        document.features.filter(feature => inVocabulary.has(feature)).forEach(feature => {
+          counts[labelIndex][feature] = (counts[labelIndex][feature] || 0) + 1;
+          totals[labelIndex]++;
+        });
+      });
+
+      const weights = {};
+      vocabulary.forEach(feature => {
+        weights[feature] = labels.map((label, labelIndex) => IntentClassifier.round(
+          Math.log(((counts[labelIndex][feature] || 0) + alpha) / (totals[labelIndex] + alpha * vocabulary.length))));
+      });
+
+      tasks[task] = {
+        labels: labels,
+        priors: documentCounts.map(count => IntentClassifier.round(Math.log(count / labeled.length))),
+        weights: weights
+      };
+    });
+
+    return {
+      version: 2,
+      ngram: ngram,
+      alpha: alpha,
+      examples: examples.length,
+      tasks: tasks
+    };
+  }
+
+  static round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+
+  /**
+   * Posterior per label from log scores divided by a temperature
+   */
+  static softmax(logScores, temperature = 1) {
+    const scaled = logScores.map(score => score / temperature);
+    const max = Math.max(...scaled);
+    const exponents = scaled.map(score => Math.exp(score - max));
+    const sum = exponents.reduce((total, value) => total + value, 0);
+    return exponents.map(value => value / sum);
+  }
+
+  /**
+   * Temperature that minimizes the log loss of held-out predictions
+   * [{logScores, labelIndex}], so confidences match how often the label is right
+   */
+  static calibrate(predictions) {
+    if (predictions.length === 0) return 1;
+
+    const logLoss = temperature => predictions.reduce((total, prediction) =>
+      total - Math.log(Math.max(1e-12, IntentClassifier.softmax(prediction.logScores, temperature)[prediction.labelIndex])), 0);
+
+    return CALIBRATION_TEMPERATURES.reduce((best, temperature) =>
+      (logLoss(temperature) < logLoss(best) ? temperature : best), 1);
+  }
+
+  /**
+   * Uncalibrated log score per label of the task's model, or null without a model
+   * for the task or without any known n-gram in the text
+   */
+  scoreLabels(text, task) {
+    const model = this.model && this.model.tasks[task];
+    if (!model) return null;
+
+    const features = IntentClassifier.extractFeatures(text, this.model.ngram)
+      .filter(feature => model.weights[feature]);
+    if (features.length === 0) return null;
+
+    const logScores = model.priors.slice();
+    features.forEach(feature => {
+      model.weights[feature].forEach((weight, labelIndex) => {
+        logScores[labelIndex] += weight;
+      });
+    });
+    return logScores;
+  }
+
+  /**
+   * Most likely label for one task: {label, confidence, scores: {label: probability}, accuracy}
+   * or null without a model for the task or without any known n-gram in the text;
+   * accuracy is the task's leave-one-out accuracy when the model was trained with it
+   */
+  classify(text, task) {
+    const logScores = this.scoreLabels(text, task);
+    if (!logScores) return null;
+
+    const model = this.model.tasks[task];
+    const probabilities = IntentClassifier.softmax(logScores, model.temperature || 1);
+
+    const scores = {};
+    model.labels.forEach((label, labelIndex) => {
+      scores[label] = IntentClassifier.round(probabilities[labelIndex]);
+    });
+    const best = logScores.indexOf(Math.max(...logScores));
+
+    return {
+      label: model.labels[best],
+      confidence: scores[model.labels[best]],
+      scores: scores,
+      accuracy: model.accuracy !== undefined ? model.accuracy : null
+    };
+  }
+
+  /**
+   * Whether a classification is confident enough, from a task that is accurate
+   * enough, to replace the keyword patterns
+   */
+  isConfident(result) {
+    if (!result || result.confidence < this.minConfidence) return false;
+    return result.accuracy === null || result.accuracy === undefined || result.accuracy >= this.minAccuracy;
+  }
+}
+
+module.exports = IntentClassifier;
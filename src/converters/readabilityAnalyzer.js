@@ -0,0 +1,193 @@
+/**
+ * Readability Analyzer - Readability score and length budgets for converted text
+ * Scores kanji ratio, average sentence length and clause depth, and trims added
+ * greetings, cushions and closings until a conversion fits its length budget
+ */
+
+const DocumentSegmenter = require('./documentSegmenter');
+
+// Kanji share of Japanese characters that reads most easily, and the tolerance around it
+const IDEAL_KANJI_RATIO = 0.3;
+const KANJI_RATIO_TOLERANCE = 0.1;
+
+// Sentences longer than this many characters on average start to lose points
+const COMFORTABLE_SENTENCE_LENGTH = 40;
+
+// More clauses than this in one sentence start to lose points
+const COMFORTABLE_CLAUSE_DEPTH = 3;
+
+// Characters that carry content; a sentence sharing none of them with the original was added
+const CONTENT_CHARACTER = /[一-龯々ァ-ヶーA-Za-z0-9Ａ-Ｚａ-ｚ０-９]/;
+
+// More than this share of content characters found in the original makes a sentence part of the
+// message rather than an addition (one shared kanji, as in ご検討のほどお願い, is not enough)
+const CORE_OVERLAP = 0.5;
+
+class ReadabilityAnalyzer {
+  constructor() {
+    this.documentSegmenter = new DocumentSegmenter();
+  }
+
+  /**
+   * {score (0-100), characters, sentences, averageSentenceLength, kanjiRatio, clauseDepth}
+   */
+  analyze(text) {
+    const sentences = this.getSentenceTexts(text);
+    const characters = this.countCharacters(text);
+    const japanese = (text.match(/[ぁ-ゖァ-ヶー一-龯々]/g) || []).length;
+    const kanji = (text.match(/[一-龯々]/g) || []).length;
+
+    const kanjiRatio = japanese > 0 ? kanji / japanese : 0;
+    const averageSentenceLength = sentences.length > 0
+      ? sentences.reduce((sum, sentence) => sum + this.countCharacters(sentence), 0) / sentences.length
+      : 0;
+    const clauseDepth = sentences.reduce((depth, sentence) =>
+      Math.max(depth, 1 + (sentence.match(/[、，]/g) || []).length), 0);
+
+    let score = 100;
+    score -= Math.max(0, Math.abs(kanjiRatio - IDEAL_KANJI_RATIO) - KANJI_RATIO_TOLERANCE) * 200;
+    score -= Math.max(0, averageSentenceLength - COMFORTABLE_SENTENCE_LENGTH) * 1.5;
+    score -= Math.max(0, clauseDepth - COMFORTABLE_CLAUSE_DEPTH) * 8;
+
+    return {
+      score: Math.round(Math.max(0, Math.min(100, score))),
+      characters: characters,
+      sentences: sentences.length,
+      averageSentenceLength: Math.round(averageSentenceLength * 10) / 10,
+      kanjiRatio: Math.round(kanjiRatio * 100) / 100,
+      clauseDepth: clauseDepth
+    };
+  }
+
+  /**
+   * Length of text against a budget {maxChars, maxRatio, maxSentences}:
+   * {characters, ratio, sentences, exceeded: ['maxChars' | 'maxRatio' | 'maxSentences']}
+   */
+  measure(text, originalText, budget = {}) {
+    const characters = this.countCharacters(text);
+    const ratio = characters / Math.max(1, this.countCharacters(originalText));
+    const sentences = this.getSentenceTexts(text).length;
+
+    const exceeded = [];
+    if (budget.maxChars && characters > budget.maxChars) exceeded.push('maxChars');
+    if (budget.maxRatio && ratio > budget.maxRatio) exceeded.push('maxRatio');
+    if (budget.maxSentences && sentences > budget.maxSentences) exceeded.push('maxSentences');
+
+    return { characters, ratio: Math.round(ratio * 100) / 100, sentences, exceeded };
+  }
+
+  /**
+   * Drop sentences that share little content with the original (added greetings,
+   * cushions, closings), then leading cushion clauses of the remaining sentences,
+   * until text fits the budget: {text, removed, ...measure()}
+   * Trailing additions go first, then leading ones, then the rest; the sentence
+   * closest to the original and sentences contained in keep (宛名, a required closing)
+   * always stay. expand turns text into what is measured (e.g. TextMasker.restore)
+   */
+  fitToBudget(text, originalText, budget = {}, expand = value => value, keep = []) {
+    let measurement = this.measure(expand(text), originalText, budget);
+    if (measurement.exceeded.length === 0) return { text, removed: [], ...measurement };
+
+    const document = this.documentSegmenter.segment(text);
+    const sentences = this.documentSegmenter.getSentences(document);
+    const overlaps = sentences.map(sentence => this.calculateOverlap(expand(sentence.text), originalText));
+    const kept = overlaps.indexOf(Math.max(...overlaps));
+    const core = overlaps.map((overlap, index) => overlap > CORE_OVERLAP || index === kept);
+    const firstCore = core.indexOf(true);
+    const lastCore = core.lastIndexOf(true);
+    const isKept = sentence => keep.some(value => value && value.includes(sentence.text.trim()));
+
+    const candidates = [
+      ...sentences.map((sentence, index) => index).filter(index => index > lastCore).reverse(),
+      ...sentences.map((sentence, index) => index).filter(index => index < firstCore),
+      ...sentences.map((sentence, index) => index).filter(index => index > firstCore && index < lastCore && !core[index])
+    ].filter(index => !isKept(sentences[index]));
+
+    // Sentence → its shortened text, '' once it is dropped
+    const edits = new Map();
+    const removed = [];
+    let result = text;
+    const apply = (sentence, replacement, removedText) => {
+      edits.set(sentence, replacement);
+      removed.push(removedText);
+      result = this.composeWithout(document, edits);
+      measurement = this.measure(expand(result), originalText, budget);
+    };
+
+    for (const index of candidates) {
+      if (measurement.exceeded.length === 0) break;
+      apply(sentences[index], '', sentences[index].text + sentences[index].terminator.trim());
+    }
+
+    for (const sentence of sentences) {
+      if (measurement.exceeded.length === 0) break;
+      if (edits.has(sentence) || isKept(sentence)) continue;
+      const cushion = this.findCushion(sentence.text, originalText, expand);
+      if (cushion) apply(sentence, sentence.text.match(/^\s*/)[0] + sentence.text.slice(cushion.length), cushion.trim());
+    }
+
+    return { text: result, removed, ...measurement };
+  }
+
+  /**
+   * Leading clauses of a sentence up to its last added 、 (お忙しい中恐縮ですが、), or null;
+   * a clause is added when it shares no content with the original
+   */
+  findCushion(sentenceText, originalText, expand = value => value) {
+    const clauses = sentenceText.match(/[^、，]*[、，]\s*/g) || [];
+    let length = 0;
+    for (const clause of clauses) {
+      if (this.calculateOverlap(expand(clause.replace(/[、，\s]/g, '')), originalText) > 0) break;
+      length += clause.length;
+    }
+    // Never the whole sentence
+    return length > 0 && sentenceText.slice(length).trim() ? sentenceText.slice(0, length) : null;
+  }
+
+  /**
+   * Share of a sentence's content characters found in the original; hiragana-only
+   * sentences are compared by character pairs instead
+   */
+  calculateOverlap(sentence, originalText) {
+    const content = [...sentence].filter(character => CONTENT_CHARACTER.test(character));
+    if (content.length > 0) {
+      return content.filter(character => originalText.includes(character)).length / content.length;
+    }
+
+    const pairs = [];
+    for (let index = 0; index < sentence.length - 1; index++) pairs.push(sentence.slice(index, index + 2));
+    return pairs.length > 0 ? pairs.filter(pair => originalText.includes(pair)).length / pairs.length : 0;
+  }
+
+  /**
+   * Layout with edited sentences (sentence → new text, '' for removed ones);
+   * lines left empty by the removal disappear
+   */
+  composeWithout(document, edits) {
+    return document.lines
+      .map(line => {
+        if (line.blank) return line.raw;
+        const sentences = line.sentences.filter(sentence => edits.get(sentence) !== '');
+        if (sentences.length === 0) return null;
+        return line.indent + line.marker + sentences
+          .map(sentence => (edits.has(sentence) ? edits.get(sentence) : sentence.text) + sentence.terminator)
+          .join('').trim();
+      })
+      .filter(line => line !== null)
+      .join(document.newline);
+  }
+
+  getSentenceTexts(text) {
+    return this.documentSegmenter.getSentences(this.documentSegmenter.segment(text))
+      .map(sentence => sentence.text + sentence.terminator.trim());
+  }
+
+  /**
+   * Characters without whitespace
+   */
+  countCharacters(text) {
+    return text.replace(/\s/g, '').length;
+  }
+}
+
+module.exports = ReadabilityAnalyzer;
@@ -0,0 +1,447 @@
+/**
+ * Reverse Converter - Polite → casual/plain register
+ * Strips greetings and cushions, turns 尊敬語/謙譲語 back into plain verbs using the
+ * inverted casualToPolite.json and honorificVerbs.json tables, and renders the result
+ * as plain form (常体), です・ます or friendly-casual
+ */
+
+const VerbConjugator = require('./verbConjugator');
+const { loadDictionary, DictionaryLoader } = require('../shared/dictionaryLoader');
+const honorificVerbs = require('../data/honorificVerbs.json');
+const expressionDatabase = require('../data/expressionDatabase.json');
+
+const REGISTERS = ['plain', 'desu-masu', 'friendly'];
+
+// Set phrases with a fixed rendering per register; null keeps the phrase as is
+const FIXED_PHRASES = [
+  { pattern: /(?:どうぞ|何卒)?よろしくお願い(?:いたします|致します|申し上げます|します)/g, plain: 'よろしく', 'desu-masu': 'よろしくお願いします', friendly: 'よろしくね' },
+  { pattern: /お願い(?:いたします|致します|申し上げます)/g, plain: 'お願い', 'desu-masu': 'お願いします', friendly: 'お願いね' },
+  { pattern: /ありがとうございま(?:す|した)/g, plain: 'ありがとう', 'desu-masu': null, friendly: 'ありがとう' },
+  { pattern: /(?:大変)?申し訳(?:ございません|ありません)(?:でした)?/g, plain: '申し訳ない', 'desu-masu': 'すみません', friendly: 'ごめんね' },
+  { pattern: /承知(?:いたしました|しました)|かしこまりました/g, plain: '了解', 'desu-masu': 'わかりました', friendly: '了解' },
+  { pattern: /おはようございます/g, plain: 'おはよう', 'desu-masu': null, friendly: 'おはよう' },
+  { pattern: /おめでとうございます/g, plain: 'おめでとう', 'desu-masu': null, friendly: 'おめでとう' }
+];
+
+// Cushions and greetings not listed in expressionDatabase.json
+const EXTRA_COURTESY = [
+  'お世話になっております', 'お忙しいところ恐縮ですが', 'お忙しいところ恐れ入りますが',
+  '大変恐縮ですが', '恐縮ですが', 'お手数ですが', '何卒'
+];
+
+// Polite request endings after a て-form or an お〜/ご〜 verb
+const REQUEST_ENDING = '(?:いただけ(?:ます|ません)(?:でしょう)?か|いただきたく(?:存じます|思います)|いただければ(?:幸いです|と思います)|いただけると(?:幸いです|助かります)|くださいませんか|ください(?:ませ)?|願います)';
+
+// Ambiguous 尊敬語/謙譲語 verbs and the plain verb they most often stand for
+const PREFERRED_PLAIN_VERBS = {
+  'いらっしゃる': 'いる',
+  'いただく': 'もらう',
+  '存じる': '思う'
+};
+
+// 尊敬語 for する, not in the verb table
+const EXTRA_HONORIFIC_VERBS = [{ honorific: 'なさる', honorificClass: 'godan', plain: 'する', plainClass: 'suru' }];
+
+// 未然形 → 連用形 of godan verbs, for 送らせていただきます → 送ります
+const A_TO_I_ROW = { 'か': 'き', 'が': 'ぎ', 'さ': 'し', 'た': 'ち', 'な': 'に', 'ば': 'び', 'ま': 'み', 'ら': 'り', 'わ': 'い' };
+
+// A ます-form follows (ます, ました, ません) but not いらっしゃいませ
+const MASU_AHEAD = '(?=ま(?:す|し|せん))';
+
+const MASU_INFLECTIONS = {
+  'ませんでした': 'negative-past',
+  'ました': 'past',
+  'ません': 'negative',
+  'ましょう': 'volitional',
+  'ます': 'plain'
+};
+
+// な-adjectives ending in い, whose です becomes だ rather than disappearing
+const NA_ADJECTIVES_IN_I = ['きれい', '綺麗', '嫌い', 'あいまい', '曖昧', 'ていねい', '丁寧'];
+
+class ReverseConverter {
+  constructor(options = {}) {
+    this.verbConjugator = options.verbConjugator || new VerbConjugator({ tokenizer: options.tokenizer });
+    this.dictionary = options.dictionary || loadDictionary();
+    this.requestTable = this.buildRequestTable();
+    this.wordTable = this.buildWordTable();
+    this.honorificTable = this.buildHonorificTable();
+    this.requestBases = this.buildRequestBases();
+    this.courtesyPattern = this.buildCourtesyPattern();
+  }
+
+  /**
+   * Convert polite text to the target register ('plain', 'desu-masu' or 'friendly')
+   * Returns {text, register, conversions}
+   */
+  convert(text, register = 'plain', conversions = []) {
+    if (!REGISTERS.includes(register)) {
+      throw new Error(`Unknown register: ${register}`);
+    }
+
+    let result = this.convertFixedPhrases(text, register, conversions);
+    result = this.stripCourtesy(result, conversions);
+    result = this.convertRequests(result, register, conversions);
+    result = this.convertHonorifics(result, conversions);
+    if (register !== 'desu-masu') {
+      result = this.convertMasuForms(result, register, conversions);
+      result = this.convertCopula(result, register, conversions);
+    }
+    if (register === 'friendly') {
+      result = this.convertWords(result, conversions);
+    }
+
+    return { text: this.cleanup(result), register, conversions };
+  }
+
+  /**
+   * Inverted phrases and contextual overrides: polite request → casual て-form, longest first
+   */
+  buildRequestTable() {
+    const table = {};
+    const sources = [this.dictionary.phrases, ...Object.values(this.dictionary.contextual)];
+
+    for (const mapping of sources) {
+      for (const [casual, polite] of Object.entries(mapping)) {
+        if (table[polite] === undefined && /[てで]$/.test(casual)) {
+          table[polite] = casual;
+        }
+      }
+    }
+
+    return DictionaryLoader.getOrderedEntries(table);
+  }
+
+  /**
+   * Inverted words for friendly chat: marked polite nouns back to their shortest casual key
+   */
+  buildWordTable() {
+    const table = {};
+
+    for (const [casual, polite] of Object.entries(this.dictionary.words)) {
+      if (!/^[おご]|いたし|ござい|申し|承知/.test(polite) || casual.length > 5) continue;
+      if (table[polite] === undefined || casual.length < table[polite].length) {
+        table[polite] = casual;
+      }
+    }
+
+    return DictionaryLoader.getOrderedEntries(table);
+  }
+
+  /**
+   * Inverted honorificVerbs.json: [{honorific, honorificClass, plain, plainClass}], longest first
+   */
+  buildHonorificTable() {
+    const byHonorific = {};
+
+    for (const [plain, entry] of Object.entries(honorificVerbs)) {
+      const honorifics = ['sonkeigo', 'kenjougo']
+        .flatMap(register => [entry[register], entry[register] && entry[register].person]);
+      for (const honorific of honorifics) {
+        if (!honorific || !honorific.class) continue;
+
+        const preferred = PREFERRED_PLAIN_VERBS[honorific.verb];
+        if (byHonorific[honorific.verb] && preferred !== plain) continue;
+
+        byHonorific[honorific.verb] = {
+          honorific: honorific.verb,
+          honorificClass: honorific.class,
+          plain: plain,
+          plainClass: entry.class
+        };
+      }
+    }
+
+    return [...Object.values(byHonorific), ...EXTRA_HONORIFIC_VERBS]
+      .sort((a, b) => b.honorific.length - a.honorific.length);
+  }
+
+  /**
+   * お〜 request bases of the verb table: {'ご覧': '見て', 'お越し': '来て', ...}
+   */
+  buildRequestBases() {
+    const bases = {};
+
+    for (const [plain, entry] of Object.entries(honorificVerbs)) {
+      const request = entry.sonkeigo && entry.sonkeigo.request;
+      if (!request || /て$/.test(request)) continue;
+      bases[request] = this.verbConjugator.getTeForm(plain, entry.class);
+    }
+
+    return bases;
+  }
+
+  /**
+   * Greetings, cushions and courtesy sentences from expressionDatabase.json, with their punctuation
+   */
+  buildCourtesyPattern() {
+    const { greetings, cushions, courtesy_additions: courtesyAdditions } = expressionDatabase;
+    const phrases = [
+      ...Object.values(greetings).flat(),
+      ...Object.values(cushions).flat(),
+      ...Object.values(courtesyAdditions).flat().map(sentence => sentence.replace(/[。！]$/, '')),
+      ...EXTRA_COURTESY
+    ];
+    const alternatives = [...new Set(phrases)]
+      .sort((a, b) => b.length - a.length)
+      .map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(`(?:${alternatives.join('|')})[、。！!]?[ 　]*`, 'g');
+  }
+
+  convertFixedPhrases(text, register, conversions) {
+    let result = text;
+
+    for (const phrase of FIXED_PHRASES) {
+      const replacement = phrase[register];
+      if (replacement === null) continue;
+
+      result = result.replace(phrase.pattern, match => {
+        this.record(conversions, 'phrase', match, replacement, '定型の挨拶・お礼をくだけた形に変換');
+        return replacement;
+      });
+    }
+
+    return result;
+  }
+
+  stripCourtesy(text, conversions) {
+    return text.replace(this.courtesyPattern, match => {
+      this.record(conversions, 'pattern', match, '', '挨拶・クッション言葉を削除');
+      return '';
+    });
+  }
+
+  /**
+   * Polite requests → て-form: bare for plain, + ください for です・ます, + ね for friendly
+   */
+  convertRequests(text, register, conversions) {
+    const suffixes = { plain: '', 'desu-masu': 'ください', friendly: 'ね' };
+    const render = (teForm, terminator) => {
+      const request = teForm + suffixes[register];
+      return request + (terminator ? '。' : '');
+    };
+    let result = text;
+
+    for (const [polite, casual] of this.requestTable) {
+      const pattern = new RegExp(polite.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '([？?])?', 'g');
+      result = result.replace(pattern, (match, terminator) => {
+        const converted = render(casual, terminator);
+        this.record(conversions, 'phrase', match, converted, '丁寧な依頼表現をくだけた依頼に変換');
+        return converted;
+      });
+    }
+
+    // お送りいただけますか / ご確認ください / 見ていただけますか
+    const honorificRequest = new RegExp(`([おご])([一-龯ァ-ヶー]+[ぁ-ん]?)${REQUEST_ENDING}([？?])?`, 'g');
+    result = result.replace(honorificRequest, (match, prefix, base, terminator) => {
+      const teForm = this.requestBases[prefix + base] || this.getTeFormFromBase(prefix, base);
+      if (!teForm) return match;
+      const converted = render(teForm, terminator);
+      this.record(conversions, 'phrase', match, converted, '丁寧な依頼表現をくだけた依頼に変換');
+      return converted;
+    });
+
+    const teRequest = new RegExp(`([てで])${REQUEST_ENDING}([？?])?`, 'g');
+    return result.replace(teRequest, (match, te, terminator) => {
+      if (register === 'desu-masu' && /ください$/.test(match)) return match;
+      const converted = render(te, terminator);
+      this.record(conversions, 'phrase', match, converted, '丁寧な依頼表現をくだけた依頼に変換');
+      return converted;
+    });
+  }
+
+  /**
+   * 尊敬語/謙譲語 → plain verb in ます-form (or て-form)
+   */
+  convertHonorifics(text, conversions) {
+    let result = text;
+    const replace = (pattern, convert, reason) => {
+      result = result.replace(pattern, (...args) => {
+        const converted = convert(...args);
+        if (converted === null || converted === args[0]) return args[0];
+        this.record(conversions, 'honorific', args[0], converted, reason);
+        return converted;
+      });
+    };
+
+    // ご存じです / 存じております / 存じ上げております are states of 知る
+    replace(/ご存じ(?:です|でしょう)(か)?/g, (match, question) => '知っています' + (question || ''), '尊敬語を普通の動詞に変換');
+    replace(/ご存じでした/g, () => '知っていました', '尊敬語を普通の動詞に変換');
+    replace(/存じ(?:上げ)?て(?:おり|い)(ます|ました)/g, (match, ending) => '知ってい' + ending, '謙譲語を普通の動詞に変換');
+
+    // 〜させていただきます → 〜します, 送らせていただきます → 送ります
+    replace(new RegExp('([一-龯ァ-ヶー]+)させていただ(?:き' + MASU_AHEAD + '|い(?=て|た))', 'g'),
+      (match, noun) => noun + 'し', '「させていただく」を普通の動詞に変換');
+    replace(new RegExp('([一-龯])([かがさたなばまらわ])せていただき' + MASU_AHEAD, 'g'),
+      (match, kanji, row) => kanji + A_TO_I_ROW[row], '「させていただく」を普通の動詞に変換');
+
+    // Table verbs: ご覧になり → 見, 拝見し → 見, いらっしゃい → い, 申し上げ → 言い
+    for (const entry of this.honorificTable) {
+      const honorificStem = this.verbConjugator.getMasuStem(entry.honorific, entry.honorificClass);
+      const honorificTe = this.verbConjugator.getTeForm(entry.honorific, entry.honorificClass);
+      const plainStem = this.verbConjugator.getMasuStem(entry.plain, entry.plainClass);
+      const plainTe = this.verbConjugator.getTeForm(entry.plain, entry.plainClass);
+      if (!honorificStem || !honorificTe || !plainStem || !plainTe) continue;
+
+      const stemPattern = new RegExp(honorificStem + MASU_AHEAD, 'g');
+      replace(stemPattern, () => plainStem, '尊敬語・謙譲語を普通の動詞に変換');
+
+      const tePattern = new RegExp(`${honorificTe.slice(0, -1)}([てた])`, 'g');
+      replace(tePattern, (match, ending) => plainTe.slice(0, -1) + this.voiceEnding(plainTe, ending), '尊敬語・謙譲語を普通の動詞に変換');
+    }
+
+    // お〜申し上げます / ご〜申し上げます → お〜します / 〜します
+    replace(new RegExp('([おご])([一-龯]+[ぁ-ん]?)申し上げ' + MASU_AHEAD, 'g'),
+      (match, prefix, base) => (prefix === 'お' ? 'お' + base : base) + 'し', '謙譲表現を普通の動詞に変換');
+
+    // お〜になります / ご〜になります (尊敬語) and お〜いたします / ご〜します (謙譲語);
+    // お願いします stays a set phrase
+    replace(new RegExp('([おご])(?!願い)([一-龯ァ-ヶー]+[ぁ-ん]?)(?:になり|いたし|し)' + MASU_AHEAD, 'g'),
+      (match, prefix, base) => this.getStemFromBase(prefix, base), '尊敬語・謙譲語を普通の動詞に変換');
+    replace(/([おご])(?!願い)([一-龯ァ-ヶー]+[ぁ-ん]?)(?:になっ|いたし|し)([てた])/g, (match, prefix, base, ending) => {
+      const teForm = this.getTeFormFromBase(prefix, base);
+      return teForm ? teForm.slice(0, -1) + this.voiceEnding(teForm, ending) : null;
+    }, '尊敬語・謙譲語を普通の動詞に変換');
+
+    // いたします → します, でございます → です, ございます → あります
+    replace(new RegExp('いたし(?:' + MASU_AHEAD + '|(?=て|た))', 'g'), () => 'し', '謙譲語を普通の動詞に変換');
+    replace(/でございま(す|した|せん)/g, (match, ending) => ({ 'す': 'です', 'した': 'でした', 'せん': 'ではありません' })[ending], '丁重語を丁寧語に変換');
+    // ありがとう/おはよう/おめでとうございます are set phrases
+    replace(new RegExp('(?<!う)ござい' + MASU_AHEAD, 'g'), () => 'あり', '丁重語を丁寧語に変換');
+
+    return result;
+  }
+
+  /**
+   * ます-forms → plain forms; questions keep か (plain) or become ？ (friendly)
+   */
+  convertMasuForms(text, register, conversions) {
+    let result = text.replace(/([てで])ください(?:ね)?/g, (match, te) => {
+      const converted = te + (register === 'friendly' ? 'ね' : '');
+      this.record(conversions, 'verb', match, converted, '「〜てください」をくだけた依頼に変換');
+      return converted;
+    });
+
+    const pattern = /([^\s、。！？!?「」（）()]*?)(ませんでした|ました|ません|ましょう|ます)(か)?([。？?])?(?=$|[^ぁ-ん]|[よねがのしけとわ])/g;
+    result = result.replace(pattern, (match, stem, ending, question, terminator) => {
+      const verb = this.verbConjugator.getDictionaryFormFromStem(stem);
+      const forms = verb && this.verbConjugator.getPlainForms(verb.dictionaryForm, verb.verbClass);
+      if (!forms) return match;
+
+      const inflection = MASU_INFLECTIONS[ending];
+      const plain = inflection === 'negative-past' ? forms.negative.slice(0, -1) + 'かった' : forms[inflection];
+      const converted = plain + this.renderQuestion(register, question, terminator);
+      this.record(conversions, 'verb', match, converted, 'です・ます調の動詞を普通体に変換');
+      return converted;
+    });
+
+    return result;
+  }
+
+  /**
+   * です → だ (or nothing after い-adjectives), でした → だった, でしょう → だろう
+   */
+  convertCopula(text, register, conversions) {
+    const friendly = register === 'friendly';
+    const endings = [
+      [/(?:では|じゃ)ありませんでした/g, friendly ? 'じゃなかった' : 'ではなかった'],
+      [/(?:では|じゃ)ありません/g, friendly ? 'じゃない' : 'ではない'],
+      [/でした/g, 'だった'],
+      [/でしょう(?!か)/g, friendly ? 'でしょ' : 'だろう']
+    ];
+    let result = text;
+
+    for (const [pattern, replacement] of endings) {
+      result = result.replace(pattern, match => {
+        this.record(conversions, 'pattern', match, replacement, 'です・ます調の文末を普通体に変換');
+        return replacement;
+      });
+    }
+
+    result = result.replace(/ですので/g, 'なので');
+
+    // よ only at the end of a sentence: 会議だよ。 but 会議だが、
+    return result.replace(/(.?)(です|でしょう)(か)?([。？?])?/g, (match, before, copula, question, terminator, offset, whole) => {
+      const adjective = before === 'い' &&
+        !NA_ADJECTIVES_IN_I.some(word => whole.slice(0, offset + 1).endsWith(word));
+      const sentenceEnd = Boolean(terminator) || /^(?:\r?\n|$)/.test(whole.slice(offset + match.length));
+      const particle = friendly && sentenceEnd ? 'よ' : '';
+
+      let ending;
+      if (question) {
+        ending = !friendly && copula === 'でしょう' ? 'だろう' : '';
+      } else {
+        ending = (adjective ? '' : 'だ') + particle;
+      }
+
+      const converted = before + ending + this.renderQuestion(register, question, terminator);
+      this.record(conversions, 'pattern', match, converted, 'です・ます調の文末を普通体に変換');
+      return converted;
+    });
+  }
+
+  /**
+   * Marked polite nouns back to chat words (ご意見 → コメント), friendly register only
+   */
+  convertWords(text, conversions) {
+    let result = text;
+
+    for (const [polite, casual] of this.wordTable) {
+      if (!result.includes(polite)) continue;
+      result = result.split(polite).join(casual);
+      this.record(conversions, 'word', polite, casual, '丁寧な語をくだけた語に変換');
+    }
+
+    return result;
+  }
+
+  renderQuestion(register, question, terminator) {
+    if (!question) return terminator || '';
+    if (register === 'friendly') return '？';
+    return 'か' + (terminator || '');
+  }
+
+  /**
+   * Plain 連用形 of an お〜/ご〜 base: ご確認 → 確認し, お送り → 送り
+   */
+  getStemFromBase(prefix, base) {
+    return prefix === 'ご' || !/[ぁ-ん]$/.test(base) ? base + 'し' : base;
+  }
+
+  /**
+   * て-form of an お〜/ご〜 base: ご確認 → 確認して, お送り → 送って
+   */
+  getTeFormFromBase(prefix, base) {
+    const stem = this.getStemFromBase(prefix, base);
+    const verb = this.verbConjugator.getDictionaryFormFromStem(stem);
+    return verb ? this.verbConjugator.getTeForm(verb.dictionaryForm, verb.verbClass) : null;
+  }
+
+  /**
+   * て → た keeps the voicing of the て-form (読んで → 読んだ)
+   */
+  voiceEnding(teForm, ending) {
+    if (ending === 'て') return teForm.slice(-1);
+    return teForm.endsWith('で') ? 'だ' : 'た';
+  }
+
+  /**
+   * Tidy what stripping left behind: leading 、, doubled punctuation and spaces
+   */
+  cleanup(text) {
+    return text
+      .replace(/^[ 　]*[、。][ 　]*/gm, '')
+      .replace(/。{2,}/g, '。')
+      .replace(/[ 　]{2,}/g, ' ')
+      .replace(/^[ 　]+|[ 　]+$/gm, '')
+      // a greeting that was the whole first line leaves it empty
+      .replace(/^(?:\r?\n)+/, '');
+  }
+
+  record(conversions, type, original, converted, reason) {
+    conversions.push({ type, original, converted, reason });
+  }
+}
+
+module.exports = ReverseConverter;
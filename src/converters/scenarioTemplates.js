@@ -0,0 +1,141 @@
+/**
+ * Scenario Templates - Business message templates with slots filled from the input
+ * 日程調整, 催促, お詫び, お断り, 依頼, お礼, 退職挨拶, 異動挨拶, 見積依頼 and 障害報告 from
+ * src/data/scenarioTemplates.json, detected from keywords and intent or picked by id/label
+ */
+
+const scenarioTemplates = require('../data/scenarioTemplates.json');
+
+// Slot placeholders in template lines and in slot patterns ({date})
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+class ScenarioTemplates {
+  /**
+   * options.templates: {slot_types, scenarios} replacing the bundled templates
+   */
+  constructor(options = {}) {
+    const templates = options.templates || scenarioTemplates;
+    this.slotTypes = templates.slot_types;
+    this.scenarios = templates.scenarios;
+  }
+
+  /**
+   * [{id, label}] for selectors
+   */
+  getScenarios() {
+    return Object.entries(this.scenarios).map(([id, scenario]) => ({ id, label: scenario.label }));
+  }
+
+  /**
+   * Scenario id for an id or a label (日程調整)
+   */
+  resolve(scenario) {
+    if (this.scenarios[scenario]) return scenario;
+
+    const entry = Object.entries(this.scenarios).find(([, definition]) => definition.label === scenario);
+    if (!entry) {
+      throw new Error(`Unknown scenario: ${scenario}`);
+    }
+    return entry[0];
+  }
+
+  /**
+   * Best scenario for the input: {id, label, score} or null
+   * Every keyword hit counts 2, each matching intent (context.intent and the
+   * per-sentence context.intents) 1 and each slot found in the text (候補日, the
+   * affected system; not topic or details) 1; at least one keyword has to match
+   */
+  detect(text, context = {}) {
+    const intents = new Set([context.intent, ...(context.intents || []).map(span => span.intent)]);
+    let best = null;
+
+    for (const [id, scenario] of Object.entries(this.scenarios)) {
+      const hits = scenario.keywords.filter(keyword => text.includes(keyword)).length;
+      if (hits === 0) continue;
+
+      const slotHits = Object.values(scenario.slots)
+        .filter(slot => slot.type !== 'topic' && slot.type !== 'details' && this.matchSlot(slot, text) !== null)
+        .length;
+      const score = hits * 2 + scenario.intents.filter(intent => intents.has(intent)).length + slotHits;
+      if (!best || score > best.score) {
+        best = { id, label: scenario.label, score };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Slot values found in the input; overrides (options.slots) win, then the text, then defaults
+   * details is the converted input itself and is passed in by the caller
+   */
+  extractSlots(id, text, overrides = {}, details = null) {
+    const slots = {};
+
+    for (const [name, slot] of Object.entries(this.scenarios[id].slots)) {
+      let value = overrides[name] !== undefined ? overrides[name] : null;
+      if (value === null && slot.type === 'details') value = details;
+      if (value === null && slot.type !== 'details') value = this.matchSlot(slot, text);
+      if (value === null && slot.default !== undefined) value = slot.default;
+      if (value !== null && value !== '') slots[name] = value;
+    }
+
+    return slots;
+  }
+
+  /**
+   * First match of a slot's pattern (capture group 1 when there is one), or every
+   * distinct match as a ・ list for multiple slots
+   */
+  matchSlot(slot, text) {
+    const source = slot.pattern || this.slotTypes[slot.type].pattern;
+    const pattern = new RegExp(`(?:${this.expandPattern(source)})`, 'g');
+
+    const values = [...new Set([...text.matchAll(pattern)].map(match => (match[1] || match[0]).trim()))]
+      .filter(value => value);
+    if (values.length === 0) return null;
+
+    return slot.multiple ? values.map(value => '・' + value).join('\n') : values[0];
+  }
+
+  /**
+   * {date} in a slot pattern becomes the date slot type's pattern
+   */
+  expandPattern(source) {
+    return source.replace(PLACEHOLDER_PATTERN, (placeholder, type) =>
+      this.slotTypes[type] ? `(?:${this.slotTypes[type].pattern})` : placeholder);
+  }
+
+  /**
+   * Body and closing lines of a scenario: {lines, scenario: {id, label, slots}}
+   * A line is dropped when one of its slots is empty; for a list of alternatives the
+   * first one with every slot filled is used
+   * options: {slots (overrides), details (converted input for {details})}
+   */
+  render(scenario, text, options = {}) {
+    const id = this.resolve(scenario);
+    const definition = this.scenarios[id];
+    const slots = this.extractSlots(id, text, options.slots, options.details);
+
+    const lines = definition.body
+      .map(line => (Array.isArray(line) ? line : [line]).find(candidate => this.canFill(candidate, slots)))
+      .filter(line => line !== undefined)
+      .map(line => this.fill(line, slots));
+    lines.push(definition.closing);
+
+    return {
+      lines: lines,
+      scenario: { id, label: definition.label, slots }
+    };
+  }
+
+  canFill(line, slots) {
+    return [...line.matchAll(PLACEHOLDER_PATTERN)].every(([, name]) => slots[name] !== undefined);
+  }
+
+  fill(line, slots) {
+    return line.replace(PLACEHOLDER_PATTERN, (placeholder, name) => slots[name]);
+  }
+}
+
+module.exports = ScenarioTemplates;
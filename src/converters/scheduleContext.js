@@ -0,0 +1,191 @@
+/**
+ * Schedule Context - Send time in the recipient's time zone
+ * Local hour, weekday, business hours and Japanese public holidays (src/data/japaneseHolidays.json,
+ * computed from the 祝日法 rules for other years) for an explicit send time, so greetings do not
+ * depend on the clock of the machine running the code
+ */
+
+const { holidays: JAPANESE_HOLIDAYS } = require('../data/japaneseHolidays.json');
+
+// Years the holiday rules cover: the current 祝日法 (after the Olympic moves of 2020-2021)
+// and the 春分・秋分 approximation, which holds until 2099
+const HOLIDAY_RULE_YEARS = { from: 2022, to: 2099 };
+
+// Fixed-date holidays [month, day, name] and Happy Monday holidays [month, week, name]
+const FIXED_HOLIDAYS = [
+  [1, 1, '元日'], [2, 11, '建国記念の日'], [2, 23, '天皇誕生日'], [4, 29, '昭和の日'],
+  [5, 3, '憲法記念日'], [5, 4, 'みどりの日'], [5, 5, 'こどもの日'], [8, 11, '山の日'],
+  [11, 3, '文化の日'], [11, 23, '勤労感謝の日']
+];
+const MONDAY_HOLIDAYS = [[1, 2, '成人の日'], [7, 3, '海の日'], [9, 3, '敬老の日'], [10, 2, 'スポーツの日']];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TIME_ZONE = 'Asia/Tokyo';
+const DEFAULT_BUSINESS_HOURS = { start: 9, end: 18 };
+
+// 夜分遅くに from 21:00, 朝早くに before 8:00
+const LATE_NIGHT_FROM = 21;
+const EARLY_MORNING_UNTIL = 8;
+const NIGHT_UNTIL = 5;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class ScheduleContext {
+  /**
+   * options: {timeZone (default Asia/Tokyo), businessHours: {start, end}, holidays: {'YYYY-MM-DD': name}}
+   */
+  constructor(options = {}) {
+    if (options.timeZone) ScheduleContext.validateTimeZone(options.timeZone);
+
+    this.timeZone = options.timeZone || DEFAULT_TIME_ZONE;
+    this.businessHours = { ...DEFAULT_BUSINESS_HOURS, ...(options.businessHours || {}) };
+    this.holidays = options.holidays || JAPANESE_HOLIDAYS;
+    this.holidayYears = new Set(Object.keys(this.holidays).map(date => Number(date.slice(0, 4))));
+    this.computedHolidays = {};
+  }
+
+  /**
+   * {sendTime, timeZone, date, time, hour, weekday, weekend, holiday, businessHours,
+   *  lateNight, earlyMorning, timeContext} for a send time (Date, ISO string or epoch ms;
+   * now by default) in the recipient's time zone
+   * Japanese holidays only apply to recipients in Asia/Tokyo
+   */
+  resolve(sendTime, timeZone) {
+    const date = this.parseSendTime(sendTime);
+    const zone = timeZone || this.timeZone;
+    const parts = this.getLocalParts(date, zone);
+
+    const hour = Number(parts.hour);
+    const weekday = WEEKDAYS.indexOf(parts.weekday);
+    const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+    const weekend = weekday === 0 || weekday === 6;
+    const holiday = zone === 'Asia/Tokyo' ? this.getHoliday(localDate) : null;
+
+    return {
+      sendTime: date.toISOString(),
+      timeZone: zone,
+      date: localDate,
+      time: `${parts.hour}:${parts.minute}`,
+      hour: hour,
+      weekday: weekday,
+      weekend: weekend,
+      holiday: holiday,
+      businessHours: !weekend && !holiday && hour >= this.businessHours.start && hour < this.businessHours.end,
+      lateNight: hour >= LATE_NIGHT_FROM || hour < NIGHT_UNTIL,
+      earlyMorning: hour >= NIGHT_UNTIL && hour < EARLY_MORNING_UNTIL,
+      timeContext: hour >= NIGHT_UNTIL && hour < 12 ? 'morning' : hour >= 12 && hour < 18 ? 'afternoon' : 'evening'
+    };
+  }
+
+  parseSendTime(sendTime) {
+    if (sendTime === undefined || sendTime === null) return new Date();
+
+    const date = sendTime instanceof Date ? sendTime : new Date(sendTime);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid send time: ${sendTime}`);
+    }
+    return date;
+  }
+
+  /**
+   * Holiday name for a YYYY-MM-DD date, or null; years missing from the table are
+   * computed from the rules, and years outside them are reported once and skipped
+   */
+  getHoliday(localDate) {
+    const year = Number(localDate.slice(0, 4));
+    if (this.holidayYears.has(year)) return this.holidays[localDate] || null;
+
+    if (!this.computedHolidays[year]) {
+      if (year < HOLIDAY_RULE_YEARS.from || year > HOLIDAY_RULE_YEARS.to) {
+        console.warn(`⚠️ No Japanese holiday data for ${year}; holidays are not detected`);
+        this.computedHolidays[year] = {};
+      } else {
+        this.computedHolidays[year] = ScheduleContext.computeHolidays(year);
+      }
+    }
+    return this.computedHolidays[year][localDate] || null;
+  }
+
+  /**
+   * Japanese public holidays of a year by the 祝日法 rules: {'YYYY-MM-DD': name}
+   * Includes 振替休日 (a holiday on Sunday moves to the next free day) and
+   * 国民の休日 (a day between two holidays)
+   */
+  static computeHolidays(year) {
+    const days = {};
+    const add = (month, day, name) => {
+      days[Date.UTC(year, month - 1, day)] = name;
+    };
+
+    FIXED_HOLIDAYS.forEach(([month, day, name]) => add(month, day, name));
+    MONDAY_HOLIDAYS.forEach(([month, week, name]) => {
+      const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+      add(month, 1 + (8 - firstWeekday) % 7 + (week - 1) * 7, name);
+    });
+    const shift = 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4);
+    add(3, Math.floor(20.8431 + shift), '春分の日');
+    add(9, Math.floor(23.2488 + shift), '秋分の日');
+
+    const holidays = Object.keys(days).map(Number).sort((a, b) => a - b);
+    holidays.forEach(time => {
+      if (days[time + 2 * DAY_MS] && !days[time + DAY_MS] && new Date(time + DAY_MS).getUTCDay() !== 0) {
+        days[time + DAY_MS] = '国民の休日';
+      }
+    });
+    holidays.filter(time => new Date(time).getUTCDay() === 0).forEach(time => {
+      let substitute = time + DAY_MS;
+      while (days[substitute]) substitute += DAY_MS;
+      days[substitute] = '振替休日';
+    });
+
+    const result = {};
+    Object.keys(days).map(Number).sort((a, b) => a - b).forEach(time => {
+      result[new Date(time).toISOString().slice(0, 10)] = days[time];
+    });
+    return result;
+  }
+
+  /**
+   * Formatter for an IANA time zone; throws for an unknown one
+   */
+  static validateTimeZone(timeZone) {
+    try {
+      return new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+      });
+    } catch (error) {
+      throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+  }
+
+  /**
+   * Calendar fields of date in an IANA time zone
+   */
+  getLocalParts(date, timeZone) {
+    const formatter = ScheduleContext.validateTimeZone(timeZone);
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    return parts;
+  }
+
+  /**
+   * Greeting category for a send time outside the recipient's normal hours:
+   * 'lateNight' (夜分遅くに), 'earlyMorning' (朝早くに), 'holiday' (休日に, weekends too) or null
+   */
+  static getGreetingCategory(schedule) {
+    if (!schedule) return null;
+
+    if (schedule.lateNight) return 'lateNight';
+    if (schedule.earlyMorning) return 'earlyMorning';
+    if (schedule.holiday || schedule.weekend) return 'holiday';
+    return null;
+  }
+}
+
+module.exports = ScheduleContext;
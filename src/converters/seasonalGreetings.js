@@ -0,0 +1,93 @@
+/**
+ * Seasonal Greetings - 頭語, 時候の挨拶 and 結語 for formal letters
+ * Picks 時候の挨拶 from the send date (month, 二十四節気, 年末年始 and お盆) and pairs each
+ * 頭語 with its 結語 (拝啓/敬具, 謹啓/謹白, 拝復/敬具) from expressionDatabase.json
+ */
+
+const expressionDatabase = require('../data/expressionDatabase.json');
+const ScheduleContext = require('./scheduleContext');
+
+class SeasonalGreetings {
+  constructor() {
+    this.data = expressionDatabase.seasonal_greetings;
+    this.scheduleContext = new ScheduleContext();
+  }
+
+  /**
+   * Letter formalities: 'letter' (拝啓), 'formal-letter' (謹啓), 'reply-letter' (拝復)
+   */
+  getFormalities() {
+    return Object.keys(this.data.letter_frames);
+  }
+
+  /**
+   * 'MM-DD' of a 'YYYY-MM-DD' or 'MM-DD' date (context.schedule.date), or of a Date or today in Japan
+   */
+  getMonthDay(date) {
+    if (typeof date === 'string' && /^(?:\d{4}-)?\d{2}-\d{2}$/.test(date)) return date.slice(-5);
+    return this.scheduleContext.resolve(date).date.slice(5);
+  }
+
+  /**
+   * 二十四節気 in effect on a date; early January is still 冬至 of the year before
+   */
+  getSekki(date) {
+    const monthDay = this.getMonthDay(date);
+    const sekki = this.data.sekki;
+    return [...sekki].reverse().find(entry => entry.start <= monthDay) || sekki[sekki.length - 1];
+  }
+
+  /**
+   * 年末年始 or お盆 period of a date: {id, from, to, phrases, greeting or wellbeing, farewell}
+   * or null; greeting replaces the gratitude sentence, wellbeing the 安否の挨拶
+   */
+  getPeriod(date) {
+    const monthDay = this.getMonthDay(date);
+    const entry = Object.entries(this.data.periods)
+      .find(([, period]) => period.from <= monthDay && monthDay <= period.to);
+    return entry ? { id: entry[0], ...entry[1] } : null;
+  }
+
+  /**
+   * 時候の挨拶 for a date: only the 年末年始/お盆 phrases inside those periods, otherwise
+   * the 二十四節気 phrases first, then the month's
+   */
+  getSeasonalPhrases(date) {
+    const monthDay = this.getMonthDay(date);
+    const period = this.getPeriod(monthDay);
+    if (period) return period.phrases.slice();
+
+    const month = String(Number(monthDay.slice(0, 2)));
+    return [...new Set([...this.getSekki(monthDay).phrases, ...this.data.months[month]])];
+  }
+
+  /**
+   * Opening and closing of a letter:
+   * {opening: '拝啓　新緑の候、貴社ますますご清栄の…。平素は…。', farewell, closing: '敬具', sekki, period}
+   * options: {date, external (貴社 wording), random (RandomSource; the first phrase without it)}
+   */
+  compose(formality, options = {}) {
+    const frame = this.data.letter_frames[formality];
+    if (!frame) {
+      throw new Error(`Unknown letter formality: ${formality}`);
+    }
+
+    const pick = (array) => options.random ? options.random.pick(array) : array[0];
+    const audience = options.external ? 'external' : 'individual';
+    const period = this.getPeriod(options.date);
+
+    const wellbeing = period && period.wellbeing ? period.wellbeing : pick(this.data.wellbeing[audience]);
+    const seasonal = `${frame.opening}　${pick(this.getSeasonalPhrases(options.date))}、${wellbeing}。`;
+    const greeting = (period && period.greeting ? period.greeting : this.data.gratitude[audience]) + '。';
+
+    return {
+      opening: seasonal + greeting,
+      farewell: period ? period.farewell + '。' : null,
+      closing: frame.closing,
+      sekki: this.getSekki(options.date).name,
+      period: period ? period.id : null
+    };
+  }
+}
+
+module.exports = SeasonalGreetings;
@@ -2,8 +2,60 @@
  * Sentence Generator - Advanced Japanese sentence construction
  * Generates natural, polite Japanese sentences with context awareness
  */
+
+const HonorificTransformer = require('./honorificTransformer');
+const DocumentSegmenter = require('./documentSegmenter');
+const ScheduleContext = require('./scheduleContext');
+const SeasonalGreetings = require('./seasonalGreetings');
+const { RandomSource } = require('../shared/randomSource');
+
+// A letter frame (拝啓…敬具) needs a body at least this polite
+const LETTER_LEVEL = 4;
+
+// 美化語 prefix of nouns before お願い (電話お願い → お電話をお願いいたします);
+// other nouns (資料) take none
+const NOUN_PREFIXES = {
+  'ご': ['確認', '連絡', '返信', '対応', '検討', '協力', '報告', '説明', '相談', '回答', '承認', '記入',
+    '提出', '手配', '調整', '指導', '教示', '送付', '返送', '準備', '判断', '参加', '出席', '予約', '案内',
+    '理解', '配慮', '了承', '共有', '査収', '登録', '入金', '署名', '意見', '指示'],
+  'お': ['電話', '返事', '見積', '時間', '名前', '約束', '振込', '礼', '話']
+};
+
+// A casual request auxiliary after the て-form (確認してもらえる？) and what may follow a
+// phrase the phrase pass rewrites: a particle and punctuation, never a polite ending
+const CASUAL_REQUEST_AUXILIARY = '(?:もらえ|くれ)(?:る|ない|ます|ません)?';
+const PHRASE_END = '(?=[ねよな]?(?:[、。！？!?\\s]|$))';
+
+// A sentence that asks for something: a bare て-form (送って), a て-form with
+// くれる/もらえる/ほしい, or お願い at the end; 復旧してる and 調査中 are statements
+const REQUEST_ENDING = /(?:[てで](?:ね|よ|くれ(?:る|ない|ます|ません)?|もらえ(?:る|ない|ます|ません)?|ほしい|欲しい)?|お願い(?:します|ね)?)[！!？?。\s]*$/;
+
+// Emoji added from level 4 by the kind of message
+const EMOJIS = {
+  request: ['🙏', '💦', '✨'],
+  question: ['❓', '🤔', '💭'],
+  urgent: ['⚡', '🔥', '💦'],
+  grateful: ['😊', '🙏', '✨'],
+  general: ['😊', '✨', '🌸']
+};
+
+// Sentences added from level 4
+const COURTESY = {
+  general: '何かご不明な点がございましたら、お気軽にお声かけください。',
+  superior: 'ご多忙中にも関わらず、いつもありがとうございます。'
+};
+
 class SentenceGenerator {
-  constructor() {
+  /**
+   * options.wordConverter: WordConverter whose dictionary and verb conjugation passes
+   * convert the main content (without one, a small built-in word table is used)
+   */
+  constructor(options = {}) {
+    this.wordConverter = options.wordConverter || null;
+    this.honorificTransformer = new HonorificTransformer();
+    this.documentSegmenter = new DocumentSegmenter();
+    this.seasonalGreetings = new SeasonalGreetings();
+    this.random = new RandomSource();
     this.loadExpressionData();
   }
 
@@ -13,7 +65,11 @@ class SentenceGenerator {
         morning: ['おはようございます', 'お疲れ様です', '朝からお忙しい中'],
         afternoon: ['お疲れ様です', 'いつもお世話になっております', '午後もお忙しい中'],
         evening: ['お疲れ様でした', '遅い時間に恐縮です', '本日もお疲れ様です'],
-        general: ['いつもお世話になっております', 'お疲れ様です', '恐れ入ります']
+        general: ['いつもお世話になっております', 'お疲れ様です', '恐れ入ります'],
+        // From context.schedule: outside the recipient's normal hours
+        lateNight: ['夜分遅くに失礼いたします', '夜分遅くに恐れ入ります'],
+        earlyMorning: ['朝早くに失礼いたします', '早朝から失礼いたします'],
+        holiday: ['休日に失礼いたします', 'お休みのところ失礼いたします']
       },
       
       cushions: {
@@ -55,6 +111,57 @@ class SentenceGenerator {
         ]
       },
 
+      // Messages mixing intents (報告＋依頼＋質問): the first combination whose intents are all
+      // present wins; its cushion goes before the first sentence with the cushionFor intent
+      combinations: [
+        {
+          intents: ['request', 'question'],
+          cushionFor: 'question',
+          cushions: ['あわせて', '重ねて恐縮ですが', 'また'],
+          closings: [
+            'ご対応とご回答のほど、よろしくお願いいたします',
+            'ご確認のうえ、ご回答いただけますと幸いです',
+            'お手数をおかけしますが、ご対応とご返答をお願いいたします'
+          ]
+        },
+        {
+          intents: ['apology', 'request'],
+          cushionFor: 'request',
+          cushions: ['ご迷惑をおかけしている中恐縮ですが', '重ね重ね申し訳ございませんが'],
+          closings: [
+            'ご迷惑をおかけいたしますが、何卒よろしくお願いいたします',
+            'お手数をおかけし申し訳ございませんが、よろしくお願いいたします'
+          ]
+        },
+        {
+          intents: ['report', 'request'],
+          cushionFor: 'request',
+          cushions: ['つきましては', 'お手数ですが'],
+          closings: [
+            'ご確認のほど、よろしくお願いいたします',
+            'お目通しのうえ、ご対応いただけますと幸いです'
+          ]
+        },
+        {
+          intents: ['report', 'question'],
+          cushionFor: 'question',
+          cushions: ['あわせて', 'なお'],
+          closings: [
+            'ご確認のうえ、ご回答いただけますと幸いです',
+            'ご確認と併せてお返事をいただけますと幸いです'
+          ]
+        },
+        {
+          intents: ['apology', 'report'],
+          cushionFor: null,
+          cushions: [],
+          closings: [
+            '今後このようなことのないよう努めてまいります',
+            '重ねてお詫び申し上げます'
+          ]
+        }
+      ],
+
       transitions: {
         explanation: ['なお', 'また', 'ちなみに', '補足ですが', '念のため'],
         contrast: ['ただし', 'しかしながら', '一方で', 'とはいえ', 'もっとも'],
@@ -72,13 +179,130 @@ class SentenceGenerator {
 
   /**
    * Generate polite version of text with full sentence construction
+   * context.formality 'letter', 'formal-letter' or 'reply-letter' frames the text as a
+   * letter: 頭語＋時候の挨拶 for context.schedule.date instead of the greeting, and the 結語
    */
   generatePoliteVersion(originalText, context, level = 3) {
+    level = this.getBodyLevel(context, level);
     const components = this.analyzeTextComponents(originalText);
     const sentenceStructure = this.planSentenceStructure(components, context, level);
     return this.assembleSentence(sentenceStructure, context, level);
   }
 
+  /**
+   * Generate a polite version of a multi-sentence document
+   * Each sentence is converted with its own context; greeting and closing are
+   * added only at the document edges, and line breaks, lists and blank lines are kept
+   */
+  generateDocumentVersion(originalText, context, level = 3, getSentenceContext = () => context) {
+    level = this.getBodyLevel(context, level);
+    const document = this.documentSegmenter.segment(originalText);
+    const body = this.composeDocumentBody(document, level, getSentenceContext, this.findIntentCombination(context));
+
+    const documentComponents = this.analyzeTextComponents(originalText);
+    const letter = this.getLetterFrame(context);
+    const greeting = level >= 3 && !letter ? this.selectGreeting(context) : null;
+    const closing = this.selectClosing(documentComponents, context, level);
+    const courtesy = level >= 4 ? this.addCourtesyElements(context) : null;
+
+    const lines = [];
+    if (letter) lines.push(letter.opening);
+    if (greeting) lines.push(greeting + '。');
+    lines.push(body);
+    if (closing) lines.push(closing + '。' + (courtesy ? ' ' + courtesy : ''));
+    if (letter && letter.farewell) lines.push(letter.farewell);
+    if (letter) lines.push(letter.closing);
+
+    let result = lines.join(document.newline);
+    if (level >= 4 && context.emoji !== false && !letter) {
+      result = this.addEmoji(result, context);
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert every sentence of a segmented document in place, without greeting or closing
+   * combination (see findIntentCombination) puts its cushion before the first prose
+   * sentence with the combination's cushionFor intent
+   */
+  composeDocumentBody(document, level, getSentenceContext, combination = null) {
+    let cushion = level >= 3 && combination && combination.cushions.length > 0 ? combination.cushionFor : null;
+
+    return this.documentSegmenter.compose(document, (sentence, line) => {
+      // The terminator goes back on by attachTerminator; only its ？ counts as a question here
+      const components = this.analyzeTextComponents(sentence.text);
+      components.hasQuestion = components.hasQuestion || /[？?]/.test(sentence.terminator);
+      const sentenceContext = getSentenceContext(sentence.text);
+      // List items stay fragments; only prose requests and questions get a full polite ending
+      const completeEnding = !line.marker && (components.hasRequest || components.hasQuestion);
+      let converted = this.transformMainContent(components, sentenceContext, level, completeEnding);
+      if (!line.marker && !completeEnding) converted = this.completeStatement(converted, level);
+
+      // Only a sentence that now ends politely gets the cushion
+      if (cushion && !line.marker && sentenceContext.intent === cushion && this.hasPoliteEnding(converted)) {
+        converted = this.getRandomElement(combination.cushions, sentenceContext) + '、' + converted.replace(/^(?:あと|それと|また)、?/, '');
+        cushion = null;
+      }
+      return this.attachTerminator(converted, sentence.terminator);
+    });
+  }
+
+  /**
+   * Combination of intents in a message with several sentences (context.intents spans
+   * from ContextAnalyzer), or null when the message has a single intent
+   */
+  findIntentCombination(context) {
+    const intents = new Set(((context && context.intents) || []).map(span => span.intent));
+    if (intents.size < 2) return null;
+
+    return this.expressions.combinations.find(combination =>
+      combination.intents.every(intent => intents.has(intent))) || null;
+  }
+
+  /**
+   * Polite ending for a plain statement: 調査中 → 調査中です, 落ちてます → 落ちております
+   * (ている is おります from level 4), and a polite opening for ごめん／ありがとう;
+   * other endings are left as they are
+   */
+  completeStatement(text, level) {
+    text = text
+      .replace(/^(?:ごめん(?:なさい|ね)?|すみません|すまん|悪い)(?=[、，]|$)/, level >= 4 ? '申し訳ございません' : '申し訳ありません')
+      .replace(/^ありがとう(?!ござ)/, 'ありがとうございます')
+      .replace(/^お疲れ(?:さま|様)?(?:です)?(?=[、，]|$)/, 'お疲れ様です');
+
+    if (this.hasPoliteEnding(text)) {
+      // い抜き ています/ていました are still completed
+      if (!/[てで]ま(?:す|した)$/.test(text)) return text;
+    }
+
+    const progressive = level >= 4 ? 'おり' : 'い';
+    const result = text
+      .replace(/([てで])(?:る|ます)$/, `$1${progressive}ます`)
+      .replace(/([てで])(?:た|ました)$/, `$1${progressive}ました`);
+    if (result !== text) return result;
+
+    return /[一-龯々ァ-ヶー]$/.test(text) ? text + 'です' : text;
+  }
+
+  hasPoliteEnding(text) {
+    return /(?:です|でした|ます|ました|ません|ましょう|ください|でしょうか|ませんか|ますか)[。？?]?$/.test(text);
+  }
+
+  /**
+   * Put the original sentence terminator back on a converted sentence
+   */
+  attachTerminator(converted, terminator) {
+    const spacing = terminator.match(/[ \t　]*$/)[0];
+    const punctuation = terminator.slice(0, terminator.length - spacing.length);
+    if (!punctuation) return converted + spacing;
+
+    const body = converted.replace(/[。！？!?]+$/, '');
+    // 「！」 after a polite request or question reads as pushy
+    const ending = /[！!]/.test(punctuation) && /(か|ください|ます)$/.test(body) ? '。' : punctuation;
+    return body + ending + spacing;
+  }
+
   /**
    * Analyze text into meaningful components
    */
@@ -89,7 +313,7 @@ class SentenceGenerator {
       keyWords: this.extractKeywords(text),
       emotionalTone: this.detectEmotionalTone(text),
       hasQuestion: text.includes('？') || text.includes('?'),
-      hasRequest: /して|やって|お願い/.test(text),
+      hasRequest: REQUEST_ENDING.test(text),
       length: text.length
     };
   }
@@ -157,59 +381,106 @@ class SentenceGenerator {
       cushion: this.selectCushion(components, context, level),
       mainBody: this.transformMainContent(components, context, level),
       closing: this.selectClosing(components, context, level),
-      additionalCourtesy: level >= 4 ? this.addCourtesyElements(context) : null
+      additionalCourtesy: level >= 4 ? this.addCourtesyElements(context) : null,
+      letter: this.getLetterFrame(context)
     };
 
     return structure;
   }
 
+  /**
+   * Lines of a prepared text (scenario templates) with the greeting above them, or a
+   * letter's 頭語＋時候の挨拶 and 結語 around them
+   */
+  frameLines(lines, context, level) {
+    const letter = this.getLetterFrame(context);
+    const result = [];
+
+    if (letter) result.push(letter.opening);
+    else if (level >= 3) result.push(this.selectGreeting(context) + '。');
+    result.push(...lines);
+    if (letter && letter.farewell) result.push(letter.farewell);
+    if (letter) result.push(letter.closing);
+
+    return result.join('\n');
+  }
+
+  /**
+   * Level of the converted body: letters are raised to LETTER_LEVEL
+   */
+  getBodyLevel(context, level) {
+    return context && context.formality ? Math.max(level, LETTER_LEVEL) : level;
+  }
+
+  /**
+   * 頭語・時候の挨拶・結語 when context.formality asks for a letter, else null
+   * Customers and recipients with a company get the 貴社 wording
+   */
+  getLetterFrame(context) {
+    if (!context || !context.formality) return null;
+
+    return this.seasonalGreetings.compose(context.formality, {
+      date: context.schedule && context.schedule.date,
+      external: context.relationship === 'customer' || Boolean(context.recipient && context.recipient.company),
+      random: this.getRandomSource(context)
+    });
+  }
+
   /**
    * Select appropriate greeting based on context
    */
   selectGreeting(context) {
+    const scheduleGreeting = ScheduleContext.getGreetingCategory(context && context.schedule);
+    if (scheduleGreeting) {
+      return this.getRandomElement(this.expressions.greetings[scheduleGreeting], context);
+    }
+
     if (!context || !context.timeContext) {
-      return this.getRandomElement(this.expressions.greetings.general);
+      return this.getRandomElement(this.expressions.greetings.general, context);
     }
 
     const timeGreetings = this.expressions.greetings[context.timeContext] || this.expressions.greetings.general;
-    return this.getRandomElement(timeGreetings);
+    return this.getRandomElement(timeGreetings, context);
   }
 
   /**
    * Select appropriate cushion phrase
    */
   selectCushion(components, context, level) {
-    if (level <= 2) return null;
+    // A plain statement (復旧しています) needs no cushion
+    if (level <= 2 || !(components.hasRequest || components.hasQuestion)) return null;
 
     if (components.emotionalTone === 'urgent') {
-      return this.getRandomElement(this.expressions.cushions.urgent);
+      return this.getRandomElement(this.expressions.cushions.urgent, context);
     }
 
     if (context && context.relationship === 'superior') {
-      return this.getRandomElement(this.expressions.cushions.superior);
+      return this.getRandomElement(this.expressions.cushions.superior, context);
     }
 
     if (components.requestType === 'action' || components.hasRequest) {
-      return this.getRandomElement(this.expressions.cushions.request);
+      return this.getRandomElement(this.expressions.cushions.request, context);
     }
 
-    return this.getRandomElement(this.expressions.cushions.casual);
+    return this.getRandomElement(this.expressions.cushions.casual, context);
   }
 
   /**
    * Transform the main content with appropriate politeness
    */
-  transformMainContent(components, context, level) {
+  transformMainContent(components, context, level, completeEnding = true) {
     let content = components.mainContent;
 
     // Apply word-level transformations
-    content = this.applyWordTransformations(content, context);
+    content = this.applyWordTransformations(content, context, level);
     
     // Apply phrase-level transformations
     content = this.applyPhraseTransformations(content, context, level);
     
     // Apply sentence-level adjustments
-    content = this.applySentenceAdjustments(content, components, level);
+    if (completeEnding) {
+      content = this.applySentenceAdjustments(content, components, level);
+    }
 
     return content;
   }
@@ -217,18 +488,28 @@ class SentenceGenerator {
   /**
    * Apply word-level transformations
    */
-  applyWordTransformations(text, context) {
+  applyWordTransformations(text, context, level = 3) {
+    // Special verbs first, so 見て/言って never reach the generic mappings
+    let result = this.honorificTransformer.transform(text, context, level);
+
+    if (this.wordConverter) {
+      // Cushions are chosen by the sentence structure, so the dictionary's
+      // relationship/urgency phrases (恐れ入りますが、…) are left out here; endings are
+      // completed by applySentenceAdjustments rather than the word converter's patterns
+      const dictionaryContext = { ...context, situation: null, urgency: null, relationship: null };
+      const dictionaryText = this.wordConverter.convertDictionary(result, dictionaryContext);
+      return this.wordConverter.verbConjugator.convertVerbs(dictionaryText, level);
+    }
+
     const wordMappings = {
       'アプデ': 'アップデート',
       'バグ': '不具合',
       'チェック': 'ご確認',
       'やって': 'ご対応',
-      'して': 'していただく',
       'マジで': '非常に',
       'ヤバい': '大変な状況'
     };
 
-    let result = text;
     for (const [casual, polite] of Object.entries(wordMappings)) {
       result = result.replace(new RegExp(casual, 'g'), polite);
     }
@@ -242,10 +523,16 @@ class SentenceGenerator {
   applyPhraseTransformations(text, context, level) {
     let result = text;
 
-    // Transform direct commands to polite requests
-    result = result.replace(/確認して/g, level >= 4 ? 'ご確認いただけますでしょうか' : 'ご確認ください');
-    result = result.replace(/教えて/g, level >= 3 ? 'お教えいただけませんでしょうか' : 'お教えください');
-    result = result.replace(/送って/g, level >= 3 ? 'お送りいただけませんでしょうか' : 'お送りください');
+    // Transform direct commands to polite requests; a command the dictionary or verb
+    // pass already made polite (教えていただけませんか) is followed by its ending and
+    // left alone, and a request asked as a question (確認してもらえる？) stays a question
+    const phrase = (verb, request, question) => {
+      const pattern = new RegExp(`(?<![おご])${verb}(${CASUAL_REQUEST_AUXILIARY})?${PHRASE_END}`, 'g');
+      result = result.replace(pattern, (match, auxiliary) => (auxiliary ? question : request));
+    };
+    phrase('確認して', level >= 4 ? 'ご確認いただけますでしょうか' : 'ご確認ください', 'ご確認いただけますでしょうか');
+    phrase('教えて', level >= 3 ? 'お教えいただけませんでしょうか' : 'お教えください', 'お教えいただけませんでしょうか');
+    phrase('送って', level >= 3 ? 'お送りいただけませんでしょうか' : 'お送りください', 'お送りいただけませんでしょうか');
 
     return result;
   }
@@ -254,18 +541,50 @@ class SentenceGenerator {
    * Apply sentence-level adjustments
    */
   applySentenceAdjustments(text, components, level) {
-    let result = text;
-
-    // Ensure proper sentence endings
-    if (!result.endsWith('。') && !result.endsWith('？') && !result.endsWith('です') && !result.endsWith('ます')) {
-      if (components.hasQuestion) {
-        result += level >= 3 ? 'でしょうか？' : 'ですか？';
-      } else {
-        result += level >= 3 ? 'いただけますでしょうか。' : 'お願いします。';
+    // 「！」 is not kept on a completed polite ending
+    let result = text.replace(/[！!]+$/, '');
+
+    // 確認お願い(します) → ご確認をお願いいたします, 電話お願い → お電話をお願いいたします
+    const request = result.match(/お願い(?:します)?$/);
+    if (request) {
+      const before = result.slice(0, request.index);
+      const noun = before.match(/[一-龯]+$/);
+      let head = before;
+      if (noun) {
+        const rest = before.slice(0, -noun[0].length);
+        head = rest + (/[ごお]$/.test(rest) ? noun[0] : this.addNounPrefix(noun[0])) + 'を';
       }
+      return head + (level >= 3 ? 'お願いいたします。' : 'お願いします。');
     }
 
-    return result;
+    // 見てくれる？ / 手伝ってほしい → 見ていただけますでしょうか？ / 手伝っていただけますでしょうか
+    if (components.hasRequest) {
+      result = result.replace(/([てで])(?:くれ(?:る|ない)?|もらえ(?:る|ない)?|ほしい|欲しい)(?=[？?]?$)/, '$1いただけますでしょうか');
+    }
+
+    // Ensure proper sentence endings; only requests get a request ending, other
+    // sentences are completed as です/ます statements
+    if (/[？?]$/.test(result)) return result;
+    result = result.replace(/。$/, '');
+
+    if (/(?:か|ください|です|ます|ました|ません|ましょう)$/.test(result)) {
+      return result + '。';
+    }
+    if (components.hasQuestion) {
+      return result + (level >= 3 ? 'でしょうか？' : 'ですか？');
+    }
+    if (components.hasRequest) {
+      return result + (level >= 3 ? 'いただけますでしょうか。' : 'お願いします。');
+    }
+    return this.completeStatement(result, level) + '。';
+  }
+
+  /**
+   * Noun with its お/ご from NOUN_PREFIXES, or as it is
+   */
+  addNounPrefix(noun) {
+    const entry = Object.entries(NOUN_PREFIXES).find(([, nouns]) => nouns.includes(noun));
+    return entry ? entry[0] + noun : noun;
   }
 
   /**
@@ -274,46 +593,74 @@ class SentenceGenerator {
   selectClosing(components, context, level) {
     if (level <= 2) return null;
 
+    // A closing that covers every intent, e.g. both the request and the question
+    const combination = this.findIntentCombination(context);
+    if (combination) {
+      return this.getRandomElement(combination.closings, context);
+    }
+
     if (components.hasQuestion) {
-      return this.getRandomElement(this.expressions.closings.question);
+      return this.getRandomElement(this.expressions.closings.question, context);
     }
 
     if (components.emotionalTone === 'urgent') {
-      return this.getRandomElement(this.expressions.closings.urgent);
+      return this.getRandomElement(this.expressions.closings.urgent, context);
     }
 
     if (components.emotionalTone === 'grateful') {
-      return this.getRandomElement(this.expressions.closings.gratitude);
+      return this.getRandomElement(this.expressions.closings.gratitude, context);
     }
 
-    return this.getRandomElement(this.expressions.closings.request);
+    return this.getRandomElement(this.expressions.closings.request, context);
   }
 
   /**
    * Add additional courtesy elements for higher levels
    */
   addCourtesyElements(context) {
+    // A message addressed to a recipient profile already ends with its closing
+    if (context && context.recipient) return null;
+
     const elements = [];
     
-    if (Math.random() > 0.5) {
-      elements.push('何かご不明な点がございましたら、お気軽にお声かけください。');
+    if (this.getRandomSource(context).next() > 0.5) {
+      elements.push(COURTESY.general);
     }
     
     if (context && context.relationship === 'superior') {
-      elements.push('ご多忙中にも関わらず、いつもありがとうございます。');
+      elements.push(COURTESY.superior);
     }
 
     return elements.length > 0 ? elements.join(' ') : null;
   }
 
+  /**
+   * Every phrase the generator adds around the converted content, for edit review:
+   * [{text, reason}] (greetings, cushions, closings, courtesy sentences, emoji)
+   */
+  getFramingPhrases() {
+    const phrases = (groups, reason) => Object.values(groups).flat().map(text => ({ text, reason }));
+    const combinations = this.expressions.combinations;
+
+    return [
+      ...phrases(this.expressions.greetings, '挨拶を追加'),
+      ...phrases(this.expressions.cushions, 'クッション言葉を追加'),
+      ...phrases(combinations.map(combination => combination.cushions), 'クッション言葉を追加'),
+      ...phrases(this.expressions.closings, '結びの言葉を追加'),
+      ...phrases(combinations.map(combination => combination.closings), '結びの言葉を追加'),
+      ...phrases(COURTESY, '気遣いの一文を追加'),
+      ...phrases(EMOJIS, '絵文字を追加')
+    ];
+  }
+
   /**
    * Assemble the final sentence from all components
    */
   assembleSentence(structure, context, level) {
     const parts = [];
 
-    // Add greeting (for levels 3+)
-    if (level >= 3 && structure.greeting) {
+    // Add greeting (for levels 3+); letters open with 頭語 and 時候の挨拶 instead
+    if (level >= 3 && structure.greeting && !structure.letter) {
       parts.push(structure.greeting + '。');
     }
 
@@ -335,11 +682,20 @@ class SentenceGenerator {
       parts.push(structure.additionalCourtesy);
     }
 
+    if (structure.letter && structure.letter.farewell) {
+      parts.push(structure.letter.farewell);
+    }
+
     // Join and clean up
     let result = parts.join(' ').replace(/\s+/g, ' ').trim();
+
+    // Letters put 頭語 and 結語 on their own lines and never get emoji
+    if (structure.letter) {
+      return [structure.letter.opening, result, structure.letter.closing].join('\n');
+    }
     
-    // Add emoji for level 4+
-    if (level >= 4) {
+    // Add emoji for level 4+ (context.emoji false leaves it to the caller)
+    if (level >= 4 && context.emoji !== false) {
       result = this.addEmoji(result, context);
     }
 
@@ -350,17 +706,9 @@ class SentenceGenerator {
    * Add appropriate emoji for higher politeness levels
    */
   addEmoji(text, context) {
-    const emojis = {
-      request: ['🙏', '💦', '✨'],
-      question: ['❓', '🤔', '💭'],
-      urgent: ['⚡', '🔥', '💦'],
-      grateful: ['😊', '🙏', '✨'],
-      general: ['😊', '✨', '🌸']
-    };
-
     const contextType = this.determineEmojiContext(text);
-    const availableEmojis = emojis[contextType] || emojis.general;
-    const selectedEmoji = this.getRandomElement(availableEmojis);
+    const availableEmojis = EMOJIS[contextType] || EMOJIS.general;
+    const selectedEmoji = this.getRandomElement(availableEmojis, context);
 
     return text + ' ' + selectedEmoji;
   }
@@ -382,8 +730,8 @@ class SentenceGenerator {
   generateVariations(originalText, context, baseLevel = 3) {
     const variations = [];
 
-    // Generate different levels
-    for (let level = 2; level <= 5; level++) {
+    // Generate different levels (letters only at letter register)
+    for (let level = this.getBodyLevel(context, 2); level <= 5; level++) {
       const variation = this.generatePoliteVersion(originalText, context, level);
       variations.push({
         level: level,
@@ -458,10 +806,15 @@ class SentenceGenerator {
   }
 
   /**
-   * Utility function to get random element from array
+   * Utility function to get random element from array, using the request's
+   * seeded or stable source (context.random) when there is one
    */
-  getRandomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+  getRandomElement(array, context) {
+    return this.getRandomSource(context).pick(array);
+  }
+
+  getRandomSource(context) {
+    return (context && context.random) || this.random;
   }
 
   /**
@@ -0,0 +1,223 @@
+/**
+ * Style Normalizer - である調 ↔ です・ます調
+ * Detects 常体 and 敬体 sentences with ContextAnalyzer.assessFormality, rewrites every
+ * sentence to one style and reports the sentences it could not convert safely
+ */
+
+const ContextAnalyzer = require('./contextAnalyzer');
+const VerbConjugator = require('./verbConjugator');
+const ReverseConverter = require('./reverseConverter');
+const DocumentSegmenter = require('./documentSegmenter');
+
+const STYLES = ['dearu', 'desu-masu'];
+
+// 常体 sentence endings: copula, verbs, adjectives and plain questions
+const PLAIN_ENDING_PATTERN = /(?:だ|である|だった|であった|だろう|であろう|ない|なかった|[うくぐすつぬぶむるいた]|か)$/;
+
+// 敬体 forms assessFormality does not count (ました, でした, ください), and 敬体
+// left in a sentence after conversion to である調
+const POLITE_PATTERN = /です|でしょ|ま(?:す|し|せ)|ください|ござい/;
+
+// 常体 copula at the end of a sentence → です・ます
+const COPULA_TO_POLITE = [
+  [/(?:では|じゃ)なかった$/, 'ではありませんでした'],
+  [/(?:では|じゃ)ない$/, 'ではありません'],
+  [/(?:であ|だ)った$/, 'でした'],
+  [/(?:であ|だ)ろう$/, 'でしょう'],
+  [/(?:である|だ)$/, 'です']
+];
+
+// Existence ない after a particle or a noun (問題はない, 問題ない), not 少ない
+const EXISTENCE_NEGATIVE_PATTERN = /(?<=[はもが]|[一-龯]{2}|[ァ-ヶー]{2})な(い|かった)$/;
+
+// い-adjectives: 高い, 新しい, 行きたい and their past forms
+const ADJECTIVE_PATTERN = /(?:[一-龯]|しい|たい|[一-龯]く|しく|たく)(?:い|かった)$/;
+
+class StyleNormalizer {
+  constructor(options = {}) {
+    this.contextAnalyzer = options.contextAnalyzer || new ContextAnalyzer();
+    this.verbConjugator = new VerbConjugator(options);
+    this.reverseConverter = new ReverseConverter();
+    this.documentSegmenter = new DocumentSegmenter();
+  }
+
+  /**
+   * Style of each sentence and of the document:
+   * {style, mixed, counts: {dearu, desu-masu}, sentences: [{index, text, style}]}
+   * Sentences without a recognizable ending (体言止め, headings) have style null
+   */
+  analyze(text) {
+    const document = this.documentSegmenter.segment(text);
+    const counts = { dearu: 0, 'desu-masu': 0 };
+
+    const sentences = this.documentSegmenter.getSentences(document).map((sentence, index) => {
+      const style = this.detectSentenceStyle(sentence.text);
+      if (style) counts[style]++;
+      return { index, text: sentence.text + sentence.terminator, style };
+    });
+
+    let style = null;
+    if (counts.dearu > 0 || counts['desu-masu'] > 0) {
+      style = counts['desu-masu'] >= counts.dearu ? 'desu-masu' : 'dearu';
+    }
+
+    return {
+      style: style,
+      mixed: counts.dearu > 0 && counts['desu-masu'] > 0,
+      counts: counts,
+      sentences: sentences
+    };
+  }
+
+  detectSentenceStyle(sentence) {
+    const formality = this.contextAnalyzer.assessFormality(sentence);
+    if (formality === 'formal' || formality === 'very-formal' || POLITE_PATTERN.test(sentence)) {
+      return 'desu-masu';
+    }
+
+    const body = sentence.trim().replace(/[よね]+$/, '');
+    return PLAIN_ENDING_PATTERN.test(body) ? 'dearu' : null;
+  }
+
+  /**
+   * Rewrite every sentence to style ('dearu' or 'desu-masu'):
+   * {text, style, analysis, converted, unconverted: [{index, text, reason}], conversions}
+   * Sentences that cannot be converted safely are kept unchanged and reported
+   */
+  normalize(text, style, conversions = []) {
+    if (!STYLES.includes(style)) {
+      throw new Error(`Unknown style: ${style}`);
+    }
+
+    const analysis = this.analyze(text);
+    const document = this.documentSegmenter.segment(text);
+    const unconverted = [];
+    let converted = 0;
+    let index = 0;
+
+    const result = this.documentSegmenter.compose(document, sentence => {
+      const sentenceIndex = index++;
+      const sentenceStyle = analysis.sentences[sentenceIndex].style;
+      const original = sentence.text + sentence.terminator;
+      if (!sentenceStyle || sentenceStyle === style) return original;
+
+      const records = [];
+      const outcome = style === 'dearu'
+        ? this.toDearu(sentence.text, records)
+        : this.toDesuMasu(sentence.text, records);
+
+      if (outcome.reason) {
+        unconverted.push({ index: sentenceIndex, text: original, reason: outcome.reason });
+        return original;
+      }
+
+      converted++;
+      conversions.push(...records);
+      return outcome.text + sentence.terminator;
+    });
+
+    return { text: result, style, analysis, converted, unconverted, conversions };
+  }
+
+  /**
+   * 敬体 sentence → である調: {text} or {reason}
+   */
+  toDearu(sentence, conversions) {
+    if (/くださ/.test(sentence)) {
+      return { reason: '依頼表現はである調に言い換えられません' };
+    }
+
+    // 正しかったです → 正しかった; the adjective already carries the tense
+    let result = sentence.replace(/かったです/g, match => {
+      conversions.push({ type: 'pattern', original: match, converted: 'かった', reason: '文末をである調に変換' });
+      return 'かった';
+    });
+    result = this.reverseConverter.convertHonorifics(result, conversions);
+    result = this.reverseConverter.convertMasuForms(result, 'plain', conversions);
+    result = this.reverseConverter.convertCopula(result, 'plain', conversions);
+
+    // だ・だった・だろう at the end of the sentence become である・であった・であろう
+    result = result.replace(/だ(った|ろう)?(か)?$/, (match, tense, question) => {
+      const converted = 'であ' + (tense || 'る') + (question || '');
+      conversions.push({ type: 'pattern', original: match, converted, reason: '文末をである調に変換' });
+      return converted;
+    });
+
+    if (POLITE_PATTERN.test(result)) {
+      return { reason: '敬体の表現が残るため変換できません' };
+    }
+    return { text: result };
+  }
+
+  /**
+   * 常体 sentence → です・ます調: {text} or {reason}
+   */
+  toDesuMasu(sentence, conversions) {
+    const [, core, question = ''] = sentence.match(/^([\s\S]*?)(か)?$/);
+    const converted = this.convertPlainEnding(core);
+    if (!converted) {
+      return { reason: '文末の活用を判定できません' };
+    }
+
+    const ending = this.commonPrefixLength(core, converted);
+    conversions.push({
+      type: 'pattern',
+      original: core.slice(ending) + question,
+      converted: converted.slice(ending) + question,
+      reason: '文末をです・ます調に変換'
+    });
+    return { text: converted + question };
+  }
+
+  /**
+   * です・ます form of a 常体 sentence ending, or null
+   */
+  convertPlainEnding(core) {
+    for (const [pattern, replacement] of COPULA_TO_POLITE) {
+      if (pattern.test(core)) return core.replace(pattern, replacement);
+    }
+
+    if (EXISTENCE_NEGATIVE_PATTERN.test(core)) {
+      return core.replace(EXISTENCE_NEGATIVE_PATTERN, (match, tense) => tense === 'い' ? 'ありません' : 'ありませんでした');
+    }
+
+    // 行かなかった → 行きませんでした: convert the ない form, then add でした
+    const negativePast = core.match(/^([\s\S]*)なかった$/);
+    if (negativePast) {
+      const negative = this.convertVerbEnding(negativePast[1] + 'ない');
+      if (negative) return negative + 'でした';
+    }
+
+    const verb = this.convertVerbEnding(core);
+    if (verb) return verb;
+
+    if (ADJECTIVE_PATTERN.test(core)) return core + 'です';
+    return null;
+  }
+
+  /**
+   * Verb phrase ending the sentence in its ます-form, or null
+   */
+  convertVerbEnding(core) {
+    const phrase = this.verbConjugator.recognize(core).find(candidate =>
+      candidate.end === core.length && candidate.inflection !== 'request');
+    if (phrase) {
+      const stem = this.verbConjugator.getMasuStem(phrase.dictionaryForm, phrase.verbClass);
+      const teForm = this.verbConjugator.getTeForm(phrase.dictionaryForm, phrase.verbClass);
+      const polite = stem && teForm && this.verbConjugator.renderMasu(phrase, stem, teForm, 1);
+      if (polite) return core.slice(0, phrase.start) + polite;
+    }
+
+    // サ変 dictionary form, which the pattern fallback does not cover
+    const suru = core.match(/^([\s\S]*?)する$/);
+    return suru && suru[1] ? suru[1] + 'します' : null;
+  }
+
+  commonPrefixLength(a, b) {
+    let length = 0;
+    while (length < a.length && length < b.length && a[length] === b[length]) length++;
+    return length;
+  }
+}
+
+module.exports = StyleNormalizer;
@@ -0,0 +1,427 @@
+/**
+ * Verb Conjugator - Conjugation-aware politeness for plain-form verbs
+ * Recognizes godan/ichidan/irregular verbs with て/ておく(とく)/た/ない/volitional
+ * inflections and renders them as ます-form, 謙譲語 or 尊敬語 by target level
+ */
+
+const { sharedMorphologicalTokenizer } = require('../shared/morphologicalTokenizer');
+
+// Godan endings by row: [未然, 連用, 仮定, 意向, て, た]
+const GODAN_ROWS = {
+  'う': ['わ', 'い', 'え', 'お', 'って', 'った'],
+  'く': ['か', 'き', 'け', 'こ', 'いて', 'いた'],
+  'ぐ': ['が', 'ぎ', 'げ', 'ご', 'いで', 'いだ'],
+  'す': ['さ', 'し', 'せ', 'そ', 'して', 'した'],
+  'つ': ['た', 'ち', 'て', 'と', 'って', 'った'],
+  'ぬ': ['な', 'に', 'ね', 'の', 'んで', 'んだ'],
+  'ぶ': ['ば', 'び', 'べ', 'ぼ', 'んで', 'んだ'],
+  'む': ['ま', 'み', 'め', 'も', 'んで', 'んだ'],
+  'る': ['ら', 'り', 'れ', 'ろ', 'って', 'った']
+};
+
+// -aru honorific verbs with an irregular 連用形 (いらっしゃる → いらっしゃいます)
+const IRREGULAR_MASU_STEMS = {
+  'いらっしゃる': 'いらっしゃい',
+  'おっしゃる': 'おっしゃい',
+  'なさる': 'なさい',
+  'くださる': 'ください',
+  'ござる': 'ござい'
+};
+
+// Ichidan verbs whose 連用形 ends in an い-row kana, unlike godan 連用形 (起き vs 書き)
+const ICHIDAN_I_STEMS = ['でき', '起き', '生き', '過ぎ', '落ち', '借り', '降り', '浴び', '信じ', '感じ', '閉じ', '足り', '存じ'];
+
+// Verbs whose humble/honorific forms are not built with お〜 (handled as special verbs)
+const NO_HONORIFIC_PREFIX = [
+  '行く', '来る', 'くる', '見る', '言う', '食べる', '飲む', 'いる', 'ある', '知る',
+  'くれる', 'もらう', 'あげる', 'やる', '寝る', '着る', '思う', 'わかる', 'なる', 'できる'
+];
+
+// Subjects other than the writer (雨が, サーバーが); ながら is not a subject marker
+const SUBJECT_PATTERN = /(?<!な)が/;
+
+class VerbConjugator {
+  constructor(options = {}) {
+    this.tokenizer = options.tokenizer || sharedMorphologicalTokenizer;
+    this.actorDetector = options.actorDetector || null;
+  }
+
+  /**
+   * Convert every recognized plain-form verb phrase in the text
+   */
+  convertVerbs(text, level, conversions = []) {
+    const phrases = this.recognize(text);
+    let result = '';
+    let index = 0;
+
+    for (const phrase of phrases) {
+      const register = this.selectRegister(phrase, level, text);
+      const polite = this.render(phrase, register, level);
+      if (!polite) continue;
+
+      result += text.slice(index, phrase.start) + polite;
+      index = phrase.end;
+
+      conversions.push({
+        type: 'verb',
+        original: text.slice(phrase.start, phrase.end),
+        converted: polite,
+        register: register,
+        verbClass: phrase.verbClass,
+        reason: '普通体の動詞を丁寧な活用形に変換'
+      });
+    }
+
+    return result + text.slice(index);
+  }
+
+  /**
+   * Find verb phrases ending a clause: [{start, end, dictionaryForm, verbClass, inflection, preparatory}]
+   */
+  recognize(text) {
+    if (this.tokenizer.isReady()) {
+      return this.recognizeWithTokens(this.tokenizer.tokenize(text));
+    }
+    return this.recognizeWithPatterns(text);
+  }
+
+  recognizeWithTokens(tokens) {
+    const phrases = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.pos !== '動詞' || token.posDetail !== '自立') continue;
+
+      const verbClass = this.classFromConjugatedType(token.conjugatedType);
+      if (!verbClass) continue;
+
+      let start = token.start;
+      let dictionaryForm = token.basicForm;
+      const previous = tokens[i - 1];
+      if (verbClass === 'suru' && previous && previous.pos === '名詞' && previous.end === token.start) {
+        start = previous.start;
+        dictionaryForm = previous.surface + 'する';
+      } else if (verbClass === 'suru') {
+        continue;
+      }
+
+      // ておく / とく / どく
+      let j = i + 1;
+      let preparatory = false;
+      if (tokens[j] && /^[てで]$/.test(tokens[j].surface) && tokens[j + 1] && tokens[j + 1].basicForm === 'おく') {
+        preparatory = true;
+        j += 2;
+      } else if (tokens[j] && ['とく', 'どく'].includes(tokens[j].basicForm)) {
+        preparatory = true;
+        j += 1;
+      }
+
+      const ending = preparatory ? tokens[j - 1] : token;
+      const next = tokens[j];
+      let inflection = null;
+      if (next && next.pos === '助詞' && /^[てで]$/.test(next.surface)) {
+        inflection = 'request';
+      } else if (next && next.pos === '助動詞' && next.basicForm === 'た') {
+        inflection = 'past';
+      } else if (next && next.pos === '助動詞' && next.basicForm === 'ない') {
+        inflection = 'negative';
+      } else if (next && next.pos === '助動詞' && ['う', 'よう'].includes(next.basicForm)) {
+        inflection = 'volitional';
+      } else if (ending.conjugatedForm === '基本形') {
+        inflection = 'plain';
+        j -= 1;
+      }
+      if (!inflection) continue;
+
+      // Only rewrite at clause ends; trailing よ/ね are absorbed into the polite form
+      let k = j + 1;
+      while (tokens[k] && tokens[k].pos === '助詞' && tokens[k].posDetail === '終助詞') {
+        k++;
+      }
+      const end = tokens[k - 1].end;
+      const after = tokens[k];
+      const atClauseEnd = !after || after.pos === '記号' ||
+        (inflection !== 'request' && after.pos === '助詞' && after.posDetail === '接続助詞');
+      if (!atClauseEnd) continue;
+
+      phrases.push({ start, end, dictionaryForm, verbClass, inflection, preparatory });
+      i = k - 1;
+    }
+
+    return phrases;
+  }
+
+  /**
+   * Fallback without a tokenizer: サ変 compounds (漢語/カタカナ + する) only
+   */
+  recognizeWithPatterns(text) {
+    const phrases = [];
+    const pattern = /([一-龯]{2,}|[ァ-ヶー]{2,})し(ておいて|といて|ておいた|といた|て|た|ない|よう)(?:[よね]+)?(?=$|[。、！？!?\s])/g;
+    const inflections = {
+      'ておいて': ['request', true], 'といて': ['request', true],
+      'ておいた': ['past', true], 'といた': ['past', true],
+      'て': ['request', false], 'た': ['past', false],
+      'ない': ['negative', false], 'よう': ['volitional', false]
+    };
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const [inflection, preparatory] = inflections[match[2]];
+      phrases.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        dictionaryForm: match[1] + 'する',
+        verbClass: 'suru',
+        inflection,
+        preparatory
+      });
+    }
+
+    return phrases;
+  }
+
+  classFromConjugatedType(conjugatedType) {
+    if (!conjugatedType) return null;
+    if (conjugatedType.startsWith('五段')) return 'godan';
+    if (conjugatedType.startsWith('一段')) return 'ichidan';
+    if (conjugatedType.startsWith('サ変')) return 'suru';
+    if (conjugatedType.startsWith('カ変')) return 'kuru';
+    return null;
+  }
+
+  /**
+   * Conjugation helpers
+   */
+  getMasuStem(dictionaryForm, verbClass) {
+    switch (verbClass) {
+      case 'suru':
+        return dictionaryForm.slice(0, -2) + 'し';
+      case 'kuru':
+        return dictionaryForm.startsWith('来') ? '来' : 'き';
+      case 'ichidan':
+        return dictionaryForm.slice(0, -1);
+      default: {
+        const irregular = Object.keys(IRREGULAR_MASU_STEMS).find(verb => dictionaryForm.endsWith(verb));
+        if (irregular) {
+          return dictionaryForm.slice(0, -irregular.length) + IRREGULAR_MASU_STEMS[irregular];
+        }
+        const row = GODAN_ROWS[dictionaryForm.slice(-1)];
+        return row ? dictionaryForm.slice(0, -1) + row[1] : null;
+      }
+    }
+  }
+
+  /**
+   * Plain surface forms by inflection, for matching without a tokenizer
+   */
+  getPlainForms(dictionaryForm, verbClass) {
+    const teForm = this.getTeForm(dictionaryForm, verbClass);
+    if (!teForm) return null;
+
+    const pastForm = teForm.slice(0, -1) + (teForm.endsWith('で') ? 'だ' : 'た');
+    let negativeStem;
+    let volitional;
+
+    switch (verbClass) {
+      case 'suru':
+        negativeStem = dictionaryForm.slice(0, -2) + 'し';
+        volitional = dictionaryForm.slice(0, -2) + 'しよう';
+        break;
+      case 'kuru':
+        negativeStem = dictionaryForm.startsWith('来') ? '来' : 'こ';
+        volitional = negativeStem + 'よう';
+        break;
+      case 'ichidan':
+        negativeStem = dictionaryForm.slice(0, -1);
+        volitional = negativeStem + 'よう';
+        break;
+      default: {
+        const row = GODAN_ROWS[dictionaryForm.slice(-1)];
+        if (!row) return null;
+        negativeStem = dictionaryForm.slice(0, -1) + row[0];
+        volitional = dictionaryForm.slice(0, -1) + row[3] + 'う';
+      }
+    }
+
+    // ある has no 未然形 of its own: ある → ない
+    const negative = verbClass === 'godan' && /(^|[^一-龯])ある$/.test(dictionaryForm)
+      ? dictionaryForm.slice(0, -2) + 'ない'
+      : negativeStem + 'ない';
+
+    return {
+      request: teForm,
+      past: pastForm,
+      negative: negative,
+      volitional: volitional,
+      plain: dictionaryForm
+    };
+  }
+
+  /**
+   * Dictionary form and class from a ます-form stem, judged by its last characters:
+   * 送り → 送る, 確認し → 確認する, 食べ → 食べる, 来 → 来る; null when unrecognizable
+   */
+  getDictionaryFormFromStem(stem) {
+    const last = stem.slice(-1);
+    const before = stem.slice(0, -1);
+    if (!last) return null;
+
+    if (last === '来' || (last === 'き' && /[てで]$/.test(before))) {
+      return { dictionaryForm: before + (last === '来' ? '来る' : 'くる'), verbClass: 'kuru' };
+    }
+    // 確認し / チェックし are サ変; a single kanji + し is godan (話し → 話す)
+    if (last === 'し' && !/(^|[^一-龯々])[一-龯々]$/.test(before)) {
+      return { dictionaryForm: before + 'する', verbClass: 'suru' };
+    }
+    if (ICHIDAN_I_STEMS.some(ichidanStem => stem.endsWith(ichidanStem)) ||
+      (last === 'い' && !/[一-龯々]$/.test(before)) ||
+      /[えけげせぜてでねへべぺめれ一-龯々]/.test(last)) {
+      return { dictionaryForm: stem + 'る', verbClass: 'ichidan' };
+    }
+
+    const ending = Object.keys(GODAN_ROWS).find(key => GODAN_ROWS[key][1] === last);
+    return ending ? { dictionaryForm: before + ending, verbClass: 'godan' } : null;
+  }
+
+  getTeForm(dictionaryForm, verbClass) {
+    switch (verbClass) {
+      case 'suru':
+        return dictionaryForm.slice(0, -2) + 'して';
+      case 'kuru':
+        return (dictionaryForm.startsWith('来') ? '来' : 'き') + 'て';
+      case 'ichidan':
+        return dictionaryForm.slice(0, -1) + 'て';
+      default: {
+        if (/行く$/.test(dictionaryForm) || /いく$/.test(dictionaryForm)) {
+          return dictionaryForm.slice(0, -1) + 'って';
+        }
+        const row = GODAN_ROWS[dictionaryForm.slice(-1)];
+        return row ? dictionaryForm.slice(0, -1) + row[4] : null;
+      }
+    }
+  }
+
+  /**
+   * お〜 / ご〜 base for 尊敬語 and 謙譲語, or null when the verb doesn't take one
+   */
+  getHonorificBase(dictionaryForm, verbClass) {
+    if (NO_HONORIFIC_PREFIX.includes(dictionaryForm)) return null;
+
+    if (verbClass === 'suru') {
+      const noun = dictionaryForm.slice(0, -2);
+      return /^[一-龯]+$/.test(noun) ? 'ご' + noun : null;
+    }
+
+    const stem = this.getMasuStem(dictionaryForm, verbClass);
+    if (!stem || stem.length < 2 || !/[一-龯]/.test(stem)) return null;
+    return 'お' + stem;
+  }
+
+  /**
+   * ます-form up to level 2; above that お〜いただく 尊敬語 for requests when the verb
+   * takes お/ご, and 謙譲語 only for the writer's own action toward someone
+   */
+  selectRegister(phrase, level, text = '') {
+    if (level <= 2) return 'masu';
+
+    if (phrase.inflection === 'request') {
+      return !phrase.preparatory && this.getHonorificBase(phrase.dictionaryForm, phrase.verbClass)
+        ? 'sonkeigo'
+        : 'masu';
+    }
+    return this.isHumbleAction(text, phrase) ? 'kenjougo' : 'masu';
+  }
+
+  /**
+   * Whether the writer does the verb to or for someone: HonorificTransformer's actor
+   * is the writer, no other subject is marked with が (雨が降った, サーバーが落ちた), and
+   * the verb is a サ変 compound or takes an object with を (資料を送った, not もう帰る)
+   */
+  isHumbleAction(text, phrase) {
+    if (this.getActorDetector().detectActor(text, phrase) !== 'writer') return false;
+
+    const clause = text.slice(0, phrase.start).split(/[。！？!?\n]/).pop()
+      .replace(/(?:私|わたし|僕|俺|自分|こちら|弊社|当方)が/g, '');
+    if (SUBJECT_PATTERN.test(clause)) return false;
+
+    return phrase.verbClass === 'suru' || clause.includes('を');
+  }
+
+  /**
+   * HonorificTransformer sharing this conjugator; required lazily since it requires this module
+   */
+  getActorDetector() {
+    if (!this.actorDetector) {
+      const HonorificTransformer = require('./honorificTransformer');
+      this.actorDetector = new HonorificTransformer({ verbConjugator: this });
+    }
+    return this.actorDetector;
+  }
+
+  /**
+   * Render a recognized phrase in the requested register
+   */
+  render(phrase, register, level = 3) {
+    const { dictionaryForm, verbClass, inflection, preparatory } = phrase;
+    const stem = this.getMasuStem(dictionaryForm, verbClass);
+    const teForm = this.getTeForm(dictionaryForm, verbClass);
+    if (!stem || !teForm) return null;
+
+    if (register === 'sonkeigo' && inflection === 'request') {
+      const base = this.getHonorificBase(dictionaryForm, verbClass);
+      if (base) return base + this.getRequestEnding(level);
+    }
+
+    if (register === 'kenjougo' && ['past', 'volitional', 'plain'].includes(inflection)) {
+      const humble = this.renderHumble(phrase, stem, teForm, level);
+      if (humble) return humble;
+    }
+
+    return this.renderMasu(phrase, stem, teForm, level);
+  }
+
+  getRequestEnding(level) {
+    if (level >= 4) return 'いただけますでしょうか';
+    return level >= 2 ? 'いただけますか' : 'ください';
+  }
+
+  renderMasu(phrase, stem, teForm, level) {
+    const { inflection, preparatory } = phrase;
+    const base = preparatory ? teForm + 'おき' : stem;
+
+    switch (inflection) {
+      case 'request':
+        return (preparatory ? teForm + 'おいて' : teForm) + this.getRequestEnding(level);
+      case 'past':
+        return base + 'ました';
+      case 'negative':
+        return base + 'ません';
+      case 'volitional':
+        return base + 'ましょう';
+      default:
+        return base + 'ます';
+    }
+  }
+
+  renderHumble(phrase, stem, teForm, level) {
+    const { dictionaryForm, verbClass, inflection, preparatory } = phrase;
+    const endings = { past: 'ました', volitional: 'ましょう', plain: 'ます' };
+    const humbleVerb = level >= 4 ? 'いたし' : 'し';
+
+    if (verbClass === 'suru') {
+      const noun = dictionaryForm.slice(0, -2);
+      return preparatory
+        ? noun + 'しておき' + endings[inflection]
+        : noun + 'いたし' + endings[inflection];
+    }
+
+    const base = this.getHonorificBase(dictionaryForm, verbClass);
+    if (!base) return null;
+
+    return preparatory
+      ? base + 'しておき' + endings[inflection]
+      : base + humbleVerb + endings[inflection];
+  }
+}
+
+module.exports = VerbConjugator;
@@ -2,141 +2,138 @@
  * Word Converter - Intelligent word-level Japanese text conversion
  * Converts casual words and phrases to polite equivalents based on context
  */
+
+const { DictionaryLoader, sharedDictionaryLoader, loadDictionary } = require('../shared/dictionaryLoader');
+const { sharedMorphologicalTokenizer } = require('../shared/morphologicalTokenizer');
+const VerbConjugator = require('./verbConjugator');
+
+// ラ行五段 slang verb endings mapped onto サ変 replacements (ググった → 検索した)
+const CONJUGATION_ENDINGS = [
+  ['っ', 'し'],
+  ['ら', 'し'],
+  ['り', 'し'],
+  ['って', 'して'],
+  ['れば', 'すれば'],
+  ['ろう', 'しよう']
+];
+
+// て-form request keys are left alone when the verb phrase goes on (修正しておいて, 見てください)
+const CONTINUED_TE_FORM = /^(?:おい|おく|おき|ください|いただ|くれ|もら|ほし)/;
+
 class WordConverter {
-  constructor() {
+  constructor(options = {}) {
+    // Optional user/team dictionary layered over the built-in data
+    this.customDictionary = options.customDictionary || null;
+    this.customDictionaryVersion = null;
+
+    // 'morpheme' matches whole morphemes once the tokenizer is ready, 'regex' matches raw substrings
+    this.matchingMode = options.matchingMode || 'morpheme';
+    this.tokenizer = options.tokenizer || sharedMorphologicalTokenizer;
+    this.verbConjugator = new VerbConjugator({ tokenizer: this.tokenizer });
+
     // Load conversion data
     this.loadConversionData();
   }
 
   loadConversionData() {
-    // In a real implementation, this would load from the JSON file
-    // For now, we'll include the data directly
-    this.conversionData = {
-      words: {
-        "アプデ": "アップデート",
-        "バグ": "不具合", 
-        "レス": "お返事",
-        "リスケ": "スケジュール変更",
-        "ググる": "検索する",
-        "ヤバい": "大変な状況",
-        "マジで": "非常に",
-        "オッケー": "承知いたしました",
-        "NG": "お受けできません",
-        "チェック": "確認",
-        "フィックス": "修正",
-        "デバッグ": "不具合調査",
-        "リリース": "公開",
-        "デプロイ": "配置",
-        "タスク": "作業",
-        "アサイン": "担当指定",
-        "アポ": "お約束",
-        "ミーティング": "会議",
-        "プレゼン": "発表",
-        "レビュー": "確認",
-        "フィードバック": "ご意見",
-        "デッドライン": "期限",
-        "スケジュール": "予定",
-        "ステータス": "状況",
-        "イシュー": "課題",
-        "リクエスト": "ご依頼",
-        "レスポンス": "お返事",
-        "サポート": "支援",
-        "ヘルプ": "お手伝い"
-      },
-      phrases: {
-        "やって": "やっていただけませんか",
-        "して": "していただけませんか",
-        "確認して": "ご確認いただけますでしょうか", 
-        "チェックして": "お確かめいただけますでしょうか",
-        "教えて": "教えていただけませんか",
-        "送って": "お送りいただけませんか",
-        "作って": "作成していただけませんか",
-        "修正して": "修正していただけませんか",
-        "対応して": "ご対応いただけませんか",
-        "見て": "ご覧いただけませんか",
-        "読んで": "お読みいただけませんか",
-        "連絡して": "ご連絡いただけませんか",
-        "報告して": "ご報告いただけませんか",
-        "手伝って": "お手伝いいただけませんか",
-        "待って": "お待ちいただけませんか",
-        "変更して": "変更していただけませんか",
-        "更新して": "更新していただけませんか"
-      },
-      contextual: {
-        business: {
-          "やって": "お忙しい中恐縮ですが、対応していただけますでしょうか",
-          "確認して": "お時間のある際に、ご確認いただけると助かります",
-          "教えて": "もしよろしければ、教えていただけませんでしょうか"
-        },
-        urgent: {
-          "やって": "急ぎで恐縮ですが、対応していただけませんでしょうか", 
-          "確認して": "至急確認していただけますでしょうか",
-          "教えて": "緊急でお聞きしたいことがあるのですが"
-        },
-        superior: {
-          "やって": "お忙しい中申し訳ございませんが、対応していただけますでしょうか",
-          "確認して": "恐れ入りますが、ご確認いただけますでしょうか", 
-          "教えて": "不躾な質問で申し訳ございませんが、教えていただけませんでしょうか"
-        }
-      }
-    };
+    const baseData = loadDictionary();
+    this.dictionaryIssues = sharedDictionaryLoader.issues;
+
+    if (this.customDictionary) {
+      this.conversionData = this.customDictionary.applyTo(baseData);
+      this.customDictionaryVersion = this.customDictionary.version;
+    } else {
+      this.conversionData = baseData;
+    }
+  }
+
+  /**
+   * Reload when the custom dictionary was edited since the last conversion
+   */
+  refreshConversionData() {
+    if (this.customDictionary && this.customDictionary.version !== this.customDictionaryVersion) {
+      this.loadConversionData();
+    }
+  }
+
+  /**
+   * Load the morphological tokenizer; conversions use regex matching until it is ready
+   */
+  async prepare() {
+    if (this.matchingMode === 'morpheme') {
+      await this.tokenizer.init();
+    }
+    return this.isMorphemeMatching();
+  }
+
+  isMorphemeMatching() {
+    return this.matchingMode === 'morpheme' && this.tokenizer.isReady();
   }
 
   /**
    * Convert text with intelligent word and phrase replacement
    */
-  convertText(text, context) {
-    let convertedText = text;
+  convertText(text, context, level = 2) {
     const conversions = [];
+    const dictionaryText = this.convertDictionary(text, context, conversions);
+    const convertedText = this.convertKeigo(dictionaryText, context, level, conversions);
+
+    return {
+      text: convertedText,
+      conversions: conversions,
+      originalLength: text.length,
+      convertedLength: convertedText.length
+    };
+  }
+
+  /**
+   * Dictionary passes: casual words, then phrases based on context
+   */
+  convertDictionary(text, context, conversions = []) {
+    this.refreshConversionData();
 
     // First pass: Convert individual words
-    convertedText = this.convertWords(convertedText, conversions);
+    let convertedText = this.convertWords(text, conversions);
     
     // Second pass: Convert phrases based on context
     convertedText = this.convertPhrases(convertedText, context, conversions);
+
+    return convertedText;
+  }
+
+  /**
+   * Keigo passes: plain-form verbs for the target level, then casual sentence patterns
+   */
+  convertKeigo(text, context, level = 2, conversions = []) {
+    // Third pass: Conjugate remaining plain-form verbs for the target level
+    let convertedText = this.verbConjugator.convertVerbs(text, level, conversions);
     
-    // Third pass: Handle special patterns
+    // Fourth pass: Handle special patterns
     convertedText = this.handleSpecialPatterns(convertedText, context, conversions);
 
-    return {
-      text: convertedText,
-      conversions: conversions,
-      originalLength: text.length,
-      convertedLength: convertedText.length
-    };
+    return convertedText;
   }
 
   /**
    * Convert individual casual words to polite equivalents
    */
   convertWords(text, conversions) {
-    let result = text;
-    
-    for (const [casual, polite] of Object.entries(this.conversionData.words)) {
-      const regex = new RegExp(casual, 'g');
-      if (regex.test(result)) {
-        const matches = result.match(regex);
-        result = result.replace(regex, polite);
-        
-        conversions.push({
-          type: 'word',
-          original: casual,
-          converted: polite,
-          count: matches ? matches.length : 0,
-          reason: 'カジュアルな表現を丁寧な言葉に変換'
-        });
-      }
-    }
-    
-    return result;
+    return this.replaceFromMapping(text, this.conversionData.words, (casual, polite, count) => {
+      conversions.push({
+        type: 'word',
+        original: casual,
+        converted: polite,
+        count: count,
+        source: this.getEntrySource(casual),
+        reason: 'カジュアルな表現を丁寧な言葉に変換'
+      });
+    });
   }
 
   /**
    * Convert phrases based on context
    */
   convertPhrases(text, context, conversions) {
-    let result = text;
-    
     // Choose appropriate phrase conversion based on context
     let phraseSet = this.conversionData.phrases;
     
@@ -153,26 +150,113 @@ class WordConverter {
     }
 
     // Apply phrase conversions
-    for (const [casual, polite] of Object.entries(phraseSet)) {
-      const regex = new RegExp(casual, 'g');
-      if (regex.test(result)) {
-        const matches = result.match(regex);
-        result = result.replace(regex, polite);
-        
-        conversions.push({
-          type: 'phrase',
-          original: casual,
-          converted: polite,
-          count: matches ? matches.length : 0,
-          reason: '直接的な表現を丁寧な依頼形に変換',
-          context: context ? `${context.situation || ''} / ${context.urgency || ''} / ${context.relationship || ''}` : ''
-        });
+    return this.replaceFromMapping(text, phraseSet, (casual, polite, count) => {
+      conversions.push({
+        type: 'phrase',
+        original: casual,
+        converted: polite,
+        count: count,
+        source: this.getEntrySource(casual),
+        reason: '直接的な表現を丁寧な依頼形に変換',
+        context: context ? `${context.situation || ''} / ${context.urgency || ''} / ${context.relationship || ''}` : ''
+      });
+    });
+  }
+
+  /**
+   * Replace every key of a mapping in a single pass, longest key first,
+   * so replacements are never rewritten again by a later entry
+   */
+  replaceFromMapping(text, mapping, onConverted) {
+    const entries = DictionaryLoader.getOrderedEntries(mapping);
+    if (entries.length === 0) return text;
+
+    const counts = new Map();
+    const convert = (casual, polite) => {
+      counts.set(casual, (counts.get(casual) || 0) + 1);
+      return polite;
+    };
+
+    let result;
+    if (this.isMorphemeMatching()) {
+      result = this.replaceOnMorphemes(text, this.expandConjugations(entries), convert);
+    } else {
+      const regex = new RegExp(entries.map(([casual]) => this.escapeRegExp(casual)).join('|'), 'g');
+      result = text.replace(regex, (match, offset) => this.continuesTeForm(match, text, offset + match.length)
+        ? match
+        : convert(match, mapping[match]));
+    }
+
+    for (const [casual, count] of counts) {
+      onConverted(casual, mapping[casual], count);
+    }
+
+    return result;
+  }
+
+  /**
+   * Replace only keys that start and end on morpheme boundaries
+   */
+  replaceOnMorphemes(text, entries, convert) {
+    const { starts, ends } = this.tokenizer.getBoundaries(text);
+    let result = '';
+    let index = 0;
+
+    while (index < text.length) {
+      const entry = starts.has(index) &&
+        entries.find(([key]) => text.startsWith(key, index) && ends.has(index + key.length) &&
+          !this.continuesTeForm(key, text, index + key.length));
+
+      if (entry) {
+        const [key, polite, casual] = entry;
+        result += convert(casual, polite);
+        index += key.length;
+      } else {
+        result += text[index];
+        index++;
       }
     }
-    
+
     return result;
   }
 
+  continuesTeForm(key, text, end) {
+    return /[てで]$/.test(key) && CONTINUED_TE_FORM.test(text.slice(end));
+  }
+
+  /**
+   * Add conjugated forms for verb entries whose replacement ends in する,
+   * as [matchedForm, replacement, dictionaryKey] ordered longest first
+   */
+  expandConjugations(entries) {
+    const expanded = [];
+
+    for (const [casual, polite] of entries) {
+      expanded.push([casual, polite, casual]);
+
+      if (!casual.endsWith('る') || !polite.endsWith('する')) continue;
+
+      const casualStem = casual.slice(0, -1);
+      const politeStem = polite.slice(0, -2);
+      for (const [casualEnding, politeEnding] of CONJUGATION_ENDINGS) {
+        expanded.push([casualStem + casualEnding, politeStem + politeEnding, casual]);
+      }
+    }
+
+    return expanded.sort((a, b) => b[0].length - a[0].length);
+  }
+
+  /**
+   * Whether an entry came from the user/team dictionary or the built-in data
+   */
+  getEntrySource(casual) {
+    return this.customDictionary && this.customDictionary.hasKey(casual) ? 'custom' : 'builtin';
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   /**
    * Handle special patterns and edge cases
    */
@@ -244,6 +328,11 @@ class WordConverter {
         // Already handled in phrase conversion
         return match;
       }
+
+      if (/(ます|ました|ません|ましょう|ください|です|でした)か?$/.test(match)) {
+        // Already polite (e.g. conjugated by the verb pass)
+        return match;
+      }
       
       const polite = `${match}をお願いします`;
       conversions.push({
@@ -363,7 +452,7 @@ class WordConverter {
     const variations = [];
     
     // Base conversion
-    const baseConversion = this.convertText(text, context);
+    const baseConversion = this.convertText(text, context, level);
     variations.push({
       level: level,
       text: baseConversion.text,
@@ -373,7 +462,7 @@ class WordConverter {
 
     // More formal version
     const formalContext = { ...context, relationship: 'superior' };
-    const formalConversion = this.convertText(text, formalContext);
+    const formalConversion = this.convertText(text, formalContext, level + 1);
     variations.push({
       level: level + 1,
       text: formalConversion.text,
@@ -383,7 +472,7 @@ class WordConverter {
 
     // Casual-polite version  
     const casualPoliteContext = { ...context, situation: 'casual' };
-    const casualPoliteConversion = this.convertText(text, casualPoliteContext);
+    const casualPoliteConversion = this.convertText(text, casualPoliteContext, level - 1);
     variations.push({
       level: level - 1,
       text: casualPoliteConversion.text,
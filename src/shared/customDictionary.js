@@ -0,0 +1,334 @@
+/**
+ * Custom Dictionary - User/team casual→polite entries layered over the built-in data
+ * Entries take priority over src/data/casualToPolite.json, support per-context
+ * overrides, import/export as JSON or CSV, and persist to localStorage when available
+ */
+
+const CUSTOM_DICTIONARY_STORAGE_KEY = 'jgc_custom_dictionary';
+const CUSTOM_DICTIONARY_SECTIONS = ['words', 'phrases'];
+const CUSTOM_DICTIONARY_CONTEXTS = ['business', 'urgent', 'superior'];
+const CSV_HEADER = ['section', 'context', 'casual', 'polite'];
+
+class CustomDictionary {
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = options.storageKey || CUSTOM_DICTIONARY_STORAGE_KEY;
+
+    this.entries = this.createEmptyEntries();
+    this.version = 0;
+
+    this.loadPersistedData();
+  }
+
+  /**
+   * Add a new entry; fails if the key already exists in the same section/context
+   */
+  addEntry(casual, polite, options = {}) {
+    const mapping = this.resolveMapping(options);
+    this.validateEntry(casual, polite);
+
+    if (mapping[casual] !== undefined) {
+      throw new Error(`Custom entry "${casual}" already exists`);
+    }
+
+    mapping[casual] = polite;
+    this.commit();
+  }
+
+  /**
+   * Replace the polite form of an existing entry
+   */
+  updateEntry(casual, polite, options = {}) {
+    const mapping = this.resolveMapping(options);
+    this.validateEntry(casual, polite);
+
+    if (mapping[casual] === undefined) {
+      throw new Error(`Custom entry "${casual}" does not exist`);
+    }
+
+    mapping[casual] = polite;
+    this.commit();
+  }
+
+  /**
+   * Add or update an entry
+   */
+  setEntry(casual, polite, options = {}) {
+    const mapping = this.resolveMapping(options);
+    this.validateEntry(casual, polite);
+
+    mapping[casual] = polite;
+    this.commit();
+  }
+
+  /**
+   * Delete an entry, returns whether anything was removed
+   */
+  removeEntry(casual, options = {}) {
+    const mapping = this.resolveMapping(options);
+    if (mapping[casual] === undefined) return false;
+
+    delete mapping[casual];
+    this.commit();
+    return true;
+  }
+
+  /**
+   * List all entries as flat records
+   */
+  getEntries() {
+    const entries = [];
+
+    for (const section of CUSTOM_DICTIONARY_SECTIONS) {
+      for (const [casual, polite] of Object.entries(this.entries[section])) {
+        entries.push({ section, context: null, casual, polite });
+      }
+    }
+
+    for (const context of CUSTOM_DICTIONARY_CONTEXTS) {
+      for (const [casual, polite] of Object.entries(this.entries.contextual[context])) {
+        entries.push({ section: 'contextual', context, casual, polite });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check whether a key is defined by the user in any section
+   */
+  hasKey(casual) {
+    return this.getEntries().some(entry => entry.casual === casual);
+  }
+
+  /**
+   * Layer custom entries over a base dictionary (custom wins on equal keys)
+   */
+  applyTo(baseDictionary) {
+    const baseContextual = baseDictionary.contextual || {};
+    const contextual = {};
+
+    for (const context of new Set([...Object.keys(baseContextual), ...CUSTOM_DICTIONARY_CONTEXTS])) {
+      contextual[context] = { ...(baseContextual[context] || {}), ...this.entries.contextual[context] };
+    }
+
+    return {
+      words: { ...baseDictionary.words, ...this.entries.words },
+      phrases: { ...baseDictionary.phrases, ...this.entries.phrases },
+      contextual
+    };
+  }
+
+  /**
+   * Export in the same shape as casualToPolite.json
+   */
+  exportJSON() {
+    return JSON.stringify(this.entries, null, 2);
+  }
+
+  /**
+   * Import casualToPolite.json-shaped data; replaces everything unless merge is set
+   */
+  importJSON(jsonText, options = {}) {
+    const data = JSON.parse(jsonText);
+    const imported = this.createEmptyEntries();
+
+    for (const section of CUSTOM_DICTIONARY_SECTIONS) {
+      Object.assign(imported[section], this.filterValidPairs(data[section]));
+    }
+    for (const context of CUSTOM_DICTIONARY_CONTEXTS) {
+      Object.assign(imported.contextual[context], this.filterValidPairs(data.contextual && data.contextual[context]));
+    }
+
+    return this.replaceEntries(imported, options.merge);
+  }
+
+  /**
+   * Export as CSV with a section,context,casual,polite header
+   */
+  exportCSV() {
+    const rows = [CSV_HEADER];
+    this.getEntries().forEach(entry => {
+      rows.push([entry.section, entry.context || '', entry.casual, entry.polite]);
+    });
+
+    return rows.map(row => row.map(value => this.escapeCSVValue(value)).join(',')).join('\n');
+  }
+
+  /**
+   * Import CSV produced by exportCSV (header row is optional)
+   */
+  importCSV(csvText, options = {}) {
+    const imported = this.createEmptyEntries();
+    const rows = this.parseCSV(csvText);
+
+    if (rows.length > 0 && rows[0].join(',') === CSV_HEADER.join(',')) {
+      rows.shift();
+    }
+
+    for (const [section, context, casual, polite] of rows) {
+      if (!casual || !polite) continue;
+
+      if (section === 'contextual' && CUSTOM_DICTIONARY_CONTEXTS.includes(context)) {
+        imported.contextual[context][casual] = polite;
+      } else if (CUSTOM_DICTIONARY_SECTIONS.includes(section)) {
+        imported[section][casual] = polite;
+      }
+    }
+
+    return this.replaceEntries(imported, options.merge);
+  }
+
+  /**
+   * Remove every custom entry
+   */
+  clear() {
+    this.entries = this.createEmptyEntries();
+    this.commit();
+  }
+
+  replaceEntries(imported, merge) {
+    if (merge) {
+      for (const section of CUSTOM_DICTIONARY_SECTIONS) {
+        Object.assign(this.entries[section], imported[section]);
+      }
+      for (const context of CUSTOM_DICTIONARY_CONTEXTS) {
+        Object.assign(this.entries.contextual[context], imported.contextual[context]);
+      }
+    } else {
+      this.entries = imported;
+    }
+
+    this.commit();
+    return this.getEntries().length;
+  }
+
+  resolveMapping(options) {
+    const { section = 'words', context = null } = options;
+
+    if (context) {
+      if (!CUSTOM_DICTIONARY_CONTEXTS.includes(context)) {
+        throw new Error(`Unknown dictionary context "${context}"`);
+      }
+      return this.entries.contextual[context];
+    }
+
+    if (!CUSTOM_DICTIONARY_SECTIONS.includes(section)) {
+      throw new Error(`Unknown dictionary section "${section}"`);
+    }
+    return this.entries[section];
+  }
+
+  validateEntry(casual, polite) {
+    if (typeof casual !== 'string' || casual.trim() === '') {
+      throw new Error('Custom entry needs a casual expression');
+    }
+    if (typeof polite !== 'string' || polite.trim() === '') {
+      throw new Error(`Custom entry "${casual}" needs a polite expression`);
+    }
+  }
+
+  filterValidPairs(mapping) {
+    const pairs = {};
+    if (!mapping || typeof mapping !== 'object') return pairs;
+
+    for (const [casual, polite] of Object.entries(mapping)) {
+      if (casual.trim() !== '' && typeof polite === 'string' && polite.trim() !== '') {
+        pairs[casual] = polite;
+      }
+    }
+    return pairs;
+  }
+
+  escapeCSVValue(value) {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+
+  parseCSV(csvText) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < csvText.length; i++) {
+      const char = csvText[i];
+
+      if (inQuotes) {
+        if (char === '"' && csvText[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(value.trim());
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && csvText[i + 1] === '\n') i++;
+        row.push(value.trim());
+        if (row.some(cell => cell !== '')) rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    row.push(value.trim());
+    if (row.some(cell => cell !== '')) rows.push(row);
+
+    return rows;
+  }
+
+  createEmptyEntries() {
+    const contextual = {};
+    CUSTOM_DICTIONARY_CONTEXTS.forEach(context => {
+      contextual[context] = {};
+    });
+    return { words: {}, phrases: {}, contextual };
+  }
+
+  commit() {
+    this.version++;
+    this.persist();
+  }
+
+  /**
+   * Persistence methods
+   */
+  persist() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.storageKey, this.exportJSON());
+    } catch (error) {
+      console.warn('Failed to persist custom dictionary:', error);
+    }
+  }
+
+  loadPersistedData() {
+    if (!this.storage) return;
+
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      if (stored) {
+        this.importJSON(stored);
+      }
+    } catch (error) {
+      console.warn('Failed to load custom dictionary:', error);
+    }
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CustomDictionary };
+} else {
+  window.CustomDictionary = CustomDictionary;
+}
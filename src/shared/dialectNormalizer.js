@@ -0,0 +1,275 @@
+/**
+ * Dialect Normalizer - Rule-based dialect → 標準語 conversion
+ * Per-dialect tables for vocabulary, negation, sentence-final particles and copulas
+ * turn 関西弁, 東北弁, 九州弁, 広島弁 and 名古屋弁 into plain 標準語 before the politeness step
+ */
+
+// End of a sentence or clause: terminator, 、, whitespace or end of text
+const BOUNDARY = '[。、！？!?…\\s]|$';
+const END = `(?=${BOUNDARY})`;
+
+// Noun or の in front of a copula (雨や, 本当じゃ, 行くのや)
+const NOUN = '(?<=[一-龯ァ-ヶーんの])';
+
+// Plain verb or adjective endings in front of a particle (行くで, 高いばい, 来たけん)
+const PREDICATE = '(?<=[うくぐすつぬぶむるいた])';
+
+// 未然形 endings in front of ん/へん negation (行か, 食べ, 見せ); kanji first so みかん is left alone
+const NEGATABLE = '(?<=[一-龯][かがさたなばまらわえけげせてねべめれ])';
+
+// 関西弁 ちゃう (違う) follows a noun or starts the phrase; after a 連用形 or っ it is
+// the 〜ちゃう contraction of 〜てしまう (忘れちゃう, 行っちゃう) and is left alone
+const CHAU = '(?<![いきぎしじちにひびみりえけげせぜてでねへべめれっ])ちゃう';
+
+// ぶち- compound verbs (ぶち壊す, ぶち込む) are 標準語, not the 広島弁 intensifier
+const BUCHI = 'ぶち(?!壊|こわ|抜|ぬ[いかきくけ]|込|こ[まみむめん]|切|き[れら]|当|あた|上|あげ|撒|ま[かきくけ]|殺|のめ)';
+
+// Auto-detection needs this many different markers before a dialect's rules run
+const MIN_MARKERS = 2;
+
+// ん negation shared by the western dialects: 行かん → 行かない, 行かんかった → 行かなかった
+const N_NEGATION = [
+  ['わからん', 'わからない'],
+  ['できん', 'できない'],
+  ['いかん', 'いけない'],
+  [`(?<![ぁ-ん])せん(?=${BOUNDARY}|かった|と|よ|けど|けん|けー|ばい|のう|で)`, 'しない'],
+  [`${NEGATABLE}ん(?=かった)`, 'な'],
+  [`${NEGATABLE}ん(?=${BOUNDARY}|と|よ|ね|けど|けん|けー|ばい|のう|で)`, 'ない']
+];
+
+// Tables per dialect, each an ordered list of [pattern source, replacement];
+// sections run vocabulary → negation → particles → copula
+const DIALECT_TABLES = {
+  kansai: {
+    label: '関西弁',
+    markers: /やん|やで|やねん|せや|ほんま|あかん|おおきに|めっちゃ|[かがさたなばまらわえけげせてねべめれ]へん|きひん|ちゃうねん|[てで]んねん|なんぼ|かまへん|[一-龯][かがさたなばまらわ]んけど/,
+    vocabulary: [
+      ['ほんまに', '本当に'],
+      ['ほんま', '本当'],
+      ['めっちゃ|むっちゃ', 'すごく'],
+      ['おおきに', 'ありがとう'],
+      ['なんぼ', 'いくら'],
+      ['かまへん', '構わない'],
+      ['しゃあない', 'しかたない'],
+      ['あかんかった', 'だめだった'],
+      [`あかんわ${END}`, 'だめだ'],
+      [`あかんで${END}`, 'だめだよ'],
+      ['あかん', 'だめ'],
+      ['おもろい', '面白い'],
+      ['せやけど', 'だけど'],
+      ['せやから', 'だから'],
+      ['せやな', 'そうだね'],
+      ['せやで', 'そうだよ'],
+      ['せや', 'そうだ'],
+      ['ほな', 'じゃあ'],
+      // not ええ、 / ええ。 (yes)
+      ['ええ(?=やん|で|な|の|ね|けど|か|よ)', 'いい'],
+      [`おる(?=${BOUNDARY}|で|ねん|やん|か|けど|の)`, 'いる'],
+      ['おった', 'いた'],
+      ...N_NEGATION.slice(0, 3)
+    ],
+    negation: [
+      ['(?:せえ|せー)へん|しいひん|しやへん', 'しない'],
+      ['(?:けえ|けー|こえ|こー)へん|きいひん|きやへん', '来ない'],
+      ['できひん|でけへん', 'できない'],
+      [`${CHAU}かった`, '違った'],
+      [CHAU, '違う'],
+      ['ちゃう(?=ねん)', '違う'],
+      ['(?<=[かがさたなばまらわえけげせてねへべめれ])へん(?=かった)', 'な'],
+      ['(?<=[きぎじちにびみり])ひん(?=かった)', 'な'],
+      ['(?<=[かがさたなばまらわえけげせてねへべめれ])へん', 'ない'],
+      ['(?<=[きぎじちにびみり])ひん', 'ない'],
+      ...N_NEGATION.slice(3)
+    ],
+    particles: [
+      [`やねん${END}`, 'なんだ'],
+      // 飲んでんねん: the でん/てん before ねん is ている
+      [`(?<=[てで])んねん${END}`, 'いるんだ'],
+      [`ねん${END}`, 'んだ'],
+      [`やんか${END}`, 'じゃないか'],
+      [`やんな${END}`, 'だよね'],
+      [`やん${END}`, 'じゃん'],
+      [`やで${END}`, 'だよ'],
+      [`${PREDICATE}で${END}`, 'よ']
+    ],
+    copula: [
+      [`${NOUN}やった`, 'だった'],
+      [`${NOUN}やろ(?:う)?`, 'だろう'],
+      [`${NOUN}や(?=けど|から|し|な${END}|ね${END}|${BOUNDARY})`, 'だ']
+    ]
+  },
+
+  tohoku: {
+    label: '東北弁',
+    markers: /だべ|だっぺ|んだべ|[うくぐすつぬぶむる]べ(?:な|さ)?(?=[。、！？!?…\s]|$)|[一-龯][かがさたなばまらわ]ね[えぇ]|わがんね|めんこい|なして|だっちゃ/,
+    vocabulary: [
+      ['めんこい', 'かわいい'],
+      ['なして', 'どうして'],
+      ['わがんね[えぇ]?', 'わからない'],
+      ['んだんだ', 'そうそう'],
+      ['んだがら', 'だから'],
+      ['行ぐ', '行く'],
+      ['行が(?=ね|な)', '行か'],
+      ['おら(?=は|が|も|の)', 'おれ'],
+      ['なんぼ', 'いくら']
+    ],
+    negation: [
+      [`${NEGATABLE}ねがった`, 'なかった'],
+      [`${NEGATABLE}ね[えぇ]`, 'ない']
+    ],
+    particles: [
+      [`(?:んだ|だ)べ(?:な|さ)?${END}`, 'だろう'],
+      [`だっぺ(?:よ)?${END}`, 'だろう'],
+      [`${PREDICATE}べ(?:な|さ)?${END}`, 'だろう'],
+      [`だっちゃ${END}`, 'だよ']
+    ],
+    copula: []
+  },
+
+  kyushu: {
+    label: '九州弁',
+    markers: /ばい|っちゃ|やけん|[うくぐすつぬぶむるいたん]けん|ばってん|(?<![ぁ-ん])よか(?=[。、！？!?…\s]|$|ね|よ|ばい|たい|けん|ろ)|ちかっぱ|なんしよ/,
+    vocabulary: [
+      ['ばってん', 'けれど'],
+      // よか as an adjective on its own (よかね, よかよ), not よかった or よかれ
+      [`(?<![ぁ-ん])よか(?=${BOUNDARY}|ね|よ|ばい|たい|けん|ろ)`, 'いい'],
+      ['なんしよっと', '何してるの'],
+      ['ばり|ちかっぱ', 'すごく'],
+      ['好いとう', '好きだ'],
+      ...N_NEGATION.slice(0, 3)
+    ],
+    negation: N_NEGATION.slice(3),
+    particles: [
+      ['やけん', 'だから'],
+      [`${PREDICATE}けん`, 'から'],
+      [`${PREDICATE}ばい${END}`, 'よ'],
+      [`(?<=[一-龯]{2}|[ァ-ヶーんの])たい${END}`, 'だよ'],
+      [`っちゃ${END}`, 'よ'],
+      [`${PREDICATE}とよ${END}`, 'んだよ'],
+      [`${PREDICATE}と(?=[？?])`, 'の']
+    ],
+    copula: [
+      [`${NOUN}やった`, 'だった'],
+      [`${NOUN}やろ(?:う)?`, 'だろう']
+    ]
+  },
+
+  hiroshima: {
+    label: '広島弁',
+    markers: new RegExp(`じゃけ[ーぇん]|ほうじゃ|じゃろ|たいぎい|${BUCHI}`),
+    vocabulary: [
+      ['ほうじゃね', 'そうだね'],
+      ['ほうじゃ', 'そうだ'],
+      ['たいぎい', '面倒だ'],
+      [BUCHI, 'すごく'],
+      ['いなげな', '変な'],
+      ...N_NEGATION.slice(0, 3)
+    ],
+    negation: N_NEGATION.slice(3),
+    particles: [
+      ['じゃけ[ーぇん]', 'だから'],
+      [`${PREDICATE}け[ーぇ]`, 'から'],
+      [`のう${END}`, 'ね']
+    ],
+    copula: [
+      [`${NOUN}じゃった`, 'だった'],
+      [`${NOUN}じゃろ(?:う)?`, 'だろう'],
+      [`${NOUN}じゃ(?=ね|よ|の|が|${BOUNDARY})`, 'だ']
+    ]
+  },
+
+  nagoya: {
+    label: '名古屋弁',
+    markers: /だがや|みゃー|でら|だがね|だでよ|どえりゃ|やっとかめ|だもんで/,
+    vocabulary: [
+      ['でら|どえりゃ[あー]', 'すごく'],
+      ['やっとかめ', '久しぶり'],
+      ['うみゃー', 'うまい'],
+      ['だもんで', 'だから'],
+      ...N_NEGATION.slice(0, 3)
+    ],
+    negation: N_NEGATION.slice(3),
+    particles: [
+      [`だがや${END}`, 'じゃないか'],
+      [`がや${END}`, 'じゃないか'],
+      [`だがね${END}`, 'だよね'],
+      [`だでよ${END}`, 'だよ'],
+      ['だで', 'だから']
+    ],
+    copula: []
+  }
+};
+
+const SECTIONS = ['vocabulary', 'negation', 'particles', 'copula'];
+
+class DialectNormalizer {
+  constructor() {
+    this.tables = DIALECT_TABLES;
+    this.rules = {};
+
+    for (const [dialect, table] of Object.entries(DIALECT_TABLES)) {
+      this.rules[dialect] = SECTIONS.flatMap(section =>
+        table[section].map(([source, replacement]) => ({
+          section,
+          pattern: new RegExp(source, 'g'),
+          replacement
+        })));
+    }
+  }
+
+  /**
+   * Dialects with at least MIN_MARKERS different markers in the text, most markers first
+   * (one marker alone is too weak: ほんま, ばい and ぶち also turn up in 標準語)
+   */
+  detect(text) {
+    return Object.entries(this.tables)
+      .map(([dialect, table]) => {
+        const markers = new RegExp(table.markers.source, 'g');
+        return { dialect, count: new Set(text.match(markers) || []).size };
+      })
+      .filter(entry => entry.count >= MIN_MARKERS)
+      .sort((a, b) => b.count - a.count)
+      .map(entry => entry.dialect);
+  }
+
+  /**
+   * Convert dialect expressions to 標準語: {text, dialects, conversions}
+   * dialect is a key of DIALECT_TABLES, or 'auto' to use every detected dialect
+   */
+  normalize(text, dialect = 'auto', conversions = []) {
+    if (dialect !== 'auto' && !this.rules[dialect]) {
+      throw new Error(`Unknown dialect: ${dialect}`);
+    }
+
+    const dialects = dialect === 'auto' ? this.detect(text) : [dialect];
+    let result = text;
+
+    for (const name of dialects) {
+      const label = this.tables[name].label;
+      for (const rule of this.rules[name]) {
+        result = result.replace(rule.pattern, match => {
+          conversions.push({
+            type: 'dialect',
+            original: match,
+            converted: rule.replacement,
+            reason: `${label}の${this.getSectionLabel(rule.section)}を標準語に変換`
+          });
+          return rule.replacement;
+        });
+      }
+    }
+
+    return { text: result, dialects, conversions };
+  }
+
+  getSectionLabel(section) {
+    return { vocabulary: '語彙', negation: '否定形', particles: '文末表現', copula: '断定表現' }[section];
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DialectNormalizer, DIALECT_TABLES };
+} else {
+  window.DialectNormalizer = DialectNormalizer;
+}
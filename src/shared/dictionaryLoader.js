@@ -0,0 +1,230 @@
+/**
+ * Dictionary Loader - Single source for the casual→polite conversion dictionary
+ * Loads src/data/casualToPolite.json in Node (require) and the browser (fetch),
+ * validates its schema and reports duplicate, conflicting or overlapping keys
+ */
+
+const DICTIONARY_SECTIONS = ['words', 'phrases', 'contextual'];
+const DEFAULT_DICTIONARY_URL = '../src/data/casualToPolite.json';
+
+class DictionaryLoader {
+  constructor() {
+    this.data = null;
+    this.issues = [];
+  }
+
+  /**
+   * Load the dictionary synchronously
+   * Node reads the bundled JSON; the browser returns whatever preload() fetched
+   */
+  load() {
+    if (this.data) return this.data;
+
+    if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+      const fs = require('fs');
+      const path = require('path');
+      const rawText = fs.readFileSync(path.join(__dirname, '../data/casualToPolite.json'), 'utf8');
+      return this.loadFromText(rawText);
+    }
+
+    console.warn('⚠️ Dictionary not preloaded, using empty dictionary');
+    return this.createEmptyDictionary();
+  }
+
+  /**
+   * Fetch and cache the dictionary (browser)
+   */
+  async preload(url = DEFAULT_DICTIONARY_URL) {
+    if (this.data) return this.data;
+
+    try {
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error(`Dictionary fetch error: ${response.status}`);
+      }
+      return this.loadFromText(await response.text());
+    } catch (error) {
+      console.warn('Failed to preload dictionary:', error);
+      return this.createEmptyDictionary();
+    }
+  }
+
+  /**
+   * Parse, validate and cache raw JSON text
+   */
+  loadFromText(rawText) {
+    const data = JSON.parse(rawText);
+
+    this.issues = [
+      ...this.findDuplicateKeys(rawText),
+      ...this.validateSchema(data),
+      ...this.findConflicts(data)
+    ];
+    this.reportIssues();
+
+    this.data = data;
+    return this.data;
+  }
+
+  /**
+   * Validate the words / phrases / contextual structure
+   */
+  validateSchema(data) {
+    const issues = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      issues.push({ type: 'schema', section: null, key: null, message: 'Dictionary root must be an object' });
+      return issues;
+    }
+
+    for (const section of DICTIONARY_SECTIONS) {
+      if (!data[section] || typeof data[section] !== 'object' || Array.isArray(data[section])) {
+        issues.push({ type: 'schema', section, key: null, message: `Missing or invalid section "${section}"` });
+        data[section] = {};
+      }
+    }
+
+    issues.push(...this.validateMapping(data.words, 'words'));
+    issues.push(...this.validateMapping(data.phrases, 'phrases'));
+
+    for (const [contextName, mapping] of Object.entries(data.contextual)) {
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        issues.push({ type: 'schema', section: `contextual.${contextName}`, key: null, message: 'Contextual entry must be an object' });
+        delete data.contextual[contextName];
+        continue;
+      }
+      issues.push(...this.validateMapping(mapping, `contextual.${contextName}`));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Drop entries that are not non-empty string → string pairs
+   */
+  validateMapping(mapping, section) {
+    const issues = [];
+
+    for (const [key, value] of Object.entries(mapping)) {
+      if (key.trim() === '' || typeof value !== 'string' || value.trim() === '') {
+        issues.push({ type: 'schema', section, key, message: `Invalid entry "${key}" in ${section}` });
+        delete mapping[key];
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Find keys repeated within the same JSON object
+   * JSON.parse silently keeps the last value, so this scans the raw text
+   */
+  findDuplicateKeys(rawText) {
+    const issues = [];
+    const stack = [];
+    let index = 0;
+
+    while (index < rawText.length) {
+      const char = rawText[index];
+
+      if (char === '{') {
+        stack.push({ path: stack.length > 0 ? stack[stack.length - 1].lastKey : null, keys: new Set(), lastKey: null });
+      } else if (char === '}') {
+        stack.pop();
+      } else if (char === '"') {
+        let end = index + 1;
+        while (end < rawText.length && rawText[end] !== '"') {
+          end += rawText[end] === '\\' ? 2 : 1;
+        }
+        const value = JSON.parse(rawText.slice(index, end + 1));
+        const after = rawText.slice(end + 1).match(/^\s*:/);
+        const current = stack[stack.length - 1];
+
+        if (after && current) {
+          if (current.keys.has(value)) {
+            issues.push({ type: 'duplicate', section: current.path, key: value, message: `Duplicate key "${value}" in ${current.path || 'root'}` });
+          }
+          current.keys.add(value);
+          current.lastKey = current.path ? `${current.path}.${value}` : value;
+        }
+        index = end;
+      }
+
+      index++;
+    }
+
+    return issues;
+  }
+
+  /**
+   * Find keys that map differently across sections, and keys that contain
+   * another key of the same section (the shorter one would clobber the longer)
+   */
+  findConflicts(data) {
+    const issues = [];
+
+    for (const [key, value] of Object.entries(data.words)) {
+      if (data.phrases[key] !== undefined && data.phrases[key] !== value) {
+        issues.push({ type: 'conflict', section: 'words/phrases', key, message: `"${key}" maps to "${value}" in words but "${data.phrases[key]}" in phrases` });
+      }
+    }
+
+    for (const [contextName, mapping] of Object.entries(data.contextual)) {
+      for (const key of Object.keys(mapping)) {
+        if (data.phrases[key] === undefined) {
+          issues.push({ type: 'conflict', section: `contextual.${contextName}`, key, message: `Contextual override "${key}" has no base phrase` });
+        }
+      }
+    }
+
+    for (const section of ['words', 'phrases']) {
+      const keys = Object.keys(data[section]);
+      for (const shorter of keys) {
+        for (const longer of keys) {
+          if (shorter !== longer && longer.includes(shorter)) {
+            issues.push({ type: 'overlap', section, key: shorter, message: `"${shorter}" also matches inside "${longer}" in ${section}` });
+          }
+        }
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Log validation issues once per load
+   */
+  reportIssues() {
+    const errors = this.issues.filter(issue => issue.type !== 'overlap');
+    if (errors.length > 0) {
+      console.warn(`⚠️ Dictionary has ${errors.length} issue(s):`, errors.map(issue => issue.message));
+    }
+  }
+
+  createEmptyDictionary() {
+    return { words: {}, phrases: {}, contextual: {} };
+  }
+
+  /**
+   * Entries ordered longest key first, so longer keys win over their substrings
+   */
+  static getOrderedEntries(mapping) {
+    return Object.entries(mapping).sort((a, b) => b[0].length - a[0].length);
+  }
+}
+
+// Shared instance so every converter reads the same copy
+const sharedDictionaryLoader = new DictionaryLoader();
+
+function loadDictionary() {
+  return sharedDictionaryLoader.load();
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DictionaryLoader, sharedDictionaryLoader, loadDictionary };
+} else {
+  window.DictionaryLoader = DictionaryLoader;
+  window.sharedDictionaryLoader = sharedDictionaryLoader;
+  window.loadDictionary = loadDictionary;
+}
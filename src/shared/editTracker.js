@@ -0,0 +1,347 @@
+/**
+ * Edit Tracker - Span-level edits between an original text and its conversion
+ * Diffs the two texts into replaced spans (offsets in the original), joins the spans
+ * one conversion rule produced into a single edit and attributes each edit to the
+ * pass that produced it (dictionary, phrase, pattern, generator, LLM)
+ */
+
+// Conversion record types from WordConverter / VerbConjugator / HonorificTransformer / DialectNormalizer
+const EDIT_SOURCES = {
+  word: 'dictionary',
+  phrase: 'phrase',
+  verb: 'verb',
+  honorific: 'honorific',
+  pattern: 'pattern',
+  dialect: 'dialect',
+  'style-guide': 'style-guide',
+  orthography: 'orthography'
+};
+
+// Above this many LCS cells the changed middle becomes a single edit
+const MAX_DIFF_CELLS = 4000000;
+
+// Katakana words, latin words and numbers are never split across edits
+const WORD_CHARACTER_CLASSES = [/[ァ-ヶー]/, /[A-Za-z]/, /[0-9０-９]/];
+
+class EditTracker {
+  /**
+   * Edits turning original into converted: [{id, start, end, original, replacement, source, rule, reason}]
+   * records are conversion records: every diff span inside one record's original text
+   * becomes a single edit, so a rule is accepted or rejected as a whole, and they
+   * attribute each edit; spanRecords only join spans; unattributed edits fall back
+   * to options.source
+   * options.framing [{text, reason}] are phrases a generator adds around the content
+   * (greeting, cushion, closing); each becomes its own insertion edit
+   */
+  createEdits(original, converted, options = {}) {
+    const { source = 'unknown', records = [], spanRecords = [], framing = [] } = options;
+    const spans = this.locateRecords(original, [...records, ...spanRecords]);
+    const hunks = this.splitFraming(this.joinRecordSpans(original, this.diff(original, converted), spans), framing);
+
+    return hunks.map((hunk, index) => {
+      const record = hunk.framing ? null : this.findRecord(hunk, records);
+      return {
+        id: `edit-${index}`,
+        start: hunk.start,
+        end: hunk.end,
+        original: hunk.original,
+        replacement: hunk.replacement,
+        source: record ? (EDIT_SOURCES[record.type] || source) : source,
+        rule: record ? `${record.type}:${record.original}` : (hunk.framing ? `${source}:${hunk.framing.text}` : source),
+        reason: record ? record.reason : (hunk.framing ? hunk.framing.reason : null)
+      };
+    });
+  }
+
+  /**
+   * Peel framing phrases (with their 。/、 and spacing) off the start and end of each
+   * hunk's replacement into insertions before and after the remaining edit
+   */
+  splitFraming(hunks, framing) {
+    if (framing.length === 0) return hunks;
+
+    const phrases = [...framing].sort((a, b) => b.text.length - a.text.length);
+    const result = [];
+
+    for (const hunk of hunks) {
+      let replacement = hunk.replacement;
+      const before = [];
+      const after = [];
+      // A hunk that only rewrites the writer's own words (よろしく → よろしくお願いいたします)
+      // keeps its replacement
+      let peeled = true;
+
+      while (peeled) {
+        peeled = false;
+        for (const phrase of phrases) {
+          const head = replacement.match(new RegExp(`^\\s*${this.escapeRegExp(phrase.text)}[。、]?\\s*`));
+          if (head && (head[0].length < replacement.length || !hunk.original)) {
+            before.push({ text: head[0], framing: phrase });
+            replacement = replacement.slice(head[0].length);
+            peeled = true;
+            break;
+          }
+          const tail = replacement.match(new RegExp(`\\s*${this.escapeRegExp(phrase.text)}[。、]?\\s*$`));
+          if (tail && (tail.index > 0 || !hunk.original)) {
+            after.unshift({ text: tail[0], framing: phrase });
+            replacement = replacement.slice(0, tail.index);
+            peeled = true;
+            break;
+          }
+        }
+      }
+
+      const insertion = (at, piece) => ({ start: at, end: at, original: '', replacement: piece.text, framing: piece.framing });
+      result.push(...before.map(piece => insertion(hunk.start, piece)));
+      if (hunk.original || replacement) result.push({ ...hunk, replacement });
+      result.push(...after.map(piece => insertion(hunk.end, piece)));
+    }
+
+    return result;
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Recompose the converted text from the original, applying only accepted edits
+   * (every edit when acceptedIds is omitted)
+   */
+  applyEdits(original, edits, acceptedIds = null) {
+    const accepted = acceptedIds ? new Set(acceptedIds) : null;
+    let result = '';
+    let index = 0;
+
+    for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+      result += original.slice(index, edit.start);
+      result += !accepted || accepted.has(edit.id) ? edit.replacement : edit.original;
+      index = edit.end;
+    }
+
+    return result + original.slice(index);
+  }
+
+  /**
+   * Character diff as replaced spans of the original: [{start, end, original, replacement}]
+   */
+  diff(original, converted) {
+    const minLength = Math.min(original.length, converted.length);
+    let prefix = 0;
+    while (prefix < minLength && original[prefix] === converted[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < minLength - prefix &&
+      original[original.length - 1 - suffix] === converted[converted.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const before = original.slice(prefix, original.length - suffix);
+    const after = converted.slice(prefix, converted.length - suffix);
+    if (before === '' && after === '') return [];
+
+    const hunks = (before.length + 1) * (after.length + 1) > MAX_DIFF_CELLS
+      ? [{ start: 0, end: before.length, replacement: after }]
+      : this.diffMiddle(before, after);
+
+    const shifted = hunks.map(hunk => ({ ...hunk, start: hunk.start + prefix, end: hunk.end + prefix }));
+    return this.mergeHunks(original, this.extendToWords(original, shifted))
+      .map(hunk => ({ ...hunk, original: original.slice(hunk.start, hunk.end) }));
+  }
+
+  /**
+   * Offsets of every occurrence of each record's original text: [{start, end}]
+   * Records whose original only existed in an intermediate text (a later pass
+   * rewriting an earlier pass's output) are not found and join nothing
+   */
+  locateRecords(original, records) {
+    const spans = [];
+
+    for (const record of records) {
+      if (!record.original || !record.converted) continue;
+
+      let index = original.indexOf(record.original);
+      while (index !== -1) {
+        spans.push({ start: index, end: index + record.original.length });
+        index = original.indexOf(record.original, index + record.original.length);
+      }
+    }
+
+    return spans.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Merge diff spans that fall inside the same record span (直しといて → 直しておいていただけますか
+   * is one edit, not と→てお plus an appended いただけますか), widening the edit to the record
+   */
+  joinRecordSpans(original, hunks, spans) {
+    let result = hunks;
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+      for (const span of spans) {
+        const inside = result.filter(hunk => this.overlapsSpan(hunk, span));
+        if (inside.length === 0) continue;
+        if (inside.length === 1 && inside[0].start <= span.start && inside[0].end >= span.end) continue;
+
+        const start = Math.min(span.start, inside[0].start);
+        const end = Math.max(span.end, inside[inside.length - 1].end);
+        let replacement = original.slice(start, inside[0].start);
+        inside.forEach((hunk, index) => {
+          replacement += hunk.replacement;
+          const next = inside[index + 1];
+          replacement += original.slice(hunk.end, next ? next.start : end);
+        });
+
+        const joined = { start, end, original: original.slice(start, end), replacement };
+        result = [...result.filter(hunk => !inside.includes(hunk)), joined].sort((a, b) => a.start - b.start);
+        changed = true;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Whether a hunk changes text inside a span; insertions count at either edge
+   */
+  overlapsSpan(hunk, span) {
+    if (hunk.start === hunk.end) return hunk.start >= span.start && hunk.start <= span.end;
+    return hunk.start < span.end && hunk.end > span.start;
+  }
+
+  /**
+   * LCS diff of the changed middle section
+   */
+  diffMiddle(before, after) {
+    const rows = before.length + 1;
+    const columns = after.length + 1;
+
+    // lengths[i * columns + j] = LCS length of before[i:] and after[j:]
+    const lengths = new Uint32Array(rows * columns);
+    for (let i = before.length - 1; i >= 0; i--) {
+      for (let j = after.length - 1; j >= 0; j--) {
+        lengths[i * columns + j] = before[i] === after[j]
+          ? lengths[(i + 1) * columns + j + 1] + 1
+          : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+      }
+    }
+
+    const hunks = [];
+    let current = null;
+    let i = 0;
+    let j = 0;
+
+    while (i < before.length || j < after.length) {
+      if (i < before.length && j < after.length && before[i] === after[j]) {
+        current = null;
+        i++;
+        j++;
+        continue;
+      }
+
+      if (!current) {
+        current = { start: i, end: i, replacement: '' };
+        hunks.push(current);
+      }
+
+      if (j < after.length && (i === before.length || lengths[i * columns + j + 1] >= lengths[(i + 1) * columns + j])) {
+        current.replacement += after[j];
+        j++;
+      } else {
+        current.end = i + 1;
+        i++;
+      }
+    }
+
+    return hunks;
+  }
+
+  /**
+   * Grow edits that touch a katakana/latin/number run to cover the whole run,
+   * without reaching into the neighbouring edits
+   */
+  extendToWords(original, hunks) {
+    const extended = [];
+
+    hunks.forEach((hunk, index) => {
+      let { start, end, replacement } = hunk;
+      const removed = original.slice(start, end);
+      const leftBound = extended.length > 0 ? extended[extended.length - 1].end : 0;
+      const rightBound = index + 1 < hunks.length ? hunks[index + 1].start : original.length;
+
+      const leftClass = this.getWordClass(removed[0] || replacement[0]);
+      while (leftClass && start > leftBound && leftClass.test(original[start - 1])) {
+        start--;
+        replacement = original[start] + replacement;
+      }
+
+      const rightClass = this.getWordClass(removed[removed.length - 1] || replacement[replacement.length - 1]);
+      while (rightClass && end < rightBound && rightClass.test(original[end])) {
+        replacement += original[end];
+        end++;
+      }
+
+      extended.push({ start, end, replacement });
+    });
+
+    return extended;
+  }
+
+  getWordClass(character) {
+    if (!character) return null;
+    return WORD_CHARACTER_CLASSES.find(pattern => pattern.test(character)) || null;
+  }
+
+  /**
+   * Merge edits separated by at most one unchanged character
+   */
+  mergeHunks(original, hunks) {
+    const merged = [];
+
+    for (const hunk of hunks) {
+      const previous = merged[merged.length - 1];
+      if (previous && hunk.start - previous.end <= 1) {
+        previous.replacement += original.slice(previous.end, hunk.start) + hunk.replacement;
+        previous.end = hunk.end;
+      } else {
+        merged.push({ ...hunk });
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Conversion record that best explains an edit, or null
+   */
+  findRecord(hunk, records) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const record of records) {
+      if (!record.original || !record.converted) continue;
+
+      let score = 0;
+      if (hunk.original && hunk.original.includes(record.original)) score += record.original.length;
+      if (hunk.original && record.original.includes(hunk.original)) score += hunk.original.length;
+      if (hunk.replacement && hunk.replacement.includes(record.converted)) score += record.converted.length;
+      if (hunk.replacement && record.converted.includes(hunk.replacement)) score += hunk.replacement.length;
+
+      if (score > bestScore) {
+        best = record;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { EditTracker, EDIT_SOURCES };
+} else {
+  window.EditTracker = EditTracker;
+}
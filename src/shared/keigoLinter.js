@@ -0,0 +1,226 @@
+/**
+ * Keigo Linter - Span-level diagnostics for 二重敬語 and over-politeness
+ * Detects double keigo, させていただく misuse, 尊敬/謙譲 used for the wrong subject
+ * and バイト敬語, each with a suggested fix
+ */
+
+// なられ + ending → なる conjugated with the same ending
+const NARU_ENDINGS = { 'る': 'る', 'ます': 'ります', 'ました': 'りました', 'た': 'った', 'て': 'って' };
+
+const KEIGO_LINT_RULES = [
+  {
+    id: 'ossharareru',
+    category: 'double_keigo',
+    severity: 'error',
+    pattern: /おっしゃられ(ます|ました|る|た|て)/g,
+    message: '「おっしゃる」に「られる」を重ねた二重敬語です',
+    fix: (match, ending) => 'おっしゃ' + { 'る': 'る', 'ます': 'います', 'ました': 'いました', 'た': 'った', 'て': 'って' }[ending]
+  },
+  {
+    id: 'ni-narareru',
+    category: 'double_keigo',
+    severity: 'error',
+    pattern: /((?:お|ご)[一-龯]+[ぁ-ん]?)になられ(ます|ました|る|た|て)/g,
+    message: '「お〜になる」に「られる」を重ねた二重敬語です',
+    fix: (match, base, ending) => base + 'にな' + NARU_ENDINGS[ending]
+  },
+  {
+    id: 'o-meshiagari',
+    category: 'double_keigo',
+    severity: 'error',
+    pattern: /お召し上がりにな(ります|りました|る|った|って)/g,
+    message: '「召し上がる」に「お〜になる」を重ねた二重敬語です',
+    fix: (match, ending) => '召し上が' + ending
+  },
+  {
+    id: 'haiken-saseteitadaku',
+    category: 'double_keigo',
+    severity: 'error',
+    pattern: /(拝見|拝読|拝聴|拝借)させていただ(きます|きました|く)/g,
+    message: '謙譲語「拝〜」に「させていただく」を重ねた二重敬語です',
+    fix: (match, verb, ending) => verb + { 'きます': 'いたします', 'きました': 'いたしました', 'く': 'する' }[ending]
+  },
+  {
+    id: 'sa-ire',
+    category: 'sasete_itadaku',
+    severity: 'warning',
+    // 五段 未然形 of any stem: 読まさせて, 終わらさせて
+    pattern: /([一-龯][ぁ-ん]{0,3}?)([かがさたなばまらわ])させていただ/g,
+    message: '五段動詞に「させていただく」を付けた「さ入れ言葉」です',
+    fix: (match, stem, row) => stem + row + 'せていただ'
+  },
+  {
+    id: 'yoroshikatta',
+    category: 'baito_keigo',
+    severity: 'warning',
+    pattern: /よろしかった(でしょうか|ですか)/g,
+    message: '現在の確認に過去形を使うバイト敬語です',
+    fix: (match, ending) => 'よろしい' + ending
+  },
+  {
+    id: 'no-hou',
+    category: 'baito_keigo',
+    severity: 'warning',
+    pattern: /の(?:ほう|方)になります/g,
+    message: '「〜のほうになります」はバイト敬語です',
+    fix: () => 'でございます'
+  },
+  {
+    id: 'kara-oazukari',
+    category: 'baito_keigo',
+    severity: 'warning',
+    pattern: /(円)からお預かり/g,
+    message: '「〜からお預かりします」はバイト敬語です',
+    fix: (match, unit) => unit + 'をお預かり'
+  }
+];
+
+// 尊敬語 used for the writer / 謙譲語 used for the reader, by 連用形
+const HONORIFIC_TO_HUMBLE = {
+  'ご覧になり': '拝見し',
+  'おっしゃい': '申し',
+  '召し上がり': 'いただき',
+  'なさい': 'いたし',
+  'いらっしゃい': null
+};
+const HUMBLE_TO_HONORIFIC = {
+  '拝見し': 'ご覧になり',
+  '拝読し': 'お読みになり',
+  '申し上げ': 'おっしゃい',
+  '参り': 'いらっしゃい',
+  '伺い': null
+};
+
+const WRITER_SUBJECTS = /(?:私|わたし|僕|自分|弊社|当方|わたくし)(?:が|は|も)/g;
+const READER_SUBJECTS = /(?:部長|課長|社長|さん|様|先生|先輩|御社|貴社)(?:が|は|も)/g;
+
+// More than this many させていただく in one text reads as over-polite
+const SASETE_ITADAKU_LIMIT = 2;
+
+class KeigoLinter {
+  constructor() {
+    this.rules = KEIGO_LINT_RULES;
+  }
+
+  /**
+   * Lint text: [{rule, category, severity, start, end, text, message, suggestion}]
+   * sorted by position; suggestion is the replacement for text, or null
+   */
+  lint(text) {
+    const diagnostics = [];
+
+    for (const rule of this.rules) {
+      for (const match of text.matchAll(rule.pattern)) {
+        diagnostics.push(this.createDiagnostic(rule, match.index, match[0], rule.fix(...match)));
+      }
+    }
+
+    diagnostics.push(...this.checkSubjectMismatch(text));
+    diagnostics.push(...this.checkSaseteItadakuOveruse(text));
+
+    return diagnostics.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Apply every fixable diagnostic; overlapping ones after the first are skipped
+   */
+  applyFixes(text, diagnostics = this.lint(text)) {
+    let result = '';
+    let index = 0;
+
+    for (const diagnostic of diagnostics) {
+      if (diagnostic.suggestion === null || diagnostic.start < index) continue;
+      result += text.slice(index, diagnostic.start) + diagnostic.suggestion;
+      index = diagnostic.end;
+    }
+
+    return result + text.slice(index);
+  }
+
+  /**
+   * 尊敬語 with a writer subject, or 謙譲語 with a reader subject, in the same sentence
+   */
+  checkSubjectMismatch(text) {
+    const diagnostics = [];
+    const checks = [
+      { forms: HONORIFIC_TO_HUMBLE, subject: 'writer', message: '自分の動作に尊敬語が使われています' },
+      { forms: HUMBLE_TO_HONORIFIC, subject: 'reader', message: '相手の動作に謙譲語が使われています' }
+    ];
+
+    for (const check of checks) {
+      const pattern = new RegExp(`(${Object.keys(check.forms).join('|')})(?=ま[すしせ])`, 'g');
+
+      for (const match of text.matchAll(pattern)) {
+        const sentence = text.slice(0, match.index).split(/[。！？!?\n]/).pop();
+        if (this.findSubject(sentence) !== check.subject) continue;
+
+        diagnostics.push(this.createDiagnostic(
+          { id: 'subject-mismatch', category: 'subject_mismatch', severity: 'error', message: check.message },
+          match.index,
+          match[0],
+          check.forms[match[1]]
+        ));
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Nearest explicit subject before the verb, or null
+   */
+  findSubject(sentence) {
+    const writer = this.lastMatchIndex(sentence, WRITER_SUBJECTS);
+    const reader = this.lastMatchIndex(sentence, READER_SUBJECTS);
+    if (writer === reader) return null;
+    return writer > reader ? 'writer' : 'reader';
+  }
+
+  lastMatchIndex(text, pattern) {
+    let lastIndex = -1;
+    for (const match of text.matchAll(pattern)) {
+      lastIndex = match.index;
+    }
+    return lastIndex;
+  }
+
+  /**
+   * Flag every させていただく past the limit
+   */
+  checkSaseteItadakuOveruse(text) {
+    const matches = [...text.matchAll(/させていただ/g)];
+    if (matches.length <= SASETE_ITADAKU_LIMIT) return [];
+
+    return matches.slice(SASETE_ITADAKU_LIMIT).map(match => this.createDiagnostic(
+      {
+        id: 'sasete-itadaku-overuse',
+        category: 'over_polite',
+        severity: 'info',
+        message: `「させていただく」が${matches.length}回使われています。「いたします」などへの言い換えを検討してください`
+      },
+      match.index,
+      match[0],
+      null
+    ));
+  }
+
+  createDiagnostic(rule, start, matchedText, suggestion) {
+    return {
+      rule: rule.id,
+      category: rule.category,
+      severity: rule.severity,
+      start: start,
+      end: start + matchedText.length,
+      text: matchedText,
+      message: rule.message,
+      suggestion: suggestion
+    };
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { KeigoLinter, KEIGO_LINT_RULES };
+} else {
+  window.KeigoLinter = KeigoLinter;
+}
@@ -0,0 +1,132 @@
+/**
+ * Morphological Tokenizer - kuromoji wrapper for morpheme-boundary matching
+ * Loads the bundled IPADIC dictionary offline and exposes token offsets so
+ * converters only replace whole morphemes ("レス" never matches inside "ストレス")
+ */
+
+// Browser dictionary path, relative to the renderer page; electron-builder copies
+// kuromoji's dict/ there (package.json build.files)
+const RENDERER_DIC_PATH = 'dict/';
+
+class MorphologicalTokenizer {
+  constructor(options = {}) {
+    this.dicPath = options.dicPath || null;
+    this.tokenizer = null;
+    this.initPromise = null;
+  }
+
+  /**
+   * Build the tokenizer once; resolves to false when kuromoji is unavailable
+   */
+  init() {
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = new Promise((resolve) => {
+      const kuromoji = this.loadKuromoji();
+      if (!kuromoji) {
+        console.warn('⚠️ kuromoji not available, morpheme matching disabled');
+        resolve(false);
+        return;
+      }
+
+      kuromoji.builder({ dicPath: this.dicPath || this.getDefaultDicPath() }).build((error, tokenizer) => {
+        if (error) {
+          console.warn('Failed to build morphological tokenizer:', error);
+          resolve(false);
+          return;
+        }
+
+        this.tokenizer = tokenizer;
+        resolve(true);
+      });
+    });
+
+    return this.initPromise;
+  }
+
+  /**
+   * Use another dictionary directory (or URL in the browser); only before init()
+   */
+  setDicPath(dicPath) {
+    if (this.initPromise) {
+      throw new Error('Morphological tokenizer is already initialized');
+    }
+    this.dicPath = dicPath;
+  }
+
+  isReady() {
+    return this.tokenizer !== null;
+  }
+
+  /**
+   * Tokenize text into morphemes with character offsets
+   */
+  tokenize(text) {
+    if (!this.tokenizer) {
+      throw new Error('Morphological tokenizer is not initialized');
+    }
+
+    let offset = 0;
+    return this.tokenizer.tokenize(text).map(token => {
+      const morpheme = {
+        surface: token.surface_form,
+        start: offset,
+        end: offset + token.surface_form.length,
+        pos: token.pos,
+        posDetail: token.pos_detail_1,
+        basicForm: token.basic_form,
+        conjugatedType: token.conjugated_type,
+        conjugatedForm: token.conjugated_form
+      };
+      offset = morpheme.end;
+      return morpheme;
+    });
+  }
+
+  /**
+   * Offsets where morphemes start and end
+   */
+  getBoundaries(text) {
+    const starts = new Set();
+    const ends = new Set();
+
+    this.tokenize(text).forEach(token => {
+      starts.add(token.start);
+      ends.add(token.end);
+    });
+
+    return { starts, ends };
+  }
+
+  loadKuromoji() {
+    if (typeof window !== 'undefined' && window.kuromoji) {
+      return window.kuromoji;
+    }
+
+    try {
+      return require('kuromoji');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getDefaultDicPath() {
+    if (typeof window !== 'undefined') {
+      return RENDERER_DIC_PATH;
+    }
+
+    const path = require('path');
+    return path.join(path.dirname(require.resolve('kuromoji')), '..', 'dict');
+  }
+}
+
+// Shared instance - building the dictionary is expensive
+const sharedMorphologicalTokenizer = new MorphologicalTokenizer();
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MorphologicalTokenizer, sharedMorphologicalTokenizer };
+} else {
+  window.MorphologicalTokenizer = MorphologicalTokenizer;
+  window.sharedMorphologicalTokenizer = sharedMorphologicalTokenizer;
+}
@@ -0,0 +1,252 @@
+/**
+ * Orthography Normalizer - 漢字/かな表記, 全角/半角 and 句読点 unification
+ * Presets (公用文, 新聞, company custom) decide per rule whether auxiliary verbs, formal
+ * nouns and conjunctions are written in kana or kanji, and how alphanumerics and 、。 look
+ */
+
+// Auxiliary いただく/ください after て/で or お・ご＋verb stem (お送り頂く, ご確認下さい)
+const AUXILIARY = '(?<=[てで]|[おご][一-龯]{1,3}[ぁ-ゖ]?)';
+
+// Plain verb, adjective or の/な in front of a formal noun (話すこと, 来たとき, 必要なため)
+const ADNOMINAL = '(?<=[うくぐすつぬぶむるたいなの])';
+
+// Each rule rewrites one expression to its kana or kanji form: [pattern source, replacement]
+const ORTHOGRAPHY_RULES = {
+  itadaku: {
+    label: '補助動詞「いただく」',
+    kana: [[`${AUXILIARY}頂(?=[かきくけこい])`, 'いただ']],
+    kanji: [[`${AUXILIARY}いただ(?=[かきくけこい])`, '頂']]
+  },
+  kudasaru: {
+    label: '補助動詞「ください」',
+    // Only the auxiliary: 書類を下さい keeps the main verb in kanji
+    kana: [[`${AUXILIARY}下さ(?=[いるりらっ])`, 'くださ']],
+    kanji: [[`${AUXILIARY}くださ(?=[いるりらっ])`, '下さ']]
+  },
+  itasu: {
+    label: '補助動詞「いたす」',
+    // 致 starting the word or after お・ご＋noun (ご連絡致します), not 一致しました or 誘致します
+    kana: [['(?:(?<![一-龯々])|(?<=[おご][一-龯]{1,3}))致(?=し(?:ま|て|た)|す[。、\\s]|す$|さ)', 'いた']],
+    kanji: [['(?<![ぁ-ゖ])いた(?=し(?:ま|て|た)|す[。、\\s]|す$|さ)|(?<=[いう])いた(?=しま)', '致']]
+  },
+  yoroshii: {
+    label: '「よろしい」',
+    kana: [['宜し(?=[いくかけゅ])', 'よろし']],
+    kanji: [['よろし(?=[いくかけゅ])', '宜し']]
+  },
+  koto: {
+    label: '形式名詞「こと」',
+    kana: [[`${ADNOMINAL}事(?=[がはをにもでとや。、]|$)`, 'こと']],
+    kanji: [[`${ADNOMINAL}こと(?=[がはをにもでとや。、]|$)`, '事']]
+  },
+  toki: {
+    label: '形式名詞「とき」',
+    kana: [[`${ADNOMINAL}時(?=[はにのもで、])`, 'とき']],
+    kanji: [[`${ADNOMINAL}とき(?=[はにのもで、])`, '時']]
+  },
+  mono: {
+    label: '形式名詞「もの」',
+    // Not after の: 私の物 is a concrete thing
+    kana: [['(?<=[うくぐすつぬぶむるたい])物(?=[でだとはがを。、])', 'もの']],
+    kanji: [['(?<=[うくぐすつぬぶむるたい])もの(?=[でだとはがを。、])', '物']]
+  },
+  tokoro: {
+    label: '形式名詞「ところ」',
+    kana: [[`${ADNOMINAL}所(?=[でだにはがを、])`, 'ところ']],
+    kanji: [[`${ADNOMINAL}ところ(?=[でだにはがを、])`, '所']]
+  },
+  tame: {
+    label: '形式名詞「ため」',
+    kana: [[`${ADNOMINAL}為(?=[にだで、。])`, 'ため']],
+    kanji: [[`${ADNOMINAL}ため(?=[にだで、。])`, '為']]
+  },
+  conjunctions: {
+    label: '接続詞（及び・又は・並びに・若しくは）',
+    kana: [['及び', 'および'], ['又は', 'または'], ['並びに', 'ならびに'], ['若しくは', 'もしくは']],
+    kanji: [['(?<![ぁ-ゖ])および', '及び'], ['(?<![ぁ-ゖ])または', '又は'], ['(?<![ぁ-ゖ])ならびに', '並びに'], ['(?<![ぁ-ゖ])もしくは', '若しくは']]
+  },
+  adverbs: {
+    label: '接続詞・副詞（但し・尚）',
+    kana: [['但し', 'ただし'], ['尚(?=[、，])', 'なお']],
+    kanji: [['(?<![ぁ-ゖ])ただし(?=[、，])', '但し'], ['(?<![ぁ-ゖ])なお(?=[、，])', '尚']]
+  }
+};
+
+// 'kana' or 'kanji' per rule, plus alphanumeric ('half' | 'full' | null) and
+// punctuation ('maru' for 、。 | 'comma' for ，。 | 'comma-period' for ，． | null)
+const ORTHOGRAPHY_PRESETS = {
+  // 公用文作成の考え方: kana for auxiliaries and formal nouns, kanji for 及び・又は
+  kouyoubun: {
+    label: '公用文',
+    rules: {
+      itadaku: 'kana', kudasaru: 'kana', itasu: 'kana', yoroshii: 'kana', koto: 'kana',
+      toki: 'kana', mono: 'kana', tokoro: 'kana', tame: 'kana', conjunctions: 'kanji', adverbs: 'kana'
+    },
+    alphanumeric: 'half',
+    punctuation: 'maru'
+  },
+  // 新聞表記: like 公用文, but conjunctions in kana as well
+  newspaper: {
+    label: '新聞',
+    rules: {
+      itadaku: 'kana', kudasaru: 'kana', itasu: 'kana', yoroshii: 'kana', koto: 'kana',
+      toki: 'kana', mono: 'kana', tokoro: 'kana', tame: 'kana', conjunctions: 'kana', adverbs: 'kana'
+    },
+    alphanumeric: 'half',
+    punctuation: 'maru'
+  }
+};
+
+const PUNCTUATION_STYLES = {
+  maru: { '，': '、', '．': '。' },
+  comma: { '、': '，', '．': '。' },
+  'comma-period': { '、': '，', '。': '．' }
+};
+
+// TextMasker tokens are never rewritten, so protected segments can still be restored
+const MASK_TOKEN_PATTERN = /(⟦\s*\d+\s*⟧)/;
+
+class OrthographyNormalizer {
+  constructor(options = {}) {
+    this.presets = { ...ORTHOGRAPHY_PRESETS };
+    this.rules = {};
+
+    for (const [id, rule] of Object.entries(ORTHOGRAPHY_RULES)) {
+      this.rules[id] = {
+        label: rule.label,
+        kana: rule.kana.map(([source, replacement]) => ({ pattern: new RegExp(source, 'g'), replacement })),
+        kanji: rule.kanji.map(([source, replacement]) => ({ pattern: new RegExp(source, 'g'), replacement }))
+      };
+    }
+
+    Object.entries(options.presets || {}).forEach(([name, preset]) => this.registerPreset(name, preset));
+  }
+
+  /**
+   * Add a company preset: {label, base, rules: {ruleId: 'kana' | 'kanji'}, alphanumeric, punctuation}
+   * Settings not given are taken from base (a preset name)
+   */
+  registerPreset(name, preset) {
+    this.presets[name] = this.resolvePreset(preset);
+    return this;
+  }
+
+  /**
+   * Full settings for a preset name or a custom preset object
+   */
+  resolvePreset(preset) {
+    if (typeof preset === 'string') {
+      if (!this.presets[preset]) {
+        throw new Error(`Unknown orthography preset: ${preset}`);
+      }
+      return this.presets[preset];
+    }
+
+    const base = preset.base ? this.resolvePreset(preset.base) : { rules: {}, alphanumeric: null, punctuation: null };
+    const resolved = {
+      label: preset.label || 'カスタム',
+      rules: { ...base.rules, ...(preset.rules || {}) },
+      alphanumeric: preset.alphanumeric !== undefined ? preset.alphanumeric : base.alphanumeric,
+      punctuation: preset.punctuation !== undefined ? preset.punctuation : base.punctuation
+    };
+
+    for (const [id, form] of Object.entries(resolved.rules)) {
+      if (!this.rules[id]) throw new Error(`Unknown orthography rule: ${id}`);
+      if (form !== 'kana' && form !== 'kanji') throw new Error(`Orthography rule ${id} must be kana or kanji`);
+    }
+    if (resolved.punctuation && !PUNCTUATION_STYLES[resolved.punctuation]) {
+      throw new Error(`Unknown punctuation style: ${resolved.punctuation}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Unify 表記 with a preset: {text, preset, conversions}
+   * Half-width katakana always becomes full-width
+   */
+  normalize(text, preset = 'kouyoubun', conversions = []) {
+    const settings = this.resolvePreset(preset);
+    const record = (original, converted, reason) => {
+      conversions.push({ type: 'orthography', original, converted, reason });
+    };
+
+    const result = text.split(MASK_TOKEN_PATTERN).map((part, index) => {
+      if (index % 2 === 1) return part;
+
+      let normalized = part;
+      for (const [id, form] of Object.entries(settings.rules)) {
+        const rule = this.rules[id];
+        for (const { pattern, replacement } of rule[form]) {
+          normalized = normalized.replace(pattern, match => {
+            record(match, replacement, `${settings.label}表記: ${rule.label}を${form === 'kana' ? 'かな' : '漢字'}に統一`);
+            return replacement;
+          });
+        }
+      }
+
+      normalized = this.normalizeWidth(normalized, settings.alphanumeric, record);
+      return this.normalizePunctuation(normalized, settings.punctuation, record);
+    }).join('');
+
+    return { text: result, preset: settings.label, conversions };
+  }
+
+  /**
+   * 半角カナ → 全角, and alphanumerics to 'half' or 'full' width
+   */
+  normalizeWidth(text, alphanumeric, record) {
+    let result = text.replace(/[｡-ﾟ]+/g, match => {
+      const converted = match.normalize('NFKC');
+      record(match, converted, '半角カナを全角に統一');
+      return converted;
+    });
+
+    if (alphanumeric === 'half') {
+      result = result.replace(/[０-９Ａ-Ｚａ-ｚ]+/g, match => {
+        const converted = match.normalize('NFKC');
+        record(match, converted, '英数字を半角に統一');
+        return converted;
+      });
+    } else if (alphanumeric === 'full') {
+      result = result.replace(/[0-9A-Za-z]+/g, match => {
+        const converted = String.fromCharCode(...[...match].map(character => character.charCodeAt(0) + 0xFEE0));
+        record(match, converted, '英数字を全角に統一');
+        return converted;
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 、。 vs ，． ; a full stop between digits (3．5) is a decimal point and stays
+   */
+  normalizePunctuation(text, style, record) {
+    if (!style) return text;
+
+    const mapping = PUNCTUATION_STYLES[style];
+    return text.replace(/[、。，．]/g, (match, offset) => {
+      const converted = mapping[match];
+      if (!converted) return match;
+      if (match === '．' && /[0-9０-９]/.test(text[offset - 1] || '') && /[0-9０-９]/.test(text[offset + 1] || '')) {
+        return match;
+      }
+      record(match, converted, '句読点を統一');
+      return converted;
+    });
+  }
+
+  /**
+   * Preset names and labels, for selectors
+   */
+  getPresets() {
+    return Object.entries(this.presets).map(([name, preset]) => ({ name, label: preset.label }));
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OrthographyNormalizer, ORTHOGRAPHY_RULES, ORTHOGRAPHY_PRESETS };
+} else {
+  window.OrthographyNormalizer = OrthographyNormalizer;
+}
@@ -0,0 +1,58 @@
+/**
+ * Random Source - Seedable choice of greetings, cushions, closings and emoji
+ * Math.random by default, a reproducible sequence for a seed, or always the
+ * top-ranked (first) expression in stable mode
+ */
+
+class RandomSource {
+  /**
+   * options: {seed: number | string, stable: boolean}
+   */
+  constructor(options = {}) {
+    this.stable = Boolean(options.stable);
+    this.seed = options.seed === undefined || options.seed === null ? null : options.seed;
+    this.state = this.seed === null ? null : this.hashSeed(this.seed);
+  }
+
+  /**
+   * Next number in [0, 1); always 0 in stable mode
+   */
+  next() {
+    if (this.stable) return 0;
+    if (this.state === null) return Math.random();
+
+    // mulberry32
+    this.state = (this.state + 0x6d2b79f5) | 0;
+    let value = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+    value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * One element of a ranked list; the first one in stable mode
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * 32-bit state from a numeric or string seed (FNV-1a for strings)
+   */
+  hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed | 0;
+
+    let hash = 0x811c9dc5;
+    for (const character of String(seed)) {
+      hash ^= character.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash | 0;
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RandomSource };
+} else {
+  window.RandomSource = RandomSource;
+}
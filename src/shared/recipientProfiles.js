@@ -0,0 +1,254 @@
+/**
+ * Recipient Profiles - Saved recipients that drive relationship, level and 宛名
+ * A profile overrides the keyword heuristics of ContextAnalyzer for the relationship,
+ * sets the preferred politeness level and emoji use, and formats the 宛名 line
+ */
+
+const RECIPIENT_PROFILES_STORAGE_KEY = 'jgc_recipient_profiles';
+const RECIPIENT_RELATIONSHIPS = ['superior', 'colleague', 'subordinate', 'customer'];
+const RECIPIENT_HONORIFICS = ['様', 'さん', '殿'];
+const RECIPIENT_FIELDS = ['name', 'company', 'department', 'title', 'timeZone'];
+
+class RecipientProfiles {
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined
+      ? options.storage
+      : (typeof localStorage !== 'undefined' ? localStorage : null);
+    this.storageKey = options.storageKey || RECIPIENT_PROFILES_STORAGE_KEY;
+
+    this.profiles = [];
+    this.nextId = 1;
+
+    this.loadPersistedData();
+  }
+
+  /**
+   * Add a profile and return it with its id:
+   * {name, company, department, title, relationship, level, emoji, honorific, timeZone}
+   * timeZone is an IANA name (America/New_York) for greetings that fit the recipient's time
+   */
+  addProfile(profile) {
+    let normalized = this.normalizeProfile(profile);
+    if (!normalized.id) normalized = { id: this.createId(), ...normalized };
+    if (this.getProfile(normalized.id)) {
+      throw new Error(`Recipient profile "${normalized.id}" already exists`);
+    }
+
+    this.profiles.push(normalized);
+    this.persist();
+    return normalized;
+  }
+
+  /**
+   * Change fields of an existing profile
+   */
+  updateProfile(id, changes) {
+    const index = this.profiles.findIndex(profile => profile.id === id);
+    if (index === -1) {
+      throw new Error(`Recipient profile "${id}" does not exist`);
+    }
+
+    const updated = this.normalizeProfile({ ...this.profiles[index], ...changes, id });
+    this.profiles[index] = updated;
+    this.persist();
+    return updated;
+  }
+
+  /**
+   * Delete a profile, returns whether anything was removed
+   */
+  removeProfile(id) {
+    const count = this.profiles.length;
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    if (this.profiles.length === count) return false;
+
+    this.persist();
+    return true;
+  }
+
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  getProfiles() {
+    return this.profiles.map(profile => ({ ...profile }));
+  }
+
+  /**
+   * Profile for options.recipient: a saved profile id or an unsaved profile object
+   */
+  resolve(recipient) {
+    if (!recipient) return null;
+    if (typeof recipient === 'object') return this.normalizeProfile(recipient);
+
+    const profile = this.getProfile(recipient);
+    if (!profile) {
+      throw new Error(`Unknown recipient profile: ${recipient}`);
+    }
+    return { ...profile };
+  }
+
+  /**
+   * Validated copy of a profile; unset optional fields are left out
+   */
+  normalizeProfile(profile) {
+    if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+      throw new Error('Recipient profile needs a name');
+    }
+    if (profile.relationship && !RECIPIENT_RELATIONSHIPS.includes(profile.relationship)) {
+      throw new Error(`Unknown relationship: ${profile.relationship}`);
+    }
+    if (profile.honorific && !RECIPIENT_HONORIFICS.includes(profile.honorific)) {
+      throw new Error(`Unknown honorific: ${profile.honorific}`);
+    }
+
+    if (profile.timeZone && !this.isValidTimeZone(profile.timeZone)) {
+      throw new Error(`Unknown time zone: ${profile.timeZone}`);
+    }
+
+    const level = profile.level === undefined || profile.level === null || profile.level === ''
+      ? null
+      : Number(profile.level);
+    if (level !== null && !(Number.isInteger(level) && level >= 1 && level <= 5)) {
+      throw new Error(`Invalid recipient level: ${profile.level}`);
+    }
+
+    const normalized = {};
+    if (profile.id) normalized.id = String(profile.id);
+    RECIPIENT_FIELDS.forEach(field => {
+      if (typeof profile[field] === 'string' && profile[field].trim()) {
+        normalized[field] = profile[field].trim();
+      }
+    });
+    if (profile.relationship) normalized.relationship = profile.relationship;
+    if (level !== null) normalized.level = level;
+    if (profile.emoji !== undefined) normalized.emoji = Boolean(profile.emoji);
+    normalized.honorific = profile.honorific || '様';
+
+    return normalized;
+  }
+
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: String(timeZone).trim() });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  createId() {
+    while (this.getProfile(`recipient-${this.nextId}`)) this.nextId++;
+    return `recipient-${this.nextId++}`;
+  }
+
+  /**
+   * 宛名 lines; the name always carries its 敬称 or 役職 with no space in between
+   * (山田様, 田中部長). Outside the company: 会社名, then 部署 and 役職 on one line,
+   * then 氏名＋敬称; inside: 氏名＋役職, or 氏名＋敬称 without a 役職
+   * recipient: {company, department, title, name, honorific}
+   */
+  static formatAddressee(recipient, external) {
+    const honorific = recipient.honorific || '様';
+    const lines = [];
+
+    if (external) {
+      if (recipient.company) lines.push(recipient.company);
+      const position = [recipient.department, recipient.title].filter(Boolean).join(' ');
+      if (position) lines.push(position);
+      lines.push(recipient.name ? recipient.name + honorific : 'ご担当者様');
+    } else if (recipient.name) {
+      // 部長様 would be 二重敬語
+      lines.push(recipient.name + (recipient.title || honorific));
+    }
+
+    return lines.length > 0 ? lines.join('\n') : null;
+  }
+
+  /**
+   * Whether messages to the recipient may carry emoji: the profile's own setting,
+   * otherwise none for superiors and customers
+   */
+  static allowsEmoji(recipient) {
+    if (recipient.emoji !== undefined) return recipient.emoji;
+    return !['superior', 'customer'].includes(recipient.relationship);
+  }
+
+  /**
+   * 宛名 for a profile when the sender is unknown: customers and profiles
+   * with a company get the external style
+   */
+  getAddressee(profile) {
+    const external = profile.relationship === 'customer' || Boolean(profile.company);
+    return RecipientProfiles.formatAddressee(profile, external);
+  }
+
+  /**
+   * Export / import as a JSON array of profiles
+   */
+  exportJSON() {
+    return JSON.stringify(this.profiles, null, 2);
+  }
+
+  /**
+   * Import profiles, skipping invalid ones; replaces everything unless merge is set
+   */
+  importJSON(jsonText, options = {}) {
+    const data = JSON.parse(jsonText);
+    if (!Array.isArray(data)) {
+      throw new Error('Recipient profiles must be a JSON array');
+    }
+
+    const imported = [];
+    data.forEach(profile => {
+      try {
+        imported.push(this.normalizeProfile(profile));
+      } catch (error) {
+        console.warn('⚠️ Skipping invalid recipient profile:', error.message);
+      }
+    });
+
+    if (!options.merge) this.profiles = [];
+    imported.forEach(profile => {
+      const entry = profile.id ? profile : { id: this.createId(), ...profile };
+      this.profiles = this.profiles.filter(existing => existing.id !== entry.id);
+      this.profiles.push(entry);
+    });
+
+    this.persist();
+    return imported.length;
+  }
+
+  /**
+   * Persistence methods
+   */
+  persist() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(this.storageKey, this.exportJSON());
+    } catch (error) {
+      console.warn('Failed to persist recipient profiles:', error);
+    }
+  }
+
+  loadPersistedData() {
+    if (!this.storage) return;
+
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+      if (stored) {
+        this.importJSON(stored);
+      }
+    } catch (error) {
+      console.warn('Failed to load recipient profiles:', error);
+    }
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RecipientProfiles, RECIPIENT_RELATIONSHIPS, RECIPIENT_HONORIFICS };
+} else {
+  window.RecipientProfiles = RecipientProfiles;
+}
@@ -0,0 +1,193 @@
+/**
+ * Style Guide - Company/team writing rules applied after conversion
+ * Banned phrases (optionally per relationship), preferred spellings, required closings,
+ * an emoji policy and a maximum sentence length; apply() fixes what it can and check()
+ * reports every violation as a span diagnostic
+ */
+
+const STYLE_GUIDE_EMOJI_POLICIES = ['allow', 'forbid', 'internal-only'];
+
+// Emoji with their variation selectors and ZWJ sequences, and the space in front
+const STYLE_GUIDE_EMOJI_PATTERN = /[ \t]*\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+
+// Sentence ends for the length check
+const STYLE_GUIDE_SENTENCE_PATTERN = /[^。！？!?\n]+[。！？!?]*/g;
+
+class StyleGuide {
+  /**
+   * definition: {
+   *   name,
+   *   bannedPhrases: [{phrase: 'ご苦労様です', replacement: 'お疲れ様です', relationships: ['superior'], reason}],
+   *   spellings: {'頂く': 'いただく'},                   // variant → preferred
+   *   requiredClosings: ['よろしくお願いいたします。'],  // the first one is added when none is present
+   *   maxSentenceLength: 80,
+   *   emoji: 'allow' | 'forbid' | 'internal-only'       // internal-only forbids emoji to customers
+   * }
+   */
+  constructor(definition = {}) {
+    this.name = definition.name || 'スタイルガイド';
+    this.bannedPhrases = (definition.bannedPhrases || []).map(entry => this.normalizeBannedPhrase(entry));
+    this.spellings = Object.entries(definition.spellings || {})
+      .filter(([variant, preferred]) => variant && typeof preferred === 'string' && variant !== preferred)
+      .sort((a, b) => b[0].length - a[0].length);
+    this.requiredClosings = (definition.requiredClosings || []).filter(closing => typeof closing === 'string' && closing.trim());
+    this.maxSentenceLength = definition.maxSentenceLength || null;
+    this.emoji = definition.emoji || 'allow';
+
+    if (!STYLE_GUIDE_EMOJI_POLICIES.includes(this.emoji)) {
+      throw new Error(`Unknown emoji policy: ${this.emoji}`);
+    }
+    if (this.maxSentenceLength !== null && !(Number.isInteger(this.maxSentenceLength) && this.maxSentenceLength > 0)) {
+      throw new Error(`Invalid maxSentenceLength: ${definition.maxSentenceLength}`);
+    }
+  }
+
+  normalizeBannedPhrase(entry) {
+    if (!entry || typeof entry.phrase !== 'string' || !entry.phrase) {
+      throw new Error('Banned phrase entry needs a phrase');
+    }
+
+    return {
+      phrase: entry.phrase,
+      replacement: typeof entry.replacement === 'string' ? entry.replacement : null,
+      relationships: entry.relationships && entry.relationships.length > 0 ? entry.relationships : null,
+      reason: entry.reason || null
+    };
+  }
+
+  /**
+   * Fix banned phrases, spellings, emoji and a missing closing:
+   * {text, conversions, violations} where violations are the ones left after fixing
+   * context: {relationship}; options.closing false skips adding the required closing
+   */
+  apply(text, context = {}, conversions = [], options = {}) {
+    let result = text;
+    const record = (original, converted, reason) => {
+      conversions.push({ type: 'style-guide', original, converted, reason });
+    };
+
+    for (const entry of this.getApplicablePhrases(context)) {
+      if (entry.replacement === null || !result.includes(entry.phrase)) continue;
+      result = result.split(entry.phrase).join(entry.replacement);
+      record(entry.phrase, entry.replacement, entry.reason || `スタイルガイドで「${entry.phrase}」は使用禁止`);
+    }
+
+    for (const [variant, preferred] of this.spellings) {
+      if (!result.includes(variant)) continue;
+      result = result.split(variant).join(preferred);
+      record(variant, preferred, `スタイルガイドの表記「${preferred}」に統一`);
+    }
+
+    if (!this.allowsEmoji(context)) {
+      result = result.replace(STYLE_GUIDE_EMOJI_PATTERN, match => {
+        record(match, '', 'スタイルガイドにより絵文字を削除');
+        return '';
+      });
+    }
+
+    if (options.closing !== false && this.isMissingClosing(result)) {
+      const closing = this.requiredClosings[0];
+      result = result.replace(/\s*$/, '') + (result.trim() ? '\n' : '') + closing;
+      record('', closing, 'スタイルガイドで必須の結び');
+    }
+
+    return {
+      text: result,
+      conversions: conversions,
+      violations: this.check(result, context, options)
+    };
+  }
+
+  /**
+   * Every violation in text as a diagnostic:
+   * [{rule, category, severity, start, end, text, message, suggestion}]
+   */
+  check(text, context = {}, options = {}) {
+    const violations = [];
+
+    for (const entry of this.getApplicablePhrases(context)) {
+      this.findAll(text, entry.phrase).forEach(start => {
+        violations.push(this.createViolation('banned-phrase', 'error', start, entry.phrase,
+          entry.reason || `「${entry.phrase}」はスタイルガイドで使用禁止です`, entry.replacement));
+      });
+    }
+
+    for (const [variant, preferred] of this.spellings) {
+      this.findAll(text, variant).forEach(start => {
+        violations.push(this.createViolation('spelling', 'info', start, variant,
+          `表記は「${preferred}」に統一してください`, preferred));
+      });
+    }
+
+    if (!this.allowsEmoji(context)) {
+      for (const match of text.matchAll(STYLE_GUIDE_EMOJI_PATTERN)) {
+        violations.push(this.createViolation('emoji', 'warning', match.index, match[0],
+          this.emoji === 'forbid' ? '絵文字は使用できません' : 'お客様宛ての文章に絵文字は使用できません', ''));
+      }
+    }
+
+    if (this.maxSentenceLength) {
+      for (const match of text.matchAll(STYLE_GUIDE_SENTENCE_PATTERN)) {
+        const sentence = match[0].trim();
+        if (sentence.length > this.maxSentenceLength) {
+          violations.push(this.createViolation('sentence-length', 'warning', match.index, match[0],
+            `一文が${sentence.length}文字あります（上限${this.maxSentenceLength}文字）。文を分けてください`, null));
+        }
+      }
+    }
+
+    if (options.closing !== false && this.isMissingClosing(text)) {
+      violations.push(this.createViolation('required-closing', 'warning', text.length, '',
+        `結びに「${this.requiredClosings.join('」「')}」のいずれかが必要です`, this.requiredClosings[0]));
+    }
+
+    return violations.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Banned phrases that apply to the recipient's relationship
+   */
+  getApplicablePhrases(context) {
+    return this.bannedPhrases.filter(entry =>
+      !entry.relationships || entry.relationships.includes(context.relationship));
+  }
+
+  allowsEmoji(context) {
+    if (this.emoji === 'forbid') return false;
+    return !(this.emoji === 'internal-only' && context.relationship === 'customer');
+  }
+
+  isMissingClosing(text) {
+    return this.requiredClosings.length > 0 && !this.requiredClosings.some(closing => text.includes(closing));
+  }
+
+  findAll(text, phrase) {
+    const positions = [];
+    let index = text.indexOf(phrase);
+    while (index !== -1) {
+      positions.push(index);
+      index = text.indexOf(phrase, index + phrase.length);
+    }
+    return positions;
+  }
+
+  createViolation(category, severity, start, matchedText, message, suggestion) {
+    return {
+      rule: `style-guide:${category}`,
+      category: category,
+      severity: severity,
+      start: start,
+      end: start + matchedText.length,
+      text: matchedText,
+      message: message,
+      suggestion: suggestion
+    };
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StyleGuide, STYLE_GUIDE_EMOJI_POLICIES };
+} else {
+  window.StyleGuide = StyleGuide;
+}
@@ -0,0 +1,107 @@
+/**
+ * Text Masker - Protects Markdown code, URLs, file paths, emails, mentions, hashtags and placeholders
+ * Replaces protected segments with ⟦n⟧ tokens before conversion so that only prose
+ * reaches the rule and LLM pipelines, then restores them byte-for-byte
+ */
+
+// Protected segment patterns, highest priority first; later patterns never
+// match inside a segment an earlier one already claimed
+const MASK_PATTERNS = [
+  // Tokens already present in the input are masked too, so restore stays exact
+  { type: 'reserved', pattern: /⟦\s*\d+\s*⟧/g },
+  { type: 'code-block', pattern: /(```|~~~)[\s\S]*?(?:\1|$)/g },
+  { type: 'inline-code', pattern: /(`+)[^`\n]+\1/g },
+  { type: 'link-target', pattern: /(?<=\])\([^()\s]+(?:\s+"[^"\n]*")?\)/g },
+  // URLs run to whitespace, a closing bracket or Japanese punctuation, whatever the
+  // script of the path (https://example.com/アプデ/バグ stays whole)
+  {
+    type: 'url',
+    pattern: /\b(?:https?:\/\/|ftp:\/\/|www\.)[^\s<>"'`⟦⟧\]）」』】〕、。，．！？]*[^\s<>"'`⟦⟧\]）」』】〕、。，．！？.,!?:;)]/g
+  },
+  // Windows (C:\… or \\server\…) and POSIX (/home/…, ./docs/…, ~/…) file paths
+  {
+    type: 'file-path',
+    pattern: /(?:\b[A-Za-z]:\\|\\\\)[^\s<>"'`|⟦⟧、。「」（）]*[^\s<>"'`|⟦⟧、。「」（）.,!?:;]|(?<![\w.~\/:\\])(?:(?:~|\.{1,2})\/[^\s<>"'`⟦⟧、。「」（）]*|\/(?:[^\s\/<>"'`⟦⟧、。「」（）]+\/)+[^\s\/<>"'`⟦⟧、。「」（）]*)(?<![.,!?:;)])/g
+  },
+  { type: 'email', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  { type: 'mention', pattern: /<[@#!][A-Za-z0-9_|^.-]+>|(?<![A-Za-z0-9_.@])@[A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_])?/g },
+  { type: 'hashtag', pattern: /(?<![^\s　(（])#[^\s　#、。！？!?,.()（）「」]+/g },
+  {
+    type: 'placeholder',
+    pattern: /\{\{[^{}\n]+\}\}|\$\{[^{}\n]+\}|\{[A-Za-z_][A-Za-z0-9_.]*\}|%\([A-Za-z_]+\)[sd]|%(?:\d+\$)?[sdif@](?![A-Za-z])|<<[^<>\n]+>>|\[\[[^[\]\n]+\]\]/g
+  }
+];
+
+// Tokens as written back by the pipelines; LLMs sometimes pad them with spaces
+const TOKEN_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+class TextMasker {
+  constructor() {
+    this.patterns = MASK_PATTERNS;
+  }
+
+  /**
+   * Mask protected segments: {text, segments: [{token, type, original, start, end}]}
+   * where start/end are offsets in the unmasked text
+   */
+  mask(text) {
+    const claimed = [];
+
+    for (const { type, pattern } of this.patterns) {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (start === end || claimed.some(range => start < range.end && end > range.start)) continue;
+        claimed.push({ type, start, end });
+      }
+    }
+
+    claimed.sort((a, b) => a.start - b.start);
+
+    const segments = [];
+    let masked = '';
+    let index = 0;
+
+    for (const range of claimed) {
+      const token = `⟦${segments.length}⟧`;
+      masked += text.slice(index, range.start) + token;
+      index = range.end;
+      segments.push({
+        token: token,
+        type: range.type,
+        original: text.slice(range.start, range.end),
+        start: range.start,
+        end: range.end
+      });
+    }
+
+    return { text: masked + text.slice(index), segments };
+  }
+
+  /**
+   * Put the original segments back in place of their tokens
+   */
+  restore(text, segments) {
+    if (!segments || segments.length === 0) return text;
+
+    return text.replace(TOKEN_PATTERN, (token, index) => {
+      const segment = segments[Number(index)];
+      return segment ? segment.original : token;
+    });
+  }
+
+  /**
+   * Segments whose token no longer appears in the text (e.g. dropped by an LLM)
+   */
+  findMissing(text, segments) {
+    const present = new Set([...text.matchAll(TOKEN_PATTERN)].map(match => Number(match[1])));
+    return segments.filter((segment, index) => !present.has(index));
+  }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TextMasker, MASK_PATTERNS };
+} else {
+  window.TextMasker = TextMasker;
+}
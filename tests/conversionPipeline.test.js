@@ -0,0 +1,58 @@
+const ConversionPipeline = require('../src/conversion/conversionPipeline');
+const EnhancedConversionEngine = require('../src/conversion/enhancedConversionEngine');
+
+describe('ConversionPipeline', () => {
+  const createPipeline = () => new ConversionPipeline()
+    .register({ name: 'upper', order: 200, run: state => { state.text = state.text.toUpperCase(); } })
+    .register({ name: 'suffix', order: 100, options: { suffix: '!' }, run: (state, options) => { state.text += options.suffix; } })
+    .register({ name: 'approach', order: 300, required: true, run: state => { state.conversions.push({ approach: 'test', text: state.text }); } });
+
+  test('runs stages in order and traces their input and output', async () => {
+    const state = { text: 'abc', conversions: [] };
+    const trace = await createPipeline().run(state);
+
+    expect(state.text).toBe('ABC!');
+    expect(trace.map(entry => [entry.stage, entry.input, entry.output])).toEqual([
+      ['suffix', 'abc', 'abc!'], ['upper', 'abc!', 'ABC!'], ['approach', 'ABC!', 'ABC!']
+    ]);
+    expect(trace[2].approaches).toEqual([{ approach: 'test', text: 'ABC!' }]);
+  });
+
+  test('switches and configures stages per run, except required ones', async () => {
+    const state = { text: 'abc', conversions: [] };
+    const trace = await createPipeline().run(state, { upper: false, suffix: { suffix: '?' }, approach: false });
+
+    expect(state.text).toBe('abc?');
+    expect(trace.map(entry => [entry.stage, entry.enabled])).toEqual([['suffix', true], ['upper', false], ['approach', true]]);
+  });
+
+  test('replaces stages by name and rejects stages without a run function', () => {
+    const pipeline = createPipeline().register({ name: 'upper', order: 50, run: () => {} });
+
+    expect(pipeline.getStages().map(stage => stage.name)).toEqual(['upper', 'suffix', 'approach']);
+    expect(pipeline.getStage('suffix').options).toEqual({ suffix: '!' });
+    expect(() => pipeline.register({ name: 'broken' })).toThrow('needs a name and a run function');
+  });
+});
+
+describe('EnhancedConversionEngine stages', () => {
+  test('reports the trace and honours per-request stage switches', async () => {
+    const engine = new EnhancedConversionEngine();
+    const result = await engine.convertText('アプデ確認して', { stages: { dictionary: false } });
+    const dictionary = result.trace.find(entry => entry.stage === 'dictionary');
+
+    expect(dictionary.enabled).toBe(false);
+    expect(result.metadata.stages).not.toContain('dictionary');
+    expect(result.variations.find(variation => variation.approach === 'word-level').text).toContain('アプデ');
+  }, 60000);
+
+  test('runs custom stages registered on the engine', async () => {
+    const engine = new EnhancedConversionEngine();
+    engine.registerStage({ name: 'shout', order: 350, run: state => { state.text = state.text.replace('確認', '至急確認'); } });
+
+    const result = await engine.convertText('資料確認して');
+
+    expect(result.metadata.stages).toContain('shout');
+    expect(result.variations.find(variation => variation.approach === 'word-level').text).toContain('至急');
+  }, 60000);
+});
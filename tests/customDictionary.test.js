@@ -0,0 +1,79 @@
+const { CustomDictionary } = require('../src/shared/customDictionary');
+const WordConverter = require('../src/converters/wordConverter');
+
+describe('CustomDictionary', () => {
+  const createStorage = () => {
+    const items = {};
+    return {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => { items[key] = value; }
+    };
+  };
+
+  test('adds, updates and removes entries per section and context', () => {
+    const dictionary = new CustomDictionary({ storage: null });
+    dictionary.addEntry('MTG', '会議');
+    dictionary.addEntry('ASAP', '至急', { section: 'phrases' });
+    dictionary.addEntry('了解', '承知いたしました', { context: 'superior' });
+    dictionary.updateEntry('MTG', 'ミーティング');
+
+    expect(() => dictionary.addEntry('MTG', '打ち合わせ')).toThrow('already exists');
+    expect(() => dictionary.updateEntry('なし', 'あり')).toThrow('does not exist');
+    expect(() => dictionary.addEntry('x', 'y', { context: 'friend' })).toThrow('Unknown dictionary context');
+    expect(dictionary.getEntries()).toEqual([
+      { section: 'words', context: null, casual: 'MTG', polite: 'ミーティング' },
+      { section: 'phrases', context: null, casual: 'ASAP', polite: '至急' },
+      { section: 'contextual', context: 'superior', casual: '了解', polite: '承知いたしました' }
+    ]);
+    expect(dictionary.removeEntry('ASAP', { section: 'phrases' })).toBe(true);
+    expect(dictionary.removeEntry('ASAP', { section: 'phrases' })).toBe(false);
+  });
+
+  test('layers entries over the built-in dictionary', () => {
+    const dictionary = new CustomDictionary({ storage: null });
+    dictionary.setEntry('アプデ', '更新');
+
+    const merged = dictionary.applyTo({ words: { 'アプデ': 'アップデート', 'バグ': '不具合' }, phrases: {}, contextual: {} });
+
+    expect(merged.words).toEqual({ 'アプデ': '更新', 'バグ': '不具合' });
+    expect(Object.keys(merged.contextual)).toEqual(['business', 'urgent', 'superior']);
+  });
+
+  test('round-trips through JSON and CSV, quoting commas', () => {
+    const dictionary = new CustomDictionary({ storage: null });
+    dictionary.setEntry('よろ', 'Thanks, よろしく', { section: 'phrases' });
+    dictionary.setEntry('了解', '承知いたしました', { context: 'business' });
+
+    const csv = dictionary.exportCSV();
+    expect(csv).toBe('section,context,casual,polite\nphrases,,よろ,"Thanks, よろしく"\ncontextual,business,了解,承知いたしました');
+
+    const fromCSV = new CustomDictionary({ storage: null });
+    expect(fromCSV.importCSV(csv)).toBe(2);
+    expect(fromCSV.getEntries()).toEqual(dictionary.getEntries());
+
+    const fromJSON = new CustomDictionary({ storage: null });
+    fromJSON.setEntry('MTG', '会議');
+    fromJSON.importJSON(dictionary.exportJSON(), { merge: true });
+    expect(fromJSON.getEntries()).toHaveLength(3);
+  });
+
+  test('persists to and restores from storage', () => {
+    const storage = createStorage();
+    new CustomDictionary({ storage }).setEntry('MTG', '会議');
+
+    expect(new CustomDictionary({ storage }).getEntries()).toEqual([
+      { section: 'words', context: null, casual: 'MTG', polite: '会議' }
+    ]);
+  });
+
+  test('WordConverter picks up entries edited after it was created', () => {
+    const dictionary = new CustomDictionary({ storage: null });
+    const converter = new WordConverter({ customDictionary: dictionary });
+    dictionary.setEntry('MTG', '会議');
+
+    const result = converter.convertText('明日のMTGの件', { relationship: 'colleague', situation: 'business' }, 3);
+
+    expect(result.text).toContain('明日の会議の件');
+    expect(result.conversions).toContainEqual(expect.objectContaining({ original: 'MTG', converted: '会議' }));
+  });
+});
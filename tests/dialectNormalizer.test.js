@@ -0,0 +1,54 @@
+const { DialectNormalizer } = require('../src/shared/dialectNormalizer');
+const { LLMProvider } = require('../src/ai/llmProvider');
+
+describe('DialectNormalizer', () => {
+  const normalizer = new DialectNormalizer();
+
+  test('detects a dialect only from two different markers', () => {
+    expect(normalizer.detect('それちゃうねん、行かへんで')).toEqual(['kansai']);
+    expect(normalizer.detect('ほんまに助かりました')).toEqual([]);
+  });
+
+  test('leaves 標準語 that looks like a marker alone in auto mode', () => {
+    for (const text of ['ほんまに助かりました', 'ぶち寒いけぇ', '行かんけど大丈夫', 'よかった', '忘れちゃう']) {
+      expect(normalizer.normalize(text).text).toBe(text);
+    }
+  });
+
+  test('converts detected Kansai expressions and records each conversion', () => {
+    const result = normalizer.normalize('ほんまにあかんわ、知らんけど');
+
+    expect(result.text).toBe('本当にだめだ、知らないけど');
+    expect(result.dialects).toEqual(['kansai']);
+    expect(result.conversions.every(conversion => conversion.type === 'dialect')).toBe(true);
+  });
+
+  test('converts ん negation before けど when the dialect is given', () => {
+    expect(normalizer.normalize('行かんけど', 'kansai').text).toBe('行かないけど');
+  });
+
+  test('converts 〜てんねん and あかんで', () => {
+    expect(normalizer.normalize('お茶飲んでんねん', 'kansai').text).toBe('お茶飲んでいるんだ');
+    expect(normalizer.normalize('そんなん知ってんねん', 'kansai').text).toBe('そんなん知っているんだ');
+    expect(normalizer.normalize('あかんで', 'kansai').text).toBe('だめだよ');
+  });
+
+  test('rejects an unknown dialect', () => {
+    expect(() => normalizer.normalize('テスト', 'martian')).toThrow('Unknown dialect: martian');
+  });
+});
+
+describe('LLMProvider rule-based fallback', () => {
+  // The constructor reads API keys from localStorage; the fallback needs none of that
+  const provider = Object.create(LLMProvider.prototype);
+
+  test('turns the copula だ into です', () => {
+    expect(provider.simpleRuleBasedConversion('明日は休みだ', 0)).toBe('明日は休みです');
+    expect(provider.simpleRuleBasedConversion('そうなんだ', 0)).toBe('そうなんです');
+  });
+
+  test('keeps past-tense verbs ending in だ', () => {
+    expect(provider.simpleRuleBasedConversion('資料を読んだ', 0)).toBe('資料を読んだ');
+    expect(provider.simpleRuleBasedConversion('昨日飛んだよ', 0)).toBe('昨日飛んだよ');
+  });
+});
@@ -0,0 +1,52 @@
+const { DictionaryLoader } = require('../src/shared/dictionaryLoader');
+
+describe('DictionaryLoader', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('loads the bundled casualToPolite.json in Node', () => {
+    const data = new DictionaryLoader().load();
+
+    expect(data.words['アプデ']).toBe('アップデート');
+    expect(Object.keys(data)).toEqual(expect.arrayContaining(['words', 'phrases', 'contextual']));
+  });
+
+  test('reports duplicate keys that JSON.parse would silently drop', () => {
+    const loader = new DictionaryLoader();
+    loader.loadFromText('{"words": {"了解": "承知しました", "了解": "かしこまりました"}, "phrases": {}, "contextual": {}}');
+
+    expect(loader.issues).toContainEqual(expect.objectContaining({ type: 'duplicate', section: 'words', key: '了解' }));
+  });
+
+  test('drops invalid entries and fills missing sections', () => {
+    const loader = new DictionaryLoader();
+    const data = loader.loadFromText('{"words": {"すごい": "", "マジ": "本当に"}}');
+
+    expect(data.words).toEqual({ 'マジ': '本当に' });
+    expect(data.phrases).toEqual({});
+    expect(loader.issues.map(issue => issue.type)).toEqual(['schema', 'schema', 'schema']);
+  });
+
+  test('reports conflicting sections and overlapping keys', () => {
+    const loader = new DictionaryLoader();
+    loader.loadFromText(JSON.stringify({
+      words: { '確認': '確認', 'ちょっと': '少し' },
+      phrases: { 'ちょっと': '少々', 'ちょっと待って': '少々お待ちください' },
+      contextual: { superior: { 'よろしく': 'よろしくお願いいたします' } }
+    }));
+
+    const summary = loader.issues.map(issue => `${issue.type}:${issue.key}`);
+    expect(summary).toEqual(expect.arrayContaining(['conflict:ちょっと', 'conflict:よろしく', 'overlap:ちょっと']));
+  });
+
+  test('orders entries longest key first', () => {
+    const entries = DictionaryLoader.getOrderedEntries({ 'よろしく': 'a', 'よろしくね': 'b', 'ね': 'c' });
+
+    expect(entries.map(([key]) => key)).toEqual(['よろしくね', 'よろしく', 'ね']);
+  });
+});
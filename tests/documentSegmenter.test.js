@@ -0,0 +1,60 @@
+const DocumentSegmenter = require('../src/converters/documentSegmenter');
+const SentenceGenerator = require('../src/converters/sentenceGenerator');
+const WordConverter = require('../src/converters/wordConverter');
+const { sharedMorphologicalTokenizer } = require('../src/shared/morphologicalTokenizer');
+
+describe('DocumentSegmenter', () => {
+  const segmenter = new DocumentSegmenter();
+
+  test('splits lines into indentation, list markers and sentences', () => {
+    const document = segmenter.segment('連絡です。確認して！\n\n  ・資料作成\n1. 会議調整');
+
+    expect(document.lines.map(line => [line.blank, line.indent, line.marker])).toEqual([
+      [false, '', ''], [true, '', ''], [false, '  ', '・'], [false, '', '1. ']
+    ]);
+    expect(document.lines[0].sentences).toEqual([
+      { text: '連絡です', terminator: '。' },
+      { text: '確認して', terminator: '！' }
+    ]);
+  });
+
+  test('detects documents by lines or sentence count', () => {
+    expect(segmenter.isDocument('確認して')).toBe(false);
+    expect(segmenter.isDocument('確認して。 ')).toBe(false);
+    expect(segmenter.isDocument('確認して。送って')).toBe(true);
+    expect(segmenter.isDocument('確認して\n送って')).toBe(true);
+  });
+
+  test('recomposes converted sentences into the same layout', () => {
+    const text = '連絡です。確認して\r\n\r\n  ・資料作成';
+    const document = segmenter.segment(text);
+
+    expect(segmenter.compose(document, sentence => sentence.text + sentence.terminator)).toBe(text);
+    expect(segmenter.compose(document, sentence => `[${sentence.text}]${sentence.terminator}`))
+      .toBe('[連絡です]。[確認して]\r\n\r\n  ・[資料作成]');
+  });
+});
+
+describe('SentenceGenerator sentence endings', () => {
+  const generator = new SentenceGenerator({ wordConverter: new WordConverter() });
+  const convert = (text) => generator.transformMainContent(generator.analyzeTextComponents(text), {}, 3);
+  const convertDocument = (text) => generator.generateDocumentVersion(text, {}, 3);
+
+  beforeAll(() => sharedMorphologicalTokenizer.init(), 60000);
+
+  test('completes statements as です/ます instead of requests', () => {
+    expect(convert('今は復旧してる')).toBe('今は復旧しています。');
+    expect(convert('調査中')).toBe('調査中です。');
+    expect(convert('お疲れ。')).toBe('お疲れ様です。');
+  });
+
+  test('gives request endings only to requests', () => {
+    expect(convert('資料送って')).toBe('資料お送りいただけませんか。');
+    expect(convert('まだ資料できてないので、明日送ります')).toBe('まだ資料できてないので、明日送ります。');
+  });
+
+  test('converts each sentence of a document with its own ending', () => {
+    expect(convertDocument('サーバー落ちてた。今は復旧してる')).toMatch(/(?:^|\n)サーバー落ちていました。今は復旧しています(?:\n|$)/);
+    expect(convertDocument('資料送って。\n・資料作成')).toMatch(/(?:^|\n)資料お送りいただけませんか。\n・資料作成(?:\n|$)/);
+  });
+});
@@ -0,0 +1,63 @@
+const { EditTracker } = require('../src/shared/editTracker');
+const EnhancedConversionEngine = require('../src/conversion/enhancedConversionEngine');
+
+describe('EditTracker', () => {
+  const tracker = new EditTracker();
+  const original = 'アプデの件、バグ直しといて';
+  const converted = 'アップデートの件、不具合直しておいていただけますか';
+  const records = [
+    { type: 'word', original: 'アプデ', converted: 'アップデート', reason: '辞書' },
+    { type: 'word', original: 'バグ', converted: '不具合', reason: '辞書' },
+    { type: 'verb', original: '直しといて', converted: '直しておいていただけますか', reason: '活用' }
+  ];
+
+  test('diffs into span edits that widen to whole katakana words', () => {
+    const edits = tracker.createEdits(original, converted, { source: 'word-level' });
+
+    expect(edits.map(edit => [edit.original, edit.replacement])).toEqual([
+      ['アプデ', 'アップデート'], ['バグ', '不具合'], ['と', 'てお'], ['', 'いただけますか']
+    ]);
+    expect(edits.every(edit => edit.source === 'word-level')).toBe(true);
+  });
+
+  test('joins the spans of one rule and attributes edits to their records', () => {
+    const edits = tracker.createEdits(original, converted, { source: 'word-level', records });
+
+    expect(edits.map(edit => [edit.original, edit.source, edit.rule, edit.reason])).toEqual([
+      ['アプデ', 'dictionary', 'word:アプデ', '辞書'],
+      ['バグ', 'dictionary', 'word:バグ', '辞書'],
+      ['直しといて', 'verb', 'verb:直しといて', '活用']
+    ]);
+  });
+
+  test('splits added framing phrases into their own insertions', () => {
+    const edits = tracker.createEdits('資料見て', 'お疲れ様です。資料ご覧いただけますか。よろしくお願いいたします。', {
+      source: 'sentence-generator',
+      framing: [{ text: 'お疲れ様です', reason: '挨拶を追加' }, { text: 'よろしくお願いいたします', reason: '結びの言葉を追加' }]
+    });
+
+    expect(edits.map(edit => [edit.original, edit.replacement, edit.reason])).toEqual([
+      ['', 'お疲れ様です。', '挨拶を追加'],
+      ['見て', 'ご覧いただけますか。', null],
+      ['', 'よろしくお願いいたします。', '結びの言葉を追加']
+    ]);
+  });
+
+  test('keeps a rewrite of the writer\'s own words whole', () => {
+    const edits = tracker.createEdits('よろしく', 'よろしくお願いいたします。', {
+      framing: [{ text: 'よろしくお願いいたします', reason: '結びの言葉を追加' }]
+    });
+
+    expect(edits.map(edit => edit.replacement)).toEqual(['お願いいたします。']);
+  });
+
+  test('attributes generated approaches to the rules and framing that produced them', async () => {
+    const engine = new EnhancedConversionEngine();
+    const result = await engine.convertText('アプデのバグ直しといて');
+    const generated = result.variations.find(variation => variation.approach === 'sentence-generation');
+
+    expect(generated.edits).toContainEqual(expect.objectContaining({ original: '', reason: '挨拶を追加' }));
+    expect(generated.edits).toContainEqual(expect.objectContaining({ source: 'dictionary', rule: 'word:アプデ' }));
+    expect(generated.edits).toContainEqual(expect.objectContaining({ source: 'verb', original: '直しといて' }));
+  }, 60000);
+});
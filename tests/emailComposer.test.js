@@ -0,0 +1,69 @@
+const EmailComposer = require('../src/converters/emailComposer');
+
+describe('EmailComposer', () => {
+  const composer = new EmailComposer();
+  const signature = { company: 'B社', department: '営業部', name: '佐藤', phone: '03-0000-0000' };
+
+  test('builds subject, introduction and body for an external recipient', () => {
+    const email = composer.compose('会議の資料をお送りいただけますでしょうか。よろしく', { intent: 'request' }, {
+      recipient: { company: 'A社', name: '田中' },
+      signature
+    });
+
+    expect(email.subject).toBe('会議のお願い');
+    expect(email.external).toBe(true);
+    expect(email.salutation).toContain('田中様');
+    expect(email.greeting).toMatch(/お世話になっております/);
+    expect(email.introduction).toBe('B社の佐藤です。');
+    expect(email.body).toBe('会議の資料をお送りいただけますでしょうか。');
+    expect(email.closing).toMatch(/よろしくお願い/);
+  });
+
+  test('uses the internal style within the sender\'s company', () => {
+    const email = composer.compose('資料を共有します。', {}, { recipient: { company: 'B社', name: '鈴木' }, signature });
+
+    expect(email.external).toBe(false);
+    expect(email.greeting).toMatch(/お疲れ様/);
+    expect(email.introduction).toBe('営業部の佐藤です。');
+  });
+
+  test('falls back to generic subjects and keeps a body that is only a sign-off', () => {
+    expect(composer.createSubject('明日の件', { intent: 'apology' })).toBe('お詫び');
+    expect(composer.createSubject('明日の件', {})).toBe('ご連絡');
+    expect(composer.compose('よろしく', {}).body).toBe('よろしく');
+  });
+
+  test('lays out the plain-text message with the signature block', () => {
+    const email = composer.compose('資料を共有します。', {}, { subject: '資料共有', signature });
+
+    expect(composer.toPlainText(email).split('\n\n')).toEqual([
+      '件名：資料共有',
+      email.greeting + '\n営業部の佐藤です。',
+      '資料を共有します。',
+      email.closing,
+      '--------------------------------\nB社\n営業部\n佐藤\nTEL: 03-0000-0000\n--------------------------------'
+    ]);
+  });
+
+  test('exports .eml with encoded headers and a base64 body', () => {
+    const email = composer.compose('資料を共有します。', {}, { subject: '資料共有' });
+    const eml = composer.toEml(email, {
+      from: { name: '佐藤', address: 'sato@example.com' },
+      to: 'tanaka@example.com',
+      date: new Date(Date.UTC(2026, 9, 19, 3))
+    });
+    const [head, body] = eml.split('\r\n\r\n');
+
+    expect(head.split('\r\n')).toEqual([
+      'Date: Mon, 19 Oct 2026 03:00:00 GMT',
+      'From: =?UTF-8?B?5L2Q6Jek?= <sato@example.com>',
+      'To: tanaka@example.com',
+      'Subject: =?UTF-8?B?6LOH5paZ5YWx5pyJ?=',
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64'
+    ]);
+    expect(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'))
+      .toBe(composer.formatMessage(email).replace(/\n/g, '\r\n'));
+  });
+});
@@ -0,0 +1,40 @@
+const HonorificTransformer = require('../src/converters/honorificTransformer');
+const { sharedMorphologicalTokenizer } = require('../src/shared/morphologicalTokenizer');
+
+describe('HonorificTransformer', () => {
+  const transformer = new HonorificTransformer();
+
+  beforeAll(() => sharedMorphologicalTokenizer.init(), 60000);
+
+  test('uses 尊敬語 for the reader and 謙譲語 for the writer', () => {
+    expect(transformer.transform('部長が来る', {}, 3)).toBe('部長がいらっしゃいます');
+    expect(transformer.transform('明日行く', {}, 3)).toBe('明日伺います');
+    expect(transformer.transform('私が言った', {}, 4)).toBe('私が申し上げました');
+  });
+
+  test('treats requests and questions as the reader\'s actions', () => {
+    expect(transformer.transform('資料見て', {}, 3)).toBe('資料ご覧いただけますか');
+    expect(transformer.transform('部長は明日来る？', {}, 3)).toBe('部長は明日いらっしゃいますか？');
+  });
+
+  test('uses 存じ上げる only when a person is known', () => {
+    expect(transformer.transform('その件知ってる', {}, 3)).toBe('その件存じております');
+    expect(transformer.transform('田中さんを知ってる', {}, 3)).toBe('田中さんを存じ上げております');
+    expect(transformer.transform('その件知ってる？', {}, 3)).toBe('その件ご存じですか？');
+  });
+
+  test('applies keigo by relationship before level', () => {
+    expect(transformer.transform('明日行く', { relationship: 'superior' }, 2)).toBe('明日伺います');
+    expect(transformer.transform('明日行く', { relationship: 'subordinate' }, 5)).toBe('明日行く');
+    expect(transformer.transform('明日行く', {}, 2)).toBe('明日行く');
+  });
+
+  test('records the register and actor of each rewrite', () => {
+    const conversions = [];
+    transformer.transform('部長が来る', {}, 3, conversions);
+
+    expect(conversions).toEqual([expect.objectContaining({
+      type: 'honorific', original: '来る', converted: 'いらっしゃいます', register: 'sonkeigo', actor: 'reader'
+    })]);
+  });
+});
@@ -0,0 +1,33 @@
+const IntentClassifier = require('../src/converters/intentClassifier');
+
+describe('IntentClassifier', () => {
+  const classifier = new IntentClassifier();
+
+  test('classifies with the bundled model and reports the task accuracy', () => {
+    const result = classifier.classify('至急資料を送ってください', 'intent');
+
+    expect(result.label).toBe('request');
+    expect(result.accuracy).toBeGreaterThanOrEqual(0.7);
+    expect(classifier.isConfident(result)).toBe(true);
+  });
+
+  test('gates tasks whose held-out accuracy is too low', () => {
+    const result = classifier.classify('至急資料を送ってください', 'relationship');
+
+    expect(result).not.toBeNull();
+    expect(classifier.isConfident(result)).toBe(false);
+  });
+
+  test('returns null for a task without a model', () => {
+    expect(classifier.classify('至急資料を送ってください', 'tone')).toBeNull();
+  });
+
+  test('softens probabilities with the calibration temperature', () => {
+    const [, sharp] = IntentClassifier.softmax([0, 1], 1);
+    const [, soft] = IntentClassifier.softmax([0, 1], 5);
+
+    expect(sharp).toBeCloseTo(0.731, 3);
+    expect(soft).toBeGreaterThan(0.5);
+    expect(soft).toBeLessThan(sharp);
+  });
+});
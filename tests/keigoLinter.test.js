@@ -0,0 +1,38 @@
+const { KeigoLinter } = require('../src/shared/keigoLinter');
+
+describe('KeigoLinter', () => {
+  const linter = new KeigoLinter();
+
+  test('flags double keigo with a fix and its span', () => {
+    const diagnostics = linter.lint('部長がおっしゃられました。');
+
+    expect(diagnostics).toEqual([expect.objectContaining({
+      rule: 'ossharareru', category: 'double_keigo', severity: 'error',
+      start: 3, end: 12, text: 'おっしゃられました', suggestion: 'おっしゃいました'
+    })]);
+  });
+
+  test('fixes さ入れ言葉 on multi-kana 五段 stems', () => {
+    expect(linter.applyFixes('資料を読まさせていただきます')).toBe('資料を読ませていただきます');
+    expect(linter.applyFixes('作業を終わらさせていただきました')).toBe('作業を終わらせていただきました');
+  });
+
+  test('flags 尊敬語 for the writer and 謙譲語 for the reader', () => {
+    expect(linter.applyFixes('私がご覧になります。')).toBe('私が拝見します。');
+    expect(linter.applyFixes('部長が拝見しました。')).toBe('部長がご覧になりました。');
+    expect(linter.lint('資料を拝見しました。')).toEqual([]);
+  });
+
+  test('fixes バイト敬語', () => {
+    expect(linter.applyFixes('こちらでよろしかったでしょうか')).toBe('こちらでよろしいでしょうか');
+    expect(linter.applyFixes('1000円からお預かりします')).toBe('1000円をお預かりします');
+  });
+
+  test('reports させていただく past the limit without a fix', () => {
+    const text = '確認させていただき、連絡させていただき、対応させていただきます。';
+    const diagnostics = linter.lint(text);
+
+    expect(diagnostics).toEqual([expect.objectContaining({ rule: 'sasete-itadaku-overuse', severity: 'info', suggestion: null })]);
+    expect(linter.applyFixes(text, diagnostics)).toBe(text);
+  });
+});
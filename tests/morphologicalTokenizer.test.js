@@ -0,0 +1,55 @@
+const { MorphologicalTokenizer, sharedMorphologicalTokenizer } = require('../src/shared/morphologicalTokenizer');
+const WordConverter = require('../src/converters/wordConverter');
+const SentenceGenerator = require('../src/converters/sentenceGenerator');
+
+describe('MorphologicalTokenizer', () => {
+  beforeAll(() => sharedMorphologicalTokenizer.init(), 60000);
+
+  test('returns morphemes with character offsets', () => {
+    const tokens = sharedMorphologicalTokenizer.tokenize('資料を送った');
+
+    expect(tokens.map(token => token.surface)).toEqual(['資料', 'を', '送っ', 'た']);
+    expect(tokens[2]).toEqual(expect.objectContaining({ start: 3, end: 5, pos: '動詞', basicForm: '送る' }));
+  });
+
+  test('refuses to tokenize or change the dictionary path around init', async () => {
+    const tokenizer = new MorphologicalTokenizer();
+
+    expect(() => tokenizer.tokenize('テスト')).toThrow('not initialized');
+    tokenizer.setDicPath('/nonexistent/dict');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(tokenizer.init()).resolves.toBe(false);
+    console.warn.mockRestore();
+    expect(() => tokenizer.setDicPath('dict/')).toThrow('already initialized');
+  });
+
+  test('matches dictionary keys only on morpheme boundaries', () => {
+    const converter = new WordConverter();
+
+    expect(converter.isMorphemeMatching()).toBe(true);
+    expect(converter.convertText('レスください', {}, 3).text).toContain('お返事');
+    expect(converter.convertText('ストレスがたまる', {}, 3).text).toContain('ストレス');
+  });
+});
+
+describe('SentenceGenerator phrase pass', () => {
+  const generator = new SentenceGenerator({ wordConverter: new WordConverter() });
+  const convert = (text) => generator.transformMainContent(generator.analyzeTextComponents(text), {}, 3);
+
+  beforeAll(() => sharedMorphologicalTokenizer.init(), 60000);
+
+  test('leaves commands the dictionary already made polite alone', () => {
+    expect(convert('会議の時間教えて！')).toBe('会議の時間教えていただけませんか。');
+  });
+
+  test('keeps a request asked as a question a question', () => {
+    expect(convert('部長に確認してもらえる？')).toBe('部長にご確認いただけますでしょうか？');
+  });
+
+  test('prefixes nouns before お願い from the お/ご table', () => {
+    expect(convert('電話お願い')).toBe('お電話をお願いいたします。');
+    expect(convert('確認お願い')).toBe('ご確認をお願いいたします。');
+    expect(convert('ご確認お願い')).toBe('ご確認をお願いいたします。');
+    expect(convert('資料お願い')).toBe('資料をお願いいたします。');
+  });
+});
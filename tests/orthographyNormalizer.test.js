@@ -0,0 +1,27 @@
+const { OrthographyNormalizer } = require('../src/shared/orthographyNormalizer');
+
+describe('OrthographyNormalizer', () => {
+  const normalizer = new OrthographyNormalizer();
+
+  test('writes auxiliary 致す and 下さい in kana under the 公用文 preset', () => {
+    expect(normalizer.normalize('ご連絡致します').text).toBe('ご連絡いたします');
+    expect(normalizer.normalize('確認して下さい').text).toBe('確認してください');
+    expect(normalizer.normalize('是非宜しくお願い致します').text).toBe('是非よろしくお願いいたします');
+  });
+
+  test('keeps 一致 and main-verb 下さい in kanji', () => {
+    expect(normalizer.normalize('意見が一致しました').text).toBe('意見が一致しました');
+    expect(normalizer.normalize('資料を下さい').text).toBe('資料を下さい');
+  });
+
+  test('always widens half-width katakana and records the change', () => {
+    const result = normalizer.normalize('ｶﾀｶﾅ', 'newspaper');
+
+    expect(result.text).toBe('カタカナ');
+    expect(result.conversions.length).toBeGreaterThan(0);
+  });
+
+  test('leaves masked segments untouched', () => {
+    expect(normalizer.normalize('⟦0⟧を下さい。ご連絡致します').text).toBe('⟦0⟧を下さい。ご連絡いたします');
+  });
+});
@@ -0,0 +1,39 @@
+const { RandomSource } = require('../src/shared/randomSource');
+const EnhancedConversionEngine = require('../src/conversion/enhancedConversionEngine');
+
+describe('RandomSource', () => {
+  const sequence = (source, length) => Array.from({ length }, () => source.next());
+
+  test('repeats the same sequence for the same seed', () => {
+    expect(sequence(new RandomSource({ seed: 42 }), 5)).toEqual(sequence(new RandomSource({ seed: 42 }), 5));
+    expect(sequence(new RandomSource({ seed: 'team-a' }), 5)).toEqual(sequence(new RandomSource({ seed: 'team-a' }), 5));
+    expect(sequence(new RandomSource({ seed: 1 }), 5)).not.toEqual(sequence(new RandomSource({ seed: 2 }), 5));
+  });
+
+  test('stays within [0, 1) and picks from the whole list', () => {
+    const source = new RandomSource({ seed: 7 });
+    const values = sequence(source, 200);
+    const picks = new Set(Array.from({ length: 200 }, () => source.pick(['a', 'b', 'c'])));
+
+    expect(values.every(value => value >= 0 && value < 1)).toBe(true);
+    expect(picks).toEqual(new Set(['a', 'b', 'c']));
+  });
+
+  test('always picks the top-ranked element in stable mode', () => {
+    const source = new RandomSource({ seed: 7, stable: true });
+
+    expect([source.pick(['a', 'b']), source.pick(['a', 'b'])]).toEqual(['a', 'a']);
+  });
+
+  test('makes conversions reproducible for a seed', async () => {
+    const engine = new EnhancedConversionEngine();
+    const convert = options => engine.convertText('明日の会議の資料送って', { sendTime: '2026-10-19T03:00:00Z', ...options });
+
+    const first = await convert({ seed: 'demo' });
+    const second = await convert({ seed: 'demo' });
+
+    expect(second.variations.map(variation => variation.text)).toEqual(first.variations.map(variation => variation.text));
+    expect(first.metadata.seed).toBe('demo');
+    expect((await convert({ stable: true })).converted).toBe((await convert({ stable: true })).converted);
+  }, 60000);
+});
@@ -0,0 +1,34 @@
+const ReadabilityAnalyzer = require('../src/converters/readabilityAnalyzer');
+
+describe('ReadabilityAnalyzer length budget', () => {
+  const analyzer = new ReadabilityAnalyzer();
+  const original = '資料の確認お願い';
+  const converted = 'いつもお世話になっております。お忙しい中恐縮ですが、資料のご確認をお願いいたします。お忙しい中ありがとうございます。';
+
+  test('leaves text within the budget unchanged', () => {
+    const result = analyzer.fitToBudget(converted, original, { maxChars: 100 });
+
+    expect(result.text).toBe(converted);
+    expect(result.removed).toEqual([]);
+    expect(result.exceeded).toEqual([]);
+  });
+
+  test('drops added sentences and then cushion clauses, keeping the core sentence', () => {
+    const result = analyzer.fitToBudget(converted, original, { maxSentences: 1 });
+
+    expect(result.text).toBe('お忙しい中恐縮ですが、資料のご確認をお願いいたします。');
+    expect(result.removed).toEqual(['お忙しい中ありがとうございます。', 'いつもお世話になっております。']);
+
+    const trimmed = analyzer.fitToBudget(converted, original, { maxRatio: 2 });
+    expect(trimmed.text).toBe('資料のご確認をお願いいたします。');
+    expect(trimmed.removed).toContain('お忙しい中恐縮ですが、');
+    expect(trimmed.exceeded).toEqual([]);
+  });
+
+  test('never drops sentences contained in keep', () => {
+    const result = analyzer.fitToBudget(converted, original, { maxSentences: 1 }, value => value, ['お忙しい中ありがとうございます。']);
+
+    expect(result.text).toContain('お忙しい中ありがとうございます。');
+    expect(result.exceeded).toEqual(['maxSentences']);
+  });
+});
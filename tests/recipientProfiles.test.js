@@ -0,0 +1,28 @@
+const { RecipientProfiles } = require('../src/shared/recipientProfiles');
+
+describe('RecipientProfiles', () => {
+  test('formats the external 宛名 with department and title on one line', () => {
+    const addressee = RecipientProfiles.formatAddressee({
+      company: '株式会社ABC', department: '営業部', title: '部長', name: '山田'
+    }, true);
+
+    expect(addressee).toBe('株式会社ABC\n営業部 部長\n山田様');
+  });
+
+  test('joins the name to the title inside the company without 部長様', () => {
+    expect(RecipientProfiles.formatAddressee({ name: '田中', title: '部長' }, false)).toBe('田中部長');
+    expect(RecipientProfiles.formatAddressee({ name: '佐藤', honorific: 'さん' }, false)).toBe('佐藤さん');
+  });
+
+  test('allows emoji by relationship unless the profile says otherwise', () => {
+    expect(RecipientProfiles.allowsEmoji({ relationship: 'superior' })).toBe(false);
+    expect(RecipientProfiles.allowsEmoji({ relationship: 'colleague' })).toBe(true);
+    expect(RecipientProfiles.allowsEmoji({ relationship: 'customer', emoji: true })).toBe(true);
+  });
+
+  test('rejects profiles with an unknown time zone', () => {
+    const profiles = new RecipientProfiles({ storage: null });
+
+    expect(() => profiles.addProfile({ name: '山田', relationship: 'customer', timeZone: 'Mars/Olympus' })).toThrow();
+  });
+});
@@ -0,0 +1,42 @@
+const { EditTracker } = require('../src/shared/editTracker');
+const EnhancedConversionEngine = require('../src/conversion/enhancedConversionEngine');
+
+describe('Edit review', () => {
+  const tracker = new EditTracker();
+
+  test('applies only the accepted edits', () => {
+    const original = 'アプデの件、バグ直しといて';
+    const edits = tracker.createEdits(original, 'アップデートの件、不具合直しておいていただけますか', {
+      records: [
+        { type: 'word', original: 'アプデ', converted: 'アップデート' },
+        { type: 'word', original: 'バグ', converted: '不具合' },
+        { type: 'verb', original: '直しといて', converted: '直しておいていただけますか' }
+      ]
+    });
+
+    expect(tracker.applyEdits(original, edits)).toBe('アップデートの件、不具合直しておいていただけますか');
+    expect(tracker.applyEdits(original, edits, ['edit-1'])).toBe('アプデの件、不具合直しといて');
+    expect(tracker.applyEdits(original, edits, [])).toBe(original);
+  });
+
+  test('every approach\'s edits rebuild its text', async () => {
+    const engine = new EnhancedConversionEngine();
+    const result = await engine.convertText('アプデのバグ直しといて。あと明日の会議何時？');
+
+    result.variations.forEach(variation => {
+      expect(tracker.applyEdits(result.original, variation.edits)).toBe(variation.text);
+    });
+  }, 60000);
+
+  test('recomposes a result from accepted edits without converting again', async () => {
+    const engine = new EnhancedConversionEngine();
+    const result = await engine.convertText('アプデのバグ直しといて');
+    const kept = result.edits.filter(edit => edit.original !== '').map(edit => edit.id);
+
+    const recomposed = engine.recompose(result, kept);
+
+    expect(recomposed.converted).toBe(tracker.applyEdits(result.original, result.edits, kept));
+    expect(recomposed.edits.filter(edit => edit.accepted).map(edit => edit.id)).toEqual(kept);
+    expect(engine.recompose(result, []).converted).toBe(result.original);
+  }, 60000);
+});
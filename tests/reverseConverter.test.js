@@ -0,0 +1,34 @@
+const ReverseConverter = require('../src/converters/reverseConverter');
+
+describe('ReverseConverter', () => {
+  const converter = new ReverseConverter();
+  const convert = (text, register) => converter.convert(text, register).text;
+
+  test('drops cushions and turns polite requests into the register\'s request', () => {
+    const text = 'お忙しいところ恐れ入りますが、資料をお送りいただけますでしょうか。';
+
+    expect(convert(text, 'plain')).toBe('資料を送って。');
+    expect(convert(text, 'desu-masu')).toBe('資料を送ってください。');
+    expect(convert(text, 'friendly')).toBe('資料を送ってね。');
+  });
+
+  test('replaces 尊敬語 and 謙譲語 with plain verbs', () => {
+    expect(convert('明日伺います。', 'desu-masu')).toBe('明日行きます。');
+    expect(convert('部長がおっしゃいました。', 'plain')).toBe('部長が言った。');
+    expect(convert('アップデートの不具合を確認いたしました。', 'plain')).toBe('アップデートの不具合を確認した。');
+    expect(convert('資料を送らせていただきます。', 'desu-masu')).toBe('資料を送ります。');
+  });
+
+  test('keeps な-adjectives ending in い and set phrases', () => {
+    expect(convert('こちらはきれいです。', 'plain')).toBe('こちらはきれいだ。');
+    expect(convert('こちらはきれいです。', 'friendly')).toBe('こちらはきれいだよ。');
+    expect(convert('いらっしゃいませ。', 'plain')).toBe('いらっしゃいませ。');
+  });
+
+  test('records each rewrite and rejects unknown registers', () => {
+    const result = converter.convert('明日伺います。', 'plain');
+
+    expect(result.conversions.map(conversion => conversion.type)).toEqual(['honorific', 'verb']);
+    expect(() => converter.convert('明日伺います。', 'casual')).toThrow('Unknown register: casual');
+  });
+});
@@ -0,0 +1,78 @@
+const ScenarioTemplates = require('../src/converters/scenarioTemplates');
+const EnhancedConversionEngine = require('../src/conversion/enhancedConversionEngine');
+
+describe('ScenarioTemplates', () => {
+  const templates = new ScenarioTemplates();
+
+  test('detects scenarios from keywords and slots found in the text', () => {
+    expect(templates.detect('サーバー落ちてます。今調査中')).toMatchObject({ id: 'incident', score: 3 });
+    expect(templates.detect('来週の火曜、空いてる？')).toMatchObject({ id: 'schedule', score: 3 });
+    expect(templates.detect('資料の確認お願い')).toBeNull();
+  });
+
+  test('resolves labels and rejects unknown scenarios', () => {
+    expect(templates.resolve('日程調整')).toBe('schedule');
+    expect(() => templates.resolve('雑談')).toThrow('Unknown scenario: 雑談');
+  });
+
+  test('fills slots from the input, letting overrides win', () => {
+    const rendered = templates.render('schedule', '来週の火曜、空いてる？', { slots: { dates: '・10月20日（火）' } });
+
+    expect(rendered.lines.join('\n')).toContain('いかがでしょうか。\n・10月20日（火）');
+    expect(rendered.lines[rendered.lines.length - 1]).toBe(templates.scenarios.schedule.closing);
+  });
+});
+
+describe('EnhancedConversionEngine scenarios', () => {
+  const engine = new EnhancedConversionEngine();
+  const convert = (text, options = {}) => engine.convertText(text, { seed: 1, sendTime: '2026-10-19T03:00:00Z', ...options });
+
+  test('only suggests a detected scenario', async () => {
+    const result = await convert('サーバー落ちてます。今調査中');
+    const scenario = result.variations.find(variation => variation.approach === 'scenario');
+
+    expect(result.scenario).toBeUndefined();
+    expect(scenario).toMatchObject({ suggested: true, scenario: { id: 'incident' } });
+    expect(result.suggestions).toContainEqual(expect.objectContaining({ type: 'scenario', action: 'use_scenario', scenario: 'incident' }));
+  });
+
+  test('never replaces a message with a template it was not asked for', async () => {
+    for (const text of ['明日の会議、エラーが出たら教えて', 'サーバー落ちてた。今は復旧してる', 'まだ資料できてないので、明日送ります', 'この価格で問題ないか確認して']) {
+      const result = await convert(text);
+
+      expect(result.scenario).toBeUndefined();
+    }
+  });
+
+  test('selects a requested scenario and converts its details', async () => {
+    const result = await convert('サーバー落ちてます。今調査中', { scenario: '障害報告' });
+
+    expect(result.scenario.id).toBe('incident');
+    expect(result.converted).toContain('サーバー落ちています。今調査中です。');
+  });
+
+  test('keeps the facts of the input in every template', async () => {
+    for (const { id } of engine.scenarioTemplates.getScenarios()) {
+      const result = await convert('A製品の件、納期は6月末で、担当は田中です', { scenario: id });
+
+      expect(result.scenario.id).toBe(id);
+      expect(result.converted).toContain('A製品');
+      expect(result.converted).toContain('6月末');
+      expect(result.converted).toContain('田中');
+    }
+  });
+
+  test('converts casual thanks in the details line', async () => {
+    const result = await convert('ありがとう！', { scenario: 'thanks' });
+
+    expect(result.converted).toContain('ありがとうございます');
+    expect(result.converted).not.toMatch(/ありがとう！/);
+  });
+
+  test('keeps the sentence conversion when no scenario is detected', async () => {
+    const result = await convert('資料の確認お願い');
+
+    expect(result.scenario).toBeUndefined();
+    expect(result.converted).toContain('資料のご確認をお願いいたします。');
+  });
+});
@@ -0,0 +1,30 @@
+const ScheduleContext = require('../src/converters/scheduleContext');
+
+describe('ScheduleContext', () => {
+  const schedule = new ScheduleContext();
+
+  test('places a send time in the recipient day with Japanese holidays', () => {
+    const result = schedule.resolve('2026-11-03T01:00:00Z');
+
+    expect(result.date).toBe('2026-11-03');
+    expect(result.time).toBe('10:00');
+    expect(result.holiday).toBe('文化の日');
+    expect(result.businessHours).toBe(false);
+  });
+
+  test('only applies Japanese holidays to recipients in Asia/Tokyo', () => {
+    expect(schedule.resolve('2026-11-03T15:00:00Z', 'America/New_York').holiday).toBeNull();
+  });
+
+  test('computes holidays for years outside the bundled table', () => {
+    expect(schedule.getHoliday('2030-05-06')).toBe('振替休日');
+    expect(schedule.getHoliday('2030-05-07')).toBeNull();
+    expect(ScheduleContext.computeHolidays(2026)['2026-09-22']).toBe('国民の休日');
+  });
+
+  test('rejects invalid time zones and send times', () => {
+    expect(() => new ScheduleContext({ timeZone: 'Mars/Olympus' })).toThrow('Unknown time zone: Mars/Olympus');
+    expect(() => schedule.resolve('2026-11-03T01:00:00Z', 'Mars/Olympus')).toThrow();
+    expect(() => schedule.resolve('not a date')).toThrow('Invalid send time: not a date');
+  });
+});
@@ -0,0 +1,30 @@
+const SeasonalGreetings = require('../src/converters/seasonalGreetings');
+
+describe('SeasonalGreetings', () => {
+  const greetings = new SeasonalGreetings();
+
+  test('opens a letter with the 二十四節気 phrase and 貴社 wording', () => {
+    const letter = greetings.compose('letter', { date: '05-10', external: true });
+
+    expect(letter.opening).toMatch(/^拝啓　立夏の候、貴社ますますご清栄/);
+    expect(letter.closing).toBe('敬具');
+    expect(letter.period).toBeNull();
+  });
+
+  test('lets the お盆 phrase replace the wellbeing line', () => {
+    const letter = greetings.compose('letter', { date: '2026-08-14' });
+
+    expect(letter.period).toBe('obon');
+    expect(letter.opening).toContain('お盆の時期となりましたが、いかがお過ごしでしょうか。');
+    expect(letter.opening).not.toContain('ご清栄');
+    expect(letter.farewell).toBeTruthy();
+  });
+
+  test('treats early January as 冬至 of the year before', () => {
+    expect(greetings.getSekki('01-02').name).toBe('冬至');
+  });
+
+  test('rejects an unknown formality', () => {
+    expect(() => greetings.compose('postcard')).toThrow('Unknown letter formality: postcard');
+  });
+});
@@ -0,0 +1,51 @@
+const { StyleGuide } = require('../src/shared/styleGuide');
+const EnhancedConversionEngine = require('../src/conversion/enhancedConversionEngine');
+
+describe('StyleGuide', () => {
+  const guide = new StyleGuide({
+    name: 'テスト社',
+    bannedPhrases: [{ phrase: 'ご苦労様です', replacement: 'お疲れ様です', relationships: ['superior'] }],
+    spellings: { '頂く': 'いただく', '頂き': 'いただき' },
+    requiredClosings: ['よろしくお願いいたします。'],
+    maxSentenceLength: 20,
+    emoji: 'internal-only'
+  });
+
+  test('fixes banned phrases, spellings, emoji and a missing closing', () => {
+    const result = guide.apply('ご苦労様です。資料を頂きました 😊', { relationship: 'superior' });
+
+    expect(result.text).toBe('お疲れ様です。資料をいただきました 😊\nよろしくお願いいたします。');
+    expect(result.conversions.map(conversion => conversion.type)).toEqual(['style-guide', 'style-guide', 'style-guide']);
+    expect(result.violations).toEqual([]);
+  });
+
+  test('applies banned phrases and the emoji policy by relationship', () => {
+    expect(guide.apply('ご苦労様です 😊', { relationship: 'colleague' }, [], { closing: false }).text).toBe('ご苦労様です 😊');
+    expect(guide.apply('ご苦労様です 😊', { relationship: 'customer' }, [], { closing: false }).text).toBe('ご苦労様です');
+  });
+
+  test('reports what it cannot fix as span diagnostics', () => {
+    const violations = guide.check('本日の会議で決まった内容を全員に共有してください。', {});
+
+    expect(violations.map(violation => [violation.category, violation.start, violation.suggestion])).toEqual([
+      ['sentence-length', 0, null],
+      ['required-closing', 25, 'よろしくお願いいたします。']
+    ]);
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => new StyleGuide({ emoji: 'sometimes' })).toThrow('Unknown emoji policy');
+    expect(() => new StyleGuide({ maxSentenceLength: -1 })).toThrow('Invalid maxSentenceLength');
+    expect(() => new StyleGuide({ bannedPhrases: [{}] })).toThrow('needs a phrase');
+  });
+
+  test('applies a per-request style guide to conversions', async () => {
+    const engine = new EnhancedConversionEngine();
+    const result = await engine.convertText('資料を送って', {
+      styleGuide: { name: '社内ルール', requiredClosings: ['以上、よろしくお願いいたします。'] }
+    });
+
+    expect(result.converted).toContain('以上、よろしくお願いいたします。');
+    expect(result.styleGuide).toEqual({ name: '社内ルール', violations: [] });
+  }, 60000);
+});
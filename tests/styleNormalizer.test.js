@@ -0,0 +1,38 @@
+const StyleNormalizer = require('../src/converters/styleNormalizer');
+const { sharedMorphologicalTokenizer } = require('../src/shared/morphologicalTokenizer');
+
+describe('StyleNormalizer', () => {
+  const normalizer = new StyleNormalizer();
+
+  beforeAll(() => sharedMorphologicalTokenizer.init(), 60000);
+
+  test('reports the style of each sentence and mixed documents', () => {
+    const analysis = normalizer.analyze('本日は晴れだ。会議は10時からです。価格は高い。');
+
+    expect(analysis.style).toBe('dearu');
+    expect(analysis.mixed).toBe(true);
+    expect(analysis.counts).toEqual({ dearu: 2, 'desu-masu': 1 });
+    expect(analysis.sentences.map(sentence => sentence.style)).toEqual(['dearu', 'desu-masu', 'dearu']);
+  });
+
+  test('rewrites である調 sentences as です・ます', () => {
+    const result = normalizer.normalize('本日は晴れだ。資料を送った。問題はない。価格は高い。', 'desu-masu');
+
+    expect(result.text).toBe('本日は晴れです。資料を送りました。問題はありません。価格は高いです。');
+    expect(result.converted).toBe(4);
+    expect(result.unconverted).toEqual([]);
+  });
+
+  test('rewrites です・ます sentences as である調 and reports requests it cannot convert', () => {
+    const result = normalizer.normalize('確認してください。明日行きます。会議は10時からです。', 'dearu');
+
+    expect(result.text).toBe('確認してください。明日行く。会議は10時からである。');
+    expect(result.unconverted).toEqual([
+      { index: 0, text: '確認してください。', reason: '依頼表現はである調に言い換えられません' }
+    ]);
+  });
+
+  test('rejects unknown styles', () => {
+    expect(() => normalizer.normalize('明日行く。', 'keigo')).toThrow('Unknown style: keigo');
+  });
+});
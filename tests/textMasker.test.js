@@ -0,0 +1,29 @@
+const { TextMasker } = require('../src/shared/textMasker');
+
+describe('TextMasker', () => {
+  const masker = new TextMasker();
+
+  test('masks URLs, inline code and mentions and restores them byte-for-byte', () => {
+    const text = '詳細は https://example.com/アプデ/バグ を見て、`npm test` を実行して @tanaka';
+    const masked = masker.mask(text);
+
+    expect(masked.text).toBe('詳細は ⟦0⟧ を見て、⟦1⟧ を実行して ⟦2⟧');
+    expect(masked.segments.map(segment => segment.type)).toEqual(['url', 'inline-code', 'mention']);
+    expect(masker.restore(masked.text, masked.segments)).toBe(text);
+  });
+
+  test('masks tokens already in the input so restore stays exact', () => {
+    const text = '⟦0⟧ は C:\\Users\\tanaka\\memo.txt にあります';
+    const masked = masker.mask(text);
+
+    expect(masked.segments.map(segment => segment.type)).toEqual(['reserved', 'file-path']);
+    expect(masker.restore(masked.text, masked.segments)).toBe(text);
+  });
+
+  test('restores tokens padded with spaces and reports dropped ones', () => {
+    const masked = masker.mask('{{name}} さん、/home/user/log を確認して');
+
+    expect(masker.restore('⟦ 0 ⟧ 様、ご確認ください', masked.segments)).toBe('{{name}} 様、ご確認ください');
+    expect(masker.findMissing('⟦0⟧ 様', masked.segments).map(segment => segment.original)).toEqual(['/home/user/log']);
+  });
+});
@@ -0,0 +1,37 @@
+const VerbConjugator = require('../src/converters/verbConjugator');
+const { sharedMorphologicalTokenizer } = require('../src/shared/morphologicalTokenizer');
+
+describe('VerbConjugator', () => {
+  const conjugator = new VerbConjugator();
+
+  beforeAll(() => sharedMorphologicalTokenizer.init(), 60000);
+
+  test('renders plain-form inflections as ます-forms', () => {
+    expect(conjugator.convertVerbs('明日行く', 3)).toBe('明日行きます');
+    expect(conjugator.convertVerbs('書かない', 3)).toBe('書きません');
+    expect(conjugator.convertVerbs('みんなで飲もう', 3)).toBe('みんなで飲みましょう');
+    expect(conjugator.convertVerbs('資料を送った', 2)).toBe('資料を送りました');
+  });
+
+  test('turns requests into お〜いただく by level', () => {
+    expect(conjugator.convertVerbs('ちょっと待って', 3)).toBe('ちょっとお待ちいただけますか');
+    expect(conjugator.convertVerbs('見て', 1)).toBe('見てください');
+    expect(conjugator.convertVerbs('確認しておいて', 3)).toBe('確認しておいていただけますか');
+  });
+
+  test('uses 謙譲語 only for the writer acting on something', () => {
+    expect(conjugator.convertVerbs('資料を送った', 4)).toBe('資料をお送りいたしました');
+    expect(conjugator.convertVerbs('資料を確認した', 4)).toBe('資料を確認いたしました');
+    expect(conjugator.convertVerbs('雨が降った', 4)).toBe('雨が降りました');
+    expect(conjugator.convertVerbs('もう帰る', 4)).toBe('もう帰ります');
+  });
+
+  test('records each conjugated phrase', () => {
+    const conversions = [];
+    conjugator.convertVerbs('書かない', 3, conversions);
+
+    expect(conversions).toEqual([expect.objectContaining({
+      type: 'verb', original: '書かない', converted: '書きません', register: 'masu', verbClass: 'godan'
+    })]);
+  });
+});